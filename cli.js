@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+// Embroidered Charts - Headless CLI
+// Batch-renders chart images with the same CreativePipeline the browser app uses,
+// backed by @napi-rs/canvas instead of the DOM.
+
+import { parseArgs } from 'node:util';
+import { readdir, readFile, mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { CreativePipeline } from './script.js';
+import { getStyleDefinition, listStyles } from './style-registry.js';
+import { CHART_TYPES, CHART_WIDTH, CHART_HEIGHT, parseChartData, drawChart } from './data-chart.js';
+import { printPixelSize, setPngDpi, encodeTIFF, buildPrintPDF } from './print-export.js';
+
+const STYLES = listStyles().filter(style => !style.hidden).map(style => style.id);
+const SVG_STYLES = STYLES.filter(id => getStyleDefinition(id).svg);
+const DATA_FILE = /\.(csv|tsv|json)$/i; // Inputs drawn as charts instead of loaded as images
+const FORMATS = { png: 'png', tiff: 'tif', pdf: 'pdf' }; // --format -> file extension
+
+const USAGE = `Usage: embroidered-charts <image|glob>... [options]
+
+Options:
+  -s, --style <name>          ${STYLES.join(', ')} (default: embroidery)
+  -o, --out <dir>             Output directory (default: current directory)
+      --num-colors <n>        Palette size, 4-16 (default: 8)
+      --thread-thickness <n>  Stitch / brush / dot size, 1-5 (default: 3)
+      --spread-amount <n>     Spread / bleed, 1-5 (default: 2)
+      --brightness <n>        Brightness in percent, 100-130 (default: 115)
+      --thread-catalog <id>   Snap colors to dmc, madeira or isacord threads
+      --seed <n>              Fixed random seed for reproducible renders
+  -p, --param <key=value>     Style-specific parameter, repeatable (e.g. -s ascii -p columns=160 -p paperMode=true)
+      --svg                   Also write a vector <name>_<style>.svg (${SVG_STYLES.join(', ')})
+      --print-width <size>    Render for a print this wide, e.g. 30cm or 12in (needs --dpi or uses 300)
+      --dpi <n>               Print resolution written into the file, 72-1200 (default: 300 for prints, TIFF and PDF)
+      --format <type>         png, tiff or pdf (default: png); the PDF page is the print size
+      --chart <type>          Chart drawn for .csv/.json inputs: ${CHART_TYPES.map(([id]) => id).join(', ')} (default: bar)
+      --chart-title <text>    Title drawn above data charts
+      --legible               Keep chart text and thin axis lines readable (found automatically)
+      --legible-mask <image>  Protect the text inside the white areas of this mask instead (implies --legible)
+      --region-mask <image>   Apply the style only inside the white areas of this mask
+      --outside-style <name>  Style rendered outside the region mask (default: the original image)
+      --feather <px>          Soften the region mask edge, 0-50 (default: 0)
+      --fabric-photo <image>  Stitch on this tileable photo of cloth (embroidery; sets -p fabric=photo)
+  -h, --help                  Show this message
+
+Inputs are images, or CSV/JSON data files that are drawn as a chart first.
+Each input is written to <out>/<name>_<style>.png (.tif or .pdf with --format).`;
+
+// ==========================================
+// ARGUMENTS
+// ==========================================
+
+const NUMERIC_PARAMS = {
+    'num-colors': ['numColors', 8, 4, 16],
+    'thread-thickness': ['threadThickness', 3, 1, 5],
+    'spread-amount': ['spreadAmount', 2, 1, 5],
+    'brightness': ['brightness', 115, 100, 130]
+};
+
+function parseCli(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            style: { type: 'string', short: 's', default: 'embroidery' },
+            out: { type: 'string', short: 'o', default: '.' },
+            'num-colors': { type: 'string' },
+            'thread-thickness': { type: 'string' },
+            'spread-amount': { type: 'string' },
+            brightness: { type: 'string' },
+            'thread-catalog': { type: 'string' },
+            seed: { type: 'string' },
+            param: { type: 'string', short: 'p', multiple: true },
+            svg: { type: 'boolean' },
+            'print-width': { type: 'string' },
+            dpi: { type: 'string' },
+            format: { type: 'string', default: 'png' },
+            chart: { type: 'string', default: 'bar' },
+            'chart-title': { type: 'string', default: '' },
+            legible: { type: 'boolean' },
+            'legible-mask': { type: 'string' },
+            'region-mask': { type: 'string' },
+            'outside-style': { type: 'string' },
+            feather: { type: 'string' },
+            'fabric-photo': { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) return { help: true };
+    if (!positionals.length) throw new Error('No input images given');
+    if (!STYLES.includes(values.style)) throw new Error(`Unknown style "${values.style}"`);
+    if (values.svg && !SVG_STYLES.includes(values.style)) throw new Error(`The ${values.style} style has no SVG output`);
+    if (!FORMATS[values.format]) throw new Error(`Unknown format "${values.format}"`);
+    if (!CHART_TYPES.some(([id]) => id === values.chart)) throw new Error(`Unknown chart type "${values.chart}"`);
+
+    let region = null;
+    if (values['region-mask'] !== undefined) {
+        if (values.svg) throw new Error('--svg cannot be combined with --region-mask');
+        const style = values['outside-style'] || null;
+        if (style && !STYLES.includes(style)) throw new Error(`Unknown style "${style}" for --outside-style`);
+        const feather = values.feather === undefined ? 0 : Number(values.feather);
+        if (!Number.isInteger(feather) || feather < 0 || feather > 50) throw new Error('--feather must be a whole number between 0 and 50');
+        region = { mask: values['region-mask'], style, feather };
+    } else if (values['outside-style'] !== undefined || values.feather !== undefined) {
+        throw new Error('--outside-style and --feather need a --region-mask');
+    }
+
+    let print = null;
+    if (values['print-width'] !== undefined) {
+        const match = /^(\d+(?:\.\d+)?)\s*(cm|in)$/.exec(values['print-width'].trim());
+        if (!match || Number(match[1]) <= 0) throw new Error('--print-width must be a size such as 30cm or 12in');
+        print = { width: Number(match[1]), unit: match[2] };
+    }
+    let dpi = null;
+    if (values.dpi !== undefined) {
+        dpi = Number(values.dpi);
+        if (!Number.isInteger(dpi) || dpi < 72 || dpi > 1200) throw new Error('--dpi must be a whole number between 72 and 1200');
+    } else if (print || values.format !== 'png') {
+        dpi = 300;
+    }
+
+    const params = {};
+    Object.entries(NUMERIC_PARAMS).forEach(([flag, [key, fallback, min, max]]) => {
+        const value = values[flag] === undefined ? fallback : Number(values[flag]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`--${flag} must be a whole number between ${min} and ${max}`);
+        }
+        params[key] = value;
+    });
+
+    const catalog = values['thread-catalog'];
+    if (catalog && !['dmc', 'madeira', 'isacord'].includes(catalog)) {
+        throw new Error(`Unknown thread catalog "${catalog}"`);
+    }
+    params.threadCatalog = catalog || null;
+
+    if (values.seed !== undefined) {
+        if (!/^\d+$/.test(values.seed)) throw new Error('--seed must be a non-negative integer');
+        params.seed = Number(values.seed) >>> 0;
+    }
+
+    const definition = getStyleDefinition(values.style);
+    (values.param || []).forEach(spec => {
+        const [key, value] = parseStyleParam(definition, spec);
+        params[key] = value;
+    });
+
+    const fabricPhoto = values['fabric-photo'] || null;
+    if (fabricPhoto) {
+        if (values.style !== 'embroidery') throw new Error('--fabric-photo needs the embroidery style');
+        if (params.fabric === undefined) params.fabric = 'photo';
+        else if (params.fabric !== 'photo') throw new Error('--fabric-photo cannot be combined with another -p fabric');
+    } else if (params.fabric === 'photo') {
+        throw new Error('-p fabric=photo needs a --fabric-photo');
+    }
+
+    return {
+        inputs: positionals,
+        style: values.style,
+        outDir: values.out,
+        params,
+        svg: !!values.svg,
+        print,
+        dpi,
+        format: values.format,
+        chart: { type: values.chart, title: values['chart-title'] },
+        legible: !!values.legible || values['legible-mask'] !== undefined,
+        legibleMask: values['legible-mask'] || null,
+        region,
+        fabricPhoto
+    };
+}
+
+// "key=value" checked against the style's parameter schema
+function parseStyleParam(definition, spec) {
+    const eq = spec.indexOf('=');
+    const key = eq === -1 ? spec : spec.slice(0, eq);
+    const raw = eq === -1 ? '' : spec.slice(eq + 1);
+    const param = definition.params[key];
+    if (!param) {
+        const known = Object.keys(definition.params).join(', ') || 'none';
+        throw new Error(`Style "${definition.id}" has no parameter "${key}" (available: ${known})`);
+    }
+    switch (param.type) {
+        case 'range': {
+            const value = Number(raw);
+            if (raw === '' || !Number.isFinite(value) || value < param.min || value > param.max) {
+                throw new Error(`${key} must be a number between ${param.min} and ${param.max}`);
+            }
+            return [key, value];
+        }
+        case 'select':
+            if (!param.options.some(([v]) => v === raw)) {
+                throw new Error(`${key} must be one of ${param.options.map(([v]) => v || '""').join(', ')}`);
+            }
+            return [key, raw];
+        case 'color':
+            if (!/^#[0-9a-f]{6}$/i.test(raw)) throw new Error(`${key} must be a #rrggbb color`);
+            return [key, raw];
+        case 'palette': {
+            const colors = raw.split(',');
+            if (raw !== '' && !colors.every(c => /^#[0-9a-f]{6}$/i.test(c))) {
+                throw new Error(`${key} must be a comma-separated list of #rrggbb colors`);
+            }
+            if (colors.length > param.max) throw new Error(`${key} takes at most ${param.max} colors`);
+            return [key, raw.toLowerCase()];
+        }
+        case 'boolean':
+            if (!['true', 'false'].includes(raw)) throw new Error(`${key} must be true or false`);
+            return [key, raw === 'true'];
+        case 'seed':
+            if (!/^\d+$/.test(raw)) throw new Error(`${key} must be a non-negative integer`);
+            return [key, Number(raw) >>> 0];
+        default:
+            return [key, raw];
+    }
+}
+
+// ==========================================
+// OUTPUT
+// ==========================================
+
+async function loadInput(file, chart) {
+    if (!DATA_FILE.test(file)) return loadImage(await readFile(file));
+    const canvas = createCanvas(CHART_WIDTH, CHART_HEIGHT);
+    drawChart(canvas.getContext('2d'), CHART_WIDTH, CHART_HEIGHT, parseChartData(await readFile(file, 'utf8')), chart);
+    return canvas;
+}
+
+// Masks and fabric photos reach the pipeline as ImageData, resampled there to each render
+async function readImageData(file) {
+    const img = await loadImage(await readFile(file));
+    const canvas = createCanvas(img.width, img.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, img.width, img.height);
+}
+
+// Plain PNGs stay untouched unless a DPI was asked for
+function encodeResult(pipeline, { format, dpi }) {
+    const { width, height } = pipeline.imageData;
+    if (format === 'tiff') return encodeTIFF(pipeline.imageData, dpi);
+    if (format === 'pdf') return buildPrintPDF({ bytes: pipeline.canvas.toBuffer('image/jpeg', 95), width, height }, dpi);
+    const png = pipeline.canvas.toBuffer('image/png');
+    return dpi ? setPngDpi(png, dpi) : png;
+}
+
+// ==========================================
+// GLOB EXPANSION
+// ==========================================
+
+// Shells usually expand globs already; this covers quoted patterns (*, ?, [abc], {a,b} and **)
+function globToRegExp(glob) {
+    let re = '';
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') {
+                i++;
+                re += '(?:.*/)?';
+            } else {
+                re += '.*';
+            }
+        } else if (c === '*') {
+            re += '[^/]*';
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[' && glob.indexOf(']', i) > i) {
+            const end = glob.indexOf(']', i);
+            re += glob.slice(i, end + 1);
+            i = end;
+        } else if (c === '{') {
+            braces++;
+            re += '(?:';
+        } else if (c === '}' && braces > 0) {
+            braces--;
+            re += ')';
+        } else if (c === ',' && braces > 0) {
+            re += '|';
+        } else {
+            re += c.replace(/[.+^${}()|\\\]]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+async function expandInput(pattern) {
+    const parts = pattern.split(/[\\/]/);
+    const firstGlob = parts.findIndex(part => /[*?[{]/.test(part));
+    if (firstGlob === -1) return [pattern];
+
+    const base = parts.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+    const rest = parts.slice(firstGlob);
+    const regex = globToRegExp(rest.join('/'));
+    const maxDepth = rest.includes('**') ? Infinity : rest.length - 1;
+    const matches = [];
+
+    const walk = async (dir, rel, depth) => {
+        let entries;
+        try {
+            entries = await readdir(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        for (const entry of entries) {
+            const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (depth < maxDepth && !entry.name.startsWith('.')) await walk(path.join(dir, entry.name), relPath, depth + 1);
+            } else if (regex.test(relPath)) {
+                matches.push(path.join(base, relPath));
+            }
+        }
+    };
+    await walk(base, '', 0);
+    return matches.sort();
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+
+async function main() {
+    let options;
+    try {
+        options = parseCli(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const files = [...new Set((await Promise.all(options.inputs.map(expandInput))).flat())];
+    if (!files.length) {
+        console.error('No input files matched');
+        return 2;
+    }
+    await mkdir(options.outDir, { recursive: true });
+
+    const pipeline = new CreativePipeline({
+        createCanvas: (width, height) => createCanvas(width, height),
+        resultType: 'imageData',
+        stepDelay: 0
+    });
+
+    const legibility = options.legible ? { mask: options.legibleMask ? await readImageData(options.legibleMask) : null } : null;
+    const region = options.region ? { ...options.region, mask: await readImageData(options.region.mask) } : null;
+    const fabricPhoto = options.fabricPhoto ? await readImageData(options.fabricPhoto) : null;
+
+    let failed = 0;
+    for (const [i, file] of files.entries()) {
+        const baseName = path.join(options.outDir, `${path.parse(file).name}_${options.style}`);
+        const outFile = `${baseName}.${FORMATS[options.format]}`;
+        const started = Date.now();
+        try {
+            let img = await loadInput(file, options.chart);
+            let scale = 1;
+            if (options.print) {
+                // Resample to print resolution; the pipeline scales thread, dot and tile sizes to match
+                const size = printPixelSize(img, { ...options.print, dpi: options.dpi });
+                const canvas = createCanvas(size.width, size.height);
+                canvas.getContext('2d').drawImage(img, 0, 0, size.width, size.height);
+                scale = size.width / img.width;
+                img = canvas;
+            }
+            await pipeline.processImage(img, options.style, options.params, { scale, legibility, region, fabricPhoto });
+            await writeFile(outFile, encodeResult(pipeline, options));
+            const written = [outFile];
+            if (options.svg) {
+                const svgFile = `${baseName}.svg`;
+                await writeFile(svgFile, pipeline.buildSVG(options.style, options.params));
+                written.push(svgFile);
+            }
+            console.log(`[${i + 1}/${files.length}] ${file} -> ${written.join(', ')} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+        } catch (error) {
+            failed++;
+            console.error(`[${i + 1}/${files.length}] ${file}: ${error.message}`);
+        }
+    }
+
+    if (failed) console.error(`${failed} of ${files.length} images failed`);
+    return failed ? 1 : 0;
+}
+
+process.exitCode = await main();
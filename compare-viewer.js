@@ -0,0 +1,277 @@
+// Before/After Comparison Viewer
+// Draws two images of the same scene on one canvas with a draggable split line.
+// Both halves share one transform, so zoom (wheel or pinch) and pan always stay in sync.
+
+const MIN_SCALE = 0.05;
+const MAX_SCALE = 32;
+const LOUPE_RADIUS = 80;   // CSS pixels
+const LOUPE_ZOOM = 4;
+const HANDLE_GRAB = 12;    // CSS pixels either side of the split line that grab it instead of panning
+
+function loadImg(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Could not load image for comparison'));
+        img.src = src;
+    });
+}
+
+export class CompareViewer {
+    constructor(container, { onZoom = null } = {}) {
+        this.container = container;
+        this.onZoom = onZoom; // (scale) => void, e.g. to show the zoom level
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.cssText = 'display: block; width: 100%; height: 100%; touch-action: none; cursor: grab;';
+        container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.before = null;
+        this.after = null;
+        this.labels = ['Before', 'After'];
+        this.scale = 1;
+        this.offsetX = 0;      // Canvas position of image pixel (0, 0), in device pixels
+        this.offsetY = 0;
+        this.split = 0.5;      // Split line as a fraction of the canvas width
+        this.loupe = false;
+        this.pointer = null;   // Last hover position for the loupe, in device pixels
+        this.pointers = new Map();
+        this.drag = null;
+        this.fitted = true;
+
+        this.attachEvents();
+        new ResizeObserver(() => this.resize()).observe(container);
+        this.resize();
+    }
+
+    // Replaces the compared pair; the current zoom and pan are kept when the size matches,
+    // so flipping between pipeline steps keeps looking at the same detail.
+    async setImages(beforeSrc, afterSrc, labels = ['Before', 'After']) {
+        const [before, after] = await Promise.all([loadImg(beforeSrc), loadImg(afterSrc)]);
+        const sameSize = this.before && this.before.width === before.width && this.before.height === before.height;
+        this.before = before;
+        this.after = after;
+        this.labels = labels;
+        if (!sameSize || this.fitted) this.fit();
+        else this.render();
+    }
+
+    get dpr() {
+        return window.devicePixelRatio || 1;
+    }
+
+    resize() {
+        const width = Math.max(1, Math.round(this.container.clientWidth * this.dpr));
+        const height = Math.max(1, Math.round(this.container.clientHeight * this.dpr));
+        if (width === this.canvas.width && height === this.canvas.height) return;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        if (this.fitted) this.fit();
+        else this.render();
+    }
+
+    fit() {
+        if (!this.before) return;
+        const { width, height } = this.canvas;
+        this.scale = Math.min(width / this.before.width, height / this.before.height);
+        this.offsetX = (width - this.before.width * this.scale) / 2;
+        this.offsetY = (height - this.before.height * this.scale) / 2;
+        this.fitted = true;
+        this.render();
+    }
+
+    // One image pixel per screen pixel, centred on whatever is in the middle of the view
+    actualSize() {
+        this.zoomTo(1 / this.dpr, this.canvas.width / 2, this.canvas.height / 2);
+    }
+
+    zoomTo(scale, cx, cy) {
+        if (!this.before) return;
+        const next = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+        // Keep the image point under (cx, cy) fixed
+        this.offsetX = cx - (cx - this.offsetX) * next / this.scale;
+        this.offsetY = cy - (cy - this.offsetY) * next / this.scale;
+        this.scale = next;
+        this.fitted = false;
+        this.render();
+    }
+
+    setLoupe(enabled) {
+        this.loupe = enabled;
+        this.render();
+    }
+
+    // ==========================================
+    // INPUT
+    // ==========================================
+
+    toCanvas(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: (e.clientX - rect.left) * this.dpr, y: (e.clientY - rect.top) * this.dpr };
+    }
+
+    attachEvents() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const { x, y } = this.toCanvas(e);
+            this.zoomTo(this.scale * Math.exp(-e.deltaY * 0.0015), x, y);
+        }, { passive: false });
+
+        canvas.addEventListener('pointerdown', (e) => {
+            canvas.setPointerCapture(e.pointerId);
+            const p = this.toCanvas(e);
+            this.pointers.set(e.pointerId, p);
+            if (this.pointers.size === 2) {
+                this.drag = { type: 'pinch', ...this.pinchState() };
+            } else if (Math.abs(p.x - this.split * canvas.width) <= HANDLE_GRAB * this.dpr) {
+                this.drag = { type: 'split' };
+            } else {
+                this.drag = { type: 'pan', x: p.x, y: p.y };
+                canvas.style.cursor = 'grabbing';
+            }
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            const p = this.toCanvas(e);
+            this.pointer = p;
+            if (this.pointers.has(e.pointerId)) this.pointers.set(e.pointerId, p);
+
+            if (!this.drag) {
+                const nearSplit = Math.abs(p.x - this.split * canvas.width) <= HANDLE_GRAB * this.dpr;
+                canvas.style.cursor = nearSplit ? 'ew-resize' : 'grab';
+                if (this.loupe) this.render();
+                return;
+            }
+            if (this.drag.type === 'split') {
+                this.split = Math.min(1, Math.max(0, p.x / canvas.width));
+            } else if (this.drag.type === 'pan') {
+                this.offsetX += p.x - this.drag.x;
+                this.offsetY += p.y - this.drag.y;
+                this.drag.x = p.x;
+                this.drag.y = p.y;
+                this.fitted = false;
+            } else if (this.drag.type === 'pinch' && this.pointers.size === 2) {
+                const now = this.pinchState();
+                this.offsetX += now.cx - this.drag.cx;
+                this.offsetY += now.cy - this.drag.cy;
+                this.zoomTo(this.scale * now.dist / this.drag.dist, now.cx, now.cy);
+                Object.assign(this.drag, now);
+                return;
+            }
+            this.render();
+        });
+
+        const release = (e) => {
+            this.pointers.delete(e.pointerId);
+            // Lifting one finger of a pinch continues as a pan with the other
+            if (this.pointers.size === 1) {
+                const [p] = this.pointers.values();
+                this.drag = { type: 'pan', x: p.x, y: p.y };
+            } else if (this.pointers.size === 0) {
+                this.drag = null;
+                canvas.style.cursor = 'grab';
+            }
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+        canvas.addEventListener('pointerleave', () => {
+            this.pointer = null;
+            if (this.loupe) this.render();
+        });
+        canvas.addEventListener('dblclick', () => this.fit());
+    }
+
+    pinchState() {
+        const [a, b] = [...this.pointers.values()];
+        return { cx: (a.x + b.x) / 2, cy: (a.y + b.y) / 2, dist: Math.hypot(a.x - b.x, a.y - b.y) || 1 };
+    }
+
+    // ==========================================
+    // DRAWING
+    // ==========================================
+
+    drawPair(ctx, scale, offsetX, offsetY, splitX) {
+        const w = this.before.width, h = this.before.height;
+        // Crisp pixels once zoomed in, so individual stitches and dots can be judged
+        ctx.imageSmoothingEnabled = scale < 2;
+        ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+        ctx.drawImage(this.before, 0, 0, w, h);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(splitX, 0, this.canvas.width - splitX, this.canvas.height);
+        ctx.clip();
+        ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+        ctx.drawImage(this.after, 0, 0, w, h);
+        ctx.restore();
+    }
+
+    render() {
+        const { ctx, canvas } = this;
+        const dpr = this.dpr;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.before) return;
+
+        const splitX = this.split * canvas.width;
+        this.drawPair(ctx, this.scale, this.offsetX, this.offsetY, splitX);
+
+        // Split line with a round handle; the shadow keeps it visible over white backgrounds
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = 4 * dpr;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(splitX - dpr, 0, 2 * dpr, canvas.height);
+        ctx.beginPath();
+        ctx.arc(splitX, canvas.height / 2, 14 * dpr, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+        ctx.fillStyle = '#333';
+        ctx.font = `${12 * dpr}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('↔', splitX, canvas.height / 2);
+
+        // Corner labels
+        ctx.font = `${12 * dpr}px sans-serif`;
+        ctx.textBaseline = 'top';
+        [[this.labels[0], 8 * dpr, 'left'], [this.labels[1], canvas.width - 8 * dpr, 'right']].forEach(([text, x, align]) => {
+            ctx.textAlign = align;
+            const width = ctx.measureText(text).width;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.fillRect(align === 'left' ? x - 4 * dpr : x - width - 4 * dpr, 6 * dpr, width + 8 * dpr, 18 * dpr);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(text, x, 9 * dpr);
+        });
+
+        if (this.loupe && this.pointer && !this.drag) this.drawLoupe(splitX);
+        if (this.onZoom) this.onZoom(this.scale * dpr);
+    }
+
+    // Magnified circle under the cursor; the split line is magnified along with both images
+    drawLoupe(splitX) {
+        const { ctx } = this;
+        const { x, y } = this.pointer;
+        const r = LOUPE_RADIUS * this.dpr;
+        const scale = this.scale * LOUPE_ZOOM;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.fillStyle = '#111';
+        ctx.fillRect(x - r, y - r, r * 2, r * 2);
+        // Same image point stays under the cursor at the higher zoom; the split is magnified with it
+        const offsetX = x - (x - this.offsetX) * LOUPE_ZOOM;
+        const offsetY = y - (y - this.offsetY) * LOUPE_ZOOM;
+        this.drawPair(ctx, scale, offsetX, offsetY, x - (x - splitX) * LOUPE_ZOOM);
+        ctx.restore();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 2 * this.dpr;
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
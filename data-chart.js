@@ -0,0 +1,332 @@
+// Data Charts
+// Parses CSV or JSON and draws it as a bar, line, pie or area chart, so data can go straight into the
+// styles without a screenshot step. Flat fills, bold strokes and a white background keep the chart
+// reducible to a few clean thread colors.
+// Data is { labels: [string], series: [{ name, values: [number|null] }] }.
+
+export const CHART_TYPES = [['bar', 'Bar'], ['line', 'Line'], ['pie', 'Pie'], ['area', 'Area']];
+export const CHART_WIDTH = 1200;
+export const CHART_HEIGHT = 800;
+
+// Saturated and far apart, so each series survives palette reduction as its own color
+const SERIES_COLORS = ['#1f5fbf', '#f28e1c', '#2e9e44', '#d62f2f', '#8e44ad', '#8c564b', '#e052a8', '#17a8c4', '#b5b514', '#555555'];
+const INK = '#222222';
+const GRID = '#d8d8d8';
+
+// ==========================================
+// PARSING
+// ==========================================
+
+// "1,234", "$12", "45%" -> number; anything else -> null (a gap)
+function parseValue(cell) {
+    if (typeof cell === 'number') return Number.isFinite(cell) ? cell : null;
+    if (typeof cell !== 'string') return null;
+    const cleaned = cell.trim().replace(/[$€£¥%\s]/g, '').replace(/,(?=\d{3}(\D|$))/g, '');
+    if (!cleaned) return null;
+    const value = Number(cleaned);
+    return Number.isFinite(value) ? value : null;
+}
+
+// Quoted fields may contain delimiters, doubled quotes and line breaks
+function parseCSVRows(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else cell += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(cell); cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); cell = '';
+            if (row.some(v => v.trim())) rows.push(row);
+            row = [];
+        } else {
+            cell += c;
+        }
+    }
+    row.push(cell);
+    if (row.some(v => v.trim())) rows.push(row);
+    return rows;
+}
+
+// First column holds the labels, every other column a series. The first row is a header unless it is all numbers.
+function fromRows(rows) {
+    if (!rows.length) throw new Error('The data is empty');
+    const hasHeader = rows[0].slice(1).some(cell => parseValue(cell) === null);
+    const header = hasHeader ? rows[0] : null;
+    const body = hasHeader ? rows.slice(1) : rows;
+    const columns = Math.max(...rows.map(r => r.length));
+    if (columns < 2) throw new Error('Need a label column and at least one value column');
+    const series = [];
+    for (let c = 1; c < columns; c++) {
+        const name = header && header[c] !== undefined && String(header[c]).trim() ? String(header[c]).trim() : `Series ${c}`;
+        series.push({ name, values: body.map(r => parseValue(r[c])) });
+    }
+    return { labels: body.map(r => String(r[0] ?? '').trim()), series };
+}
+
+function fromJSON(data) {
+    // { labels, series: [{ name, values }] } or Chart.js style { labels, datasets: [{ label, data }] }
+    if (data && !Array.isArray(data) && Array.isArray(data.labels)) {
+        const sets = data.series || data.datasets || [];
+        return {
+            labels: data.labels.map(String),
+            series: sets.map((s, i) => ({
+                name: String(s.name ?? s.label ?? `Series ${i + 1}`),
+                values: data.labels.map((_, j) => parseValue((s.values || s.data || [])[j]))
+            }))
+        };
+    }
+    if (Array.isArray(data)) {
+        if (data.every(Array.isArray)) return fromRows(data.map(r => r.map(v => (v === null ? '' : String(v)))));
+        // [{ month: 'Jan', sales: 3 }]: the first key with text is the label, numeric keys become series
+        if (data.every(item => item && typeof item === 'object')) {
+            const keys = [...new Set(data.flatMap(Object.keys))];
+            const labelKey = keys.find(k => data.some(item => typeof item[k] === 'string' && parseValue(item[k]) === null)) || null;
+            const valueKeys = keys.filter(k => k !== labelKey && data.some(item => parseValue(item[k]) !== null));
+            return {
+                labels: data.map((item, i) => (labelKey ? String(item[labelKey] ?? '') : String(i + 1))),
+                series: valueKeys.map(k => ({ name: k, values: data.map(item => parseValue(item[k])) }))
+            };
+        }
+        return { labels: data.map((_, i) => String(i + 1)), series: [{ name: 'Value', values: data.map(parseValue) }] };
+    }
+    // { Jan: 3, Feb: 5 }
+    if (data && typeof data === 'object') {
+        return { labels: Object.keys(data), series: [{ name: 'Value', values: Object.values(data).map(parseValue) }] };
+    }
+    throw new Error('Unsupported JSON layout');
+}
+
+// CSV (comma, semicolon or tab separated) or JSON; the format is told apart by the first character
+export function parseChartData(text) {
+    const trimmed = String(text).trim();
+    if (!trimmed) throw new Error('The data is empty');
+    const data = /^[[{]/.test(trimmed) ? fromJSON(JSON.parse(trimmed)) : fromRows(parseCSVRows(trimmed));
+    data.series = data.series.filter(s => s.values.some(v => v !== null));
+    if (!data.labels.length || !data.series.length) throw new Error('No numeric values found in the data');
+    return data;
+}
+
+// ==========================================
+// DRAWING
+// ==========================================
+
+// Round tick spacing (1, 2 or 5 x 10^n) covering min..max in about `count` steps
+function niceScale(min, max, count = 5) {
+    if (min === max) max = min + 1;
+    const rough = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+}
+
+function formatNumber(v) {
+    const abs = Math.abs(v);
+    if (abs >= 1e9) return `${+(v / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+    if (abs >= 1e4) return `${+(v / 1e3).toFixed(1)}k`;
+    return String(+v.toFixed(2));
+}
+
+function font(size, bold = false) {
+    return `${bold ? 'bold ' : ''}${Math.round(size)}px sans-serif`;
+}
+
+function drawLegend(ctx, entries, x, y, maxWidth, size) {
+    ctx.font = font(size);
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    const widths = entries.map(e => size * 1.6 + ctx.measureText(e.name).width + size * 1.5);
+    const total = widths.reduce((a, b) => a + b, 0);
+    let cx = x + Math.max(0, (maxWidth - total) / 2);
+    entries.forEach((entry, i) => {
+        ctx.fillStyle = entry.color;
+        ctx.fillRect(cx, y - size / 2, size, size);
+        ctx.fillStyle = INK;
+        ctx.fillText(entry.name, cx + size * 1.6, y);
+        cx += widths[i];
+    });
+}
+
+// Value axis, grid and category labels; returns value -> y and the slot width per category
+function drawAxes(ctx, plot, labels, range, size) {
+    const { x, y, w, h } = plot;
+    const scale = niceScale(range.min, range.max);
+    const toY = v => y + h - (v - scale.min) / (scale.max - scale.min) * h;
+
+    ctx.font = font(size);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = Math.max(1, size / 10);
+    for (let v = scale.min; v <= scale.max + scale.step / 2; v += scale.step) {
+        ctx.strokeStyle = GRID;
+        ctx.beginPath();
+        ctx.moveTo(x, toY(v));
+        ctx.lineTo(x + w, toY(v));
+        ctx.stroke();
+        ctx.fillStyle = INK;
+        ctx.fillText(formatNumber(v), x - size * 0.6, toY(v));
+    }
+
+    const slot = w / labels.length;
+    const every = Math.max(1, Math.ceil(labels.length * size * 4 / w)); // Skip labels that would collide
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    labels.forEach((label, i) => {
+        if (i % every) return;
+        ctx.fillText(label.length > 14 ? `${label.slice(0, 13)}…` : label, x + slot * (i + 0.5), y + h + size * 0.6);
+    });
+
+    ctx.strokeStyle = INK;
+    ctx.lineWidth = Math.max(2, size / 6);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x, y + h);
+    ctx.lineTo(x + w, y + h);
+    ctx.stroke();
+    if (scale.min < 0) {
+        ctx.beginPath();
+        ctx.moveTo(x, toY(0));
+        ctx.lineTo(x + w, toY(0));
+        ctx.stroke();
+    }
+    return { toY, slot };
+}
+
+function valueRange(values) {
+    const finite = values.filter(v => v !== null);
+    return { min: Math.min(0, ...finite), max: Math.max(0, ...finite) };
+}
+
+function drawBars(ctx, plot, data, size) {
+    const { toY, slot } = drawAxes(ctx, plot, data.labels, valueRange(data.series.flatMap(s => s.values)), size);
+    const barWidth = slot * 0.8 / data.series.length;
+    data.series.forEach((s, si) => {
+        ctx.fillStyle = SERIES_COLORS[si % SERIES_COLORS.length];
+        s.values.forEach((v, i) => {
+            if (v === null) return;
+            const top = Math.min(toY(v), toY(0));
+            ctx.fillRect(plot.x + slot * (i + 0.1) + barWidth * si, top, barWidth * 0.92, Math.abs(toY(v) - toY(0)));
+        });
+    });
+}
+
+// Gaps (null) break the line
+function drawLines(ctx, plot, data, size) {
+    const { toY, slot } = drawAxes(ctx, plot, data.labels, valueRange(data.series.flatMap(s => s.values)), size);
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    data.series.forEach((s, si) => {
+        const color = SERIES_COLORS[si % SERIES_COLORS.length];
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = size * 0.45;
+        ctx.beginPath();
+        let drawing = false;
+        s.values.forEach((v, i) => {
+            if (v === null) { drawing = false; return; }
+            const px = plot.x + slot * (i + 0.5);
+            if (drawing) ctx.lineTo(px, toY(v));
+            else ctx.moveTo(px, toY(v));
+            drawing = true;
+        });
+        ctx.stroke();
+        s.values.forEach((v, i) => {
+            if (v === null) return;
+            ctx.beginPath();
+            ctx.arc(plot.x + slot * (i + 0.5), toY(v), size * 0.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+}
+
+// Stacked; negative values and gaps count as zero
+function drawAreas(ctx, plot, data, size) {
+    const totals = data.labels.map((_, i) => data.series.reduce((sum, s) => sum + Math.max(0, s.values[i] ?? 0), 0));
+    const { toY, slot } = drawAxes(ctx, plot, data.labels, { min: 0, max: Math.max(...totals) }, size);
+    const xAt = i => plot.x + slot * (i + 0.5);
+    const base = data.labels.map(() => 0);
+    data.series.forEach((s, si) => {
+        const top = base.map((b, i) => b + Math.max(0, s.values[i] ?? 0));
+        ctx.fillStyle = SERIES_COLORS[si % SERIES_COLORS.length];
+        ctx.beginPath();
+        top.forEach((v, i) => (i ? ctx.lineTo(xAt(i), toY(v)) : ctx.moveTo(xAt(i), toY(v))));
+        for (let i = base.length - 1; i >= 0; i--) ctx.lineTo(xAt(i), toY(base[i]));
+        ctx.closePath();
+        ctx.fill();
+        top.forEach((v, i) => { base[i] = v; });
+    });
+}
+
+// First series only; slices are separated by white gaps and labelled with their share
+function drawPie(ctx, plot, data, size) {
+    const values = data.series[0].values.map(v => Math.max(0, v ?? 0));
+    const total = values.reduce((a, b) => a + b, 0);
+    if (total <= 0) throw new Error('Pie charts need positive values');
+    const cx = plot.x + plot.w / 2, cy = plot.y + plot.h / 2;
+    const radius = Math.min(plot.w, plot.h) / 2 - size * 2.5;
+    let angle = -Math.PI / 2;
+    values.forEach((v, i) => {
+        const sweep = v / total * Math.PI * 2;
+        ctx.fillStyle = SERIES_COLORS[i % SERIES_COLORS.length];
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.arc(cx, cy, radius, angle, angle + sweep);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = size * 0.3;
+        ctx.stroke();
+        if (v / total >= 0.04) {
+            const mid = angle + sweep / 2;
+            ctx.fillStyle = INK;
+            ctx.font = font(size, true);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`${Math.round(v / total * 100)}%`, cx + Math.cos(mid) * (radius + size * 1.5), cy + Math.sin(mid) * (radius + size * 1.5));
+        }
+        angle += sweep;
+    });
+}
+
+// Draws onto a 2D context of a width x height canvas
+export function drawChart(ctx, width, height, data, { type = 'bar', title = '' } = {}) {
+    const size = Math.min(width, height) / 36; // Base text size; strokes and markers scale from it
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    let top = size * 1.5;
+    if (title) {
+        ctx.fillStyle = INK;
+        ctx.font = font(size * 1.6, true);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(title, width / 2, top);
+        top += size * 3;
+    }
+
+    const legend = type === 'pie'
+        ? data.labels.map((name, i) => ({ name, color: SERIES_COLORS[i % SERIES_COLORS.length] }))
+        : data.series.map((s, i) => ({ name: s.name, color: SERIES_COLORS[i % SERIES_COLORS.length] }));
+    const showLegend = type === 'pie' || legend.length > 1;
+    const bottom = height - (showLegend ? size * 3.5 : size);
+    if (showLegend) drawLegend(ctx, legend.slice(0, 12), size * 2, height - size * 2, width - size * 4, size);
+
+    if (type === 'pie') {
+        drawPie(ctx, { x: 0, y: top, w: width, h: bottom - top }, data, size);
+        return;
+    }
+    const plot = { x: size * 5, y: top, w: width - size * 7, h: bottom - top - size * 2.5 };
+    const draw = { bar: drawBars, line: drawLines, area: drawAreas }[type];
+    if (!draw) throw new Error(`Unknown chart type "${type}"`);
+    draw(ctx, plot, data, size);
+}
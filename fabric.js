@@ -0,0 +1,160 @@
+// Fabric Backgrounds
+// Procedural base cloths for the unstitched parts of an embroidery, and tiling for a photo of real
+// fabric. Every function returns RGBA pixels of the requested size. Weave sizes are given in source
+// pixels and multiplied by scale, so a print render shows the same cloth at a finer resolution, and all
+// randomness comes from the random() passed in so renders stay reproducible.
+
+export const FABRICS = [
+    ['linen', 'Linen'],
+    ['denim', 'Denim twill'],
+    ['felt', 'Felt'],
+    ['aida', 'Aida cloth'],
+    ['canvas', 'Canvas']
+];
+
+// Height of a round thread at f (0-1) across it: 0 at its edges, 1 on top
+const threadProfile = f => Math.sin(Math.PI * f);
+
+// Smooth random values (0-1) on a grid of cells, bilinearly interpolated between the cell corners.
+// A cell width of 1 gives every column its own independent values, e.g. one per thread.
+function valueNoise(width, height, random, cellX, cellY = cellX) {
+    const cols = Math.ceil(width / cellX) + 2, rows = Math.ceil(height / cellY) + 2;
+    const grid = Float32Array.from({ length: cols * rows }, () => random());
+    return (x, y) => {
+        const gx = x / cellX, gy = y / cellY;
+        const i = Math.floor(gx), j = Math.floor(gy), fx = gx - i, fy = gy - j;
+        const top = grid[j * cols + i] * (1 - fx) + grid[j * cols + i + 1] * fx;
+        const bottom = grid[(j + 1) * cols + i] * (1 - fx) + grid[(j + 1) * cols + i + 1] * fx;
+        return top * (1 - fy) + bottom * fy;
+    };
+}
+
+// Over-under shading of a woven cloth with threads pitch pixels apart. warpUp(i, j) says whether the
+// vertical thread lies on top where column i crosses row j. Returns the shade and which thread shows.
+function weave(x, y, pitch, warpUp) {
+    const gx = x / pitch, gy = y / pitch;
+    const i = Math.floor(gx), j = Math.floor(gy), fx = gx - i, fy = gy - j;
+    const warp = warpUp(i, j);
+    const across = warp ? fx : fy, along = warp ? fy : fx;
+    // The top thread arches over the crossing; the one beneath shows in the gap at its edges
+    const height = threadProfile(across) * (0.65 + 0.35 * threadProfile(along));
+    // Light from the top left brightens the side of the thread facing it
+    const lit = -0.12 * Math.cos(Math.PI * across);
+    return { shade: 0.7 + 0.3 * height + lit * height, warp, column: i, row: j };
+}
+
+// Shade per pixel (around 1) for each procedural cloth, plus an optional second color for the weft
+const CLOTHS = {
+    // Plain weave with uneven, slubby threads
+    linen(width, height, scale, random) {
+        const pitch = 4 * scale;
+        const slubs = valueNoise(width / pitch + 2, height, random, 1, 6 * pitch);
+        const crossSlubs = valueNoise(width, height / pitch + 2, random, 6 * pitch, 1);
+        return (x, y) => {
+            const { shade, warp, column, row } = weave(x, y, pitch, (i, j) => (i + j) % 2 === 0);
+            const slub = warp ? slubs(column, y) : crossSlubs(x, row);
+            return { shade: shade * (0.9 + 0.18 * slub) };
+        };
+    },
+
+    // 3/1 twill: each warp thread floats over three weft threads, shifted by one per row into diagonals.
+    // The fabric color dyes the warp; the weft stays almost white, as in indigo denim.
+    denim(width, height, scale, random) {
+        const pitch = 3 * scale;
+        const fading = valueNoise(width / pitch + 2, height, random, 1, 12 * pitch);
+        return (x, y) => {
+            const { shade, warp, column } = weave(x, y, pitch, (i, j) => (((i + j) % 4) + 4) % 4 !== 0);
+            return warp
+                ? { shade: shade * (0.86 + 0.24 * fading(column, y)) }
+                : { shade: shade * 0.95, weft: 0.8 };
+        };
+    },
+
+    // Matted fibers instead of a weave: soft cloudy density and short stray hairs
+    felt(width, height, scale, random) {
+        const clouds = valueNoise(width, height, random, 14 * scale);
+        const grain = valueNoise(width, height, random, 3 * scale);
+        const hairs = new Float32Array(width * height);
+        const count = Math.round(width * height / (30 * scale * scale));
+        for (let n = 0; n < count; n++) {
+            const angle = random() * Math.PI, length = (3 + random() * 7) * scale;
+            const dx = Math.cos(angle), dy = Math.sin(angle), tone = (random() - 0.5) * 0.16;
+            let x = random() * width, y = random() * height;
+            for (let t = 0; t < length; t++, x += dx, y += dy) {
+                const px = Math.floor(x), py = Math.floor(y);
+                if (px >= 0 && px < width && py >= 0 && py < height) hairs[py * width + px] += tone;
+            }
+        }
+        return (x, y) => ({ shade: 0.88 + 0.1 * clouds(x, y) + 0.06 * grain(x, y) + hairs[y * width + x] });
+    },
+
+    // Cross-stitch cloth: raised square blocks of four threads each way with holes at the corners
+    aida(width, height, scale) {
+        const block = 6 * scale;
+        const ramp = f => Math.min(1, Math.min(f, 1 - f) / 0.18);
+        return (x, y) => {
+            const fx = (x / block) % 1, fy = (y / block) % 1;
+            const gx = ramp(fx), gy = ramp(fy);
+            const threads = 0.04 * (threadProfile((fx * 4) % 1) + threadProfile((fy * 4) % 1));
+            const hole = (1 - gx) * (1 - gy);
+            return { shade: 0.8 + 0.16 * gx * gy + threads - 0.4 * hole };
+        };
+    },
+
+    // Heavy plain weave of thick round threads with a blotchy sizing
+    canvas(width, height, scale, random) {
+        const pitch = 6 * scale;
+        const blotches = valueNoise(width, height, random, 40 * scale);
+        return (x, y) => {
+            const { shade } = weave(x, y, pitch, (i, j) => (i + j) % 2 === 0);
+            return { shade: (0.78 + 0.28 * (shade - 0.7) / 0.3) * (0.95 + 0.08 * blotches(x, y)) };
+        };
+    }
+};
+
+// rgb is the cloth color; the weave only shades it (and whitens denim's weft), with a little fine grain
+export function renderFabric(type, width, height, rgb, { scale = 1, random = Math.random } = {}) {
+    const cloth = CLOTHS[type];
+    if (!cloth) throw new Error(`Unknown fabric "${type}"`);
+    const sample = cloth(width, height, scale, random);
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const { shade, weft = 0 } = sample(x, y);
+            const s = shade + (random() - 0.5) * 0.04;
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                const color = rgb[c] * (1 - weft) + 235 * weft;
+                // The added term keeps the weave visible on very dark cloth
+                pixels[i + c] = color * s + (s - 0.9) * 50;
+            }
+            pixels[i + 3] = 255;
+        }
+    }
+    return pixels;
+}
+
+// Repeats photo (ImageData of a tileable fabric) across the area, each photo pixel covering scale pixels
+export function tileFabricPhoto(photo, width, height, scale = 1) {
+    const { width: pw, height: ph, data } = photo;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        // Bilinear between neighboring photo pixels, wrapping at the tile edges
+        const sy = (y + 0.5) / scale - 0.5;
+        const y0 = Math.floor(sy), fy = sy - y0;
+        const r0 = ((y0 % ph) + ph) % ph, r1 = (r0 + 1) % ph;
+        for (let x = 0; x < width; x++) {
+            const sx = (x + 0.5) / scale - 0.5;
+            const x0 = Math.floor(sx), fx = sx - x0;
+            const c0 = ((x0 % pw) + pw) % pw, c1 = (c0 + 1) % pw;
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                const top = data[(r0 * pw + c0) * 4 + c] * (1 - fx) + data[(r0 * pw + c1) * 4 + c] * fx;
+                const bottom = data[(r1 * pw + c0) * 4 + c] * (1 - fx) + data[(r1 * pw + c1) * 4 + c] * fx;
+                pixels[i + c] = top * (1 - fy) + bottom * fy;
+            }
+            pixels[i + 3] = 255;
+        }
+    }
+    return pixels;
+}
@@ -0,0 +1,8 @@
+// Markup Escaping
+// Text built into HTML or SVG strings: safe in element content and in quoted attribute values.
+
+const ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(text) {
+    return String(text).replace(/[<>&"']/g, c => ENTITIES[c]);
+}
@@ -0,0 +1,318 @@
+// Region Mask Editor
+// Paints which part of the uploaded image gets the style: brush and eraser strokes, rectangles, lasso
+// shapes and a magic wand that picks up touching pixels of a similar color. The mask is kept at the
+// image's own size as white on transparent, the form CreativePipeline's region option takes.
+
+const UNDO_BUDGET = 128 * 1024 * 1024; // Bytes of mask snapshots kept for undo
+const TINT = '#dc3545';                // Masked area overlay, drawn at half opacity
+
+export class MaskEditor {
+    constructor(container, { onChange = null } = {}) {
+        this.container = container;
+        this.onChange = onChange; // (mask ImageData | null) => void after every edit
+        this.image = null;
+        this.pixels = null;       // Image pixels for the magic wand
+        this.undoStack = [];
+        this.drag = null;
+        this.empty = true;
+
+        const el = role => container.querySelector(`[data-role="${role}"]`);
+        this.view = el('view');
+        this.viewCtx = this.view.getContext('2d');
+        this.sizeInput = el('size');
+        this.toleranceInput = el('tolerance');
+        this.status = el('status');
+        this.mask = document.createElement('canvas');
+        this.maskCtx = this.mask.getContext('2d', { willReadFrequently: true });
+        this.tint = document.createElement('canvas');
+
+        el('undo').addEventListener('click', () => this.undo());
+        el('invert').addEventListener('click', () => this.invert());
+        el('clear').addEventListener('click', () => this.clear());
+        el('close').addEventListener('click', () => this.close());
+        container.querySelectorAll('[data-mask-tool]').forEach(input => {
+            input.addEventListener('change', () => { this.view.style.cursor = input.value === 'wand' ? 'pointer' : 'crosshair'; });
+        });
+        this.attachEvents();
+        this.updateStatus();
+    }
+
+    get tool() {
+        return this.container.querySelector('[data-mask-tool]:checked').value;
+    }
+
+    open() {
+        this.container.classList.remove('d-none');
+        this.render();
+        this.container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    close() {
+        this.container.classList.add('d-none');
+    }
+
+    // A new image starts with an empty mask; null (batch mode) leaves nothing to paint on
+    async setImage(file) {
+        this.image = null;
+        this.pixels = null;
+        this.undoStack = [];
+        if (file) {
+            const img = await createImageBitmap(file);
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(img, 0, 0);
+            this.image = canvas;
+            this.pixels = ctx.getImageData(0, 0, img.width, img.height);
+        }
+        const { width = 1, height = 1 } = this.image || {};
+        for (const canvas of [this.mask, this.tint, this.view]) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        this.changed(false);
+    }
+
+    // ImageData (any size, white = styled) from a saved project, or null to clear
+    setMask(mask) {
+        this.maskCtx.clearRect(0, 0, this.mask.width, this.mask.height);
+        if (mask) {
+            const source = document.createElement('canvas');
+            source.width = mask.width;
+            source.height = mask.height;
+            source.getContext('2d').putImageData(mask, 0, 0);
+            this.maskCtx.drawImage(source, 0, 0, this.mask.width, this.mask.height);
+        }
+        this.undoStack = [];
+        this.changed(false);
+    }
+
+    // null while nothing is painted, so the whole image gets the style
+    getMask() {
+        if (this.empty || !this.image) return null;
+        return this.maskCtx.getImageData(0, 0, this.mask.width, this.mask.height);
+    }
+
+    toDataURL() {
+        return this.empty ? null : this.mask.toDataURL('image/png');
+    }
+
+    // ==========================================
+    // EDITING
+    // ==========================================
+
+    pushUndo() {
+        const snapshot = this.maskCtx.getImageData(0, 0, this.mask.width, this.mask.height);
+        const limit = Math.max(1, Math.floor(UNDO_BUDGET / snapshot.data.length));
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > limit) this.undoStack.shift();
+    }
+
+    undo() {
+        if (!this.undoStack.length) return;
+        this.maskCtx.putImageData(this.undoStack.pop(), 0, 0);
+        this.changed();
+    }
+
+    invert() {
+        if (!this.image) return;
+        this.pushUndo();
+        const mask = this.maskCtx.getImageData(0, 0, this.mask.width, this.mask.height);
+        const data = mask.data;
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = data[i + 1] = data[i + 2] = 255;
+            data[i + 3] = 255 - data[i + 3];
+        }
+        this.maskCtx.putImageData(mask, 0, 0);
+        this.changed();
+    }
+
+    clear() {
+        if (this.empty) return;
+        this.pushUndo();
+        this.maskCtx.clearRect(0, 0, this.mask.width, this.mask.height);
+        this.changed();
+    }
+
+    // Fills a shape drawn by paint(ctx) into the mask, or cuts it out
+    fillShape(paint, subtract) {
+        const ctx = this.maskCtx;
+        ctx.save();
+        ctx.globalCompositeOperation = subtract ? 'destination-out' : 'source-over';
+        ctx.fillStyle = ctx.strokeStyle = '#fff';
+        paint(ctx);
+        ctx.restore();
+    }
+
+    strokeTo(point, subtract) {
+        const from = this.drag.last;
+        this.fillShape(ctx => {
+            ctx.lineWidth = this.brushSize();
+            ctx.lineCap = ctx.lineJoin = 'round';
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(point.x + 0.01, point.y); // A zero-length line draws nothing
+            ctx.stroke();
+        }, subtract);
+        this.drag.last = point;
+    }
+
+    // Selects the 4-connected area around (x, y) whose colors stay within the tolerance of the clicked one
+    magicWand(x, y, subtract) {
+        const { width: w, height: h, data } = this.pixels;
+        x = Math.floor(x);
+        y = Math.floor(y);
+        if (x < 0 || y < 0 || x >= w || y >= h) return;
+        const start = (y * w + x) * 4;
+        const [r0, g0, b0] = [data[start], data[start + 1], data[start + 2]];
+        const limit = Number(this.toleranceInput.value) ** 2;
+        const similar = p => {
+            const dr = data[p * 4] - r0, dg = data[p * 4 + 1] - g0, db = data[p * 4 + 2] - b0;
+            return dr * dr + dg * dg + db * db <= limit;
+        };
+
+        const mask = this.maskCtx.getImageData(0, 0, w, h);
+        const seen = new Uint8Array(w * h);
+        const stack = [y * w + x];
+        seen[y * w + x] = 1;
+        while (stack.length) {
+            const p = stack.pop();
+            mask.data[p * 4] = mask.data[p * 4 + 1] = mask.data[p * 4 + 2] = 255;
+            mask.data[p * 4 + 3] = subtract ? 0 : 255;
+            const px = p % w;
+            for (const q of [px > 0 ? p - 1 : -1, px < w - 1 ? p + 1 : -1, p - w, p + w]) {
+                if (q < 0 || q >= w * h || seen[q] || !similar(q)) continue;
+                seen[q] = 1;
+                stack.push(q);
+            }
+        }
+        this.maskCtx.putImageData(mask, 0, 0);
+    }
+
+    changed(notify = true) {
+        const data = this.maskCtx.getImageData(0, 0, this.mask.width, this.mask.height).data;
+        let covered = 0;
+        for (let i = 3; i < data.length; i += 4) if (data[i] > 127) covered++;
+        // Faint anti-aliased leftovers of erased strokes do not count as a mask
+        this.empty = !this.image || covered === 0;
+        this.coverage = covered / (this.mask.width * this.mask.height);
+        this.updateStatus();
+        this.render();
+        if (notify && this.onChange) this.onChange(this.getMask());
+    }
+
+    updateStatus() {
+        this.status.textContent = this.empty
+            ? 'Nothing painted yet: the whole image gets the style'
+            : `The style covers ${Math.round(this.coverage * 100)}% of the image`;
+    }
+
+    // ==========================================
+    // DRAWING
+    // ==========================================
+
+    render() {
+        const ctx = this.viewCtx;
+        ctx.clearRect(0, 0, this.view.width, this.view.height);
+        if (!this.image) return;
+        ctx.drawImage(this.image, 0, 0);
+
+        const tint = this.tint.getContext('2d');
+        tint.globalCompositeOperation = 'copy';
+        tint.drawImage(this.mask, 0, 0);
+        tint.globalCompositeOperation = 'source-in';
+        tint.fillStyle = TINT;
+        tint.fillRect(0, 0, this.tint.width, this.tint.height);
+        ctx.globalAlpha = 0.5;
+        ctx.drawImage(this.tint, 0, 0);
+        ctx.globalAlpha = 1;
+
+        // Outline of the rectangle or lasso being dragged
+        const drag = this.drag;
+        if (drag && (drag.tool === 'rect' || drag.tool === 'lasso')) {
+            ctx.save();
+            ctx.lineWidth = 2 * this.pixelRatio();
+            ctx.setLineDash([6 * this.pixelRatio(), 4 * this.pixelRatio()]);
+            ctx.strokeStyle = '#fff';
+            this.shapePath(ctx, drag);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    shapePath(ctx, drag) {
+        ctx.beginPath();
+        if (drag.tool === 'rect') {
+            const { start, last } = drag;
+            ctx.rect(Math.min(start.x, last.x), Math.min(start.y, last.y), Math.abs(last.x - start.x), Math.abs(last.y - start.y));
+        } else {
+            drag.points.forEach(({ x, y }, i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+            ctx.closePath();
+        }
+    }
+
+    // ==========================================
+    // INPUT
+    // ==========================================
+
+    // Image pixels per CSS pixel of the scaled-down view
+    pixelRatio() {
+        const rect = this.view.getBoundingClientRect();
+        return rect.width ? this.view.width / rect.width : 1;
+    }
+
+    // The size slider is in screen pixels, so the brush feels the same on any image size
+    brushSize() {
+        return Number(this.sizeInput.value) * this.pixelRatio();
+    }
+
+    toImage(e) {
+        const rect = this.view.getBoundingClientRect();
+        const ratio = this.pixelRatio();
+        return { x: (e.clientX - rect.left) * ratio, y: (e.clientY - rect.top) * ratio };
+    }
+
+    // Holding Alt takes rectangles, lasso shapes and wand picks out of the mask
+    attachEvents() {
+        const view = this.view;
+        view.addEventListener('pointerdown', (e) => {
+            if (!this.image || this.drag) return;
+            view.setPointerCapture(e.pointerId);
+            const point = this.toImage(e);
+            const tool = this.tool;
+            this.pushUndo();
+            if (tool === 'wand') {
+                this.magicWand(point.x, point.y, e.altKey);
+                this.changed();
+                return;
+            }
+            this.drag = { tool, start: point, last: point, points: [point] };
+            if (tool === 'brush' || tool === 'eraser') this.strokeTo(point, tool === 'eraser');
+            this.render();
+        });
+        view.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            const point = this.toImage(e);
+            const { tool } = this.drag;
+            if (tool === 'brush' || tool === 'eraser') this.strokeTo(point, tool === 'eraser');
+            else {
+                this.drag.last = point;
+                this.drag.points.push(point);
+            }
+            this.render();
+        });
+        const finish = (e) => {
+            const drag = this.drag;
+            if (!drag) return;
+            this.drag = null;
+            if (drag.tool === 'rect' || drag.tool === 'lasso') this.fillShape(ctx => {
+                this.shapePath(ctx, drag);
+                ctx.fill();
+            }, e.altKey);
+            this.changed();
+        };
+        view.addEventListener('pointerup', finish);
+        view.addEventListener('pointercancel', finish);
+    }
+}
@@ -0,0 +1,183 @@
+// Cross-stitch Pattern Chart
+// Turns a stitch grid (see CreativePipeline.buildStitchGrid) into a printable chart:
+// one symbol per floss color, bold lines every 10 stitches, row/column numbers and a floss legend.
+
+import { PdfDocument } from './pdf.js';
+import { escapeHtml } from './markup.js';
+
+// Symbols paired with their Helvetica advance width (per 1000 em) so they can be centred in a cell
+const SYMBOLS = [
+    ['X', 667], ['O', 778], ['/', 278], ['+', 584], ['#', 556], ['@', 1015], ['%', 889], ['S', 667],
+    ['=', 584], ['T', 611], ['V', 667], ['\\', 278], ['Z', 611], ['N', 722], ['*', 389], ['H', 722],
+    ['&', 667], ['<', 584], ['>', 584], ['K', 667], ['?', 556], ['$', 556], ['^', 469], ['C', 722],
+    ['U', 722], ['W', 944], ['M', 833], ['A', 667], ['E', 667], ['Y', 667], ['L', 556], ['~', 584]
+];
+
+const AIDA_COUNT = 14; // Stitches per inch used for the finished-size estimate
+
+function symbolFor(i) {
+    return SYMBOLS[i % SYMBOLS.length];
+}
+
+// Pale version of the floss color so the symbol stays readable on print
+function tint(rgb, amount = 0.55) {
+    return rgb.map(v => Math.round(v + (255 - v) * amount));
+}
+
+function finishedSize(grid) {
+    const cm = stitches => (stitches / AIDA_COUNT * 2.54).toFixed(1);
+    return `${cm(grid.cols)} x ${cm(grid.rows)} cm on ${AIDA_COUNT}-count Aida`;
+}
+
+// ==========================================
+// PDF (multi-page, A4)
+// ==========================================
+
+export function buildPatternChartPDF(grid, { title = 'Cross-stitch Pattern' } = {}) {
+    const doc = new PdfDocument({ title });
+    const margin = 36, cell = 9, gutter = 20;
+    const colsPerPage = 50, rowsPerPage = 70;
+    const pagesX = Math.ceil(grid.cols / colsPerPage);
+    const pagesY = Math.ceil(grid.rows / rowsPerPage);
+
+    // Page 1: legend and page map
+    const legendPage = doc.addPage();
+    legendPage.fillColor([0, 0, 0]);
+    legendPage.text(margin, margin + 12, title, { size: 16, bold: true });
+    legendPage.text(margin, margin + 30, `${grid.cols} x ${grid.rows} stitches - ${finishedSize(grid)} - ${grid.legend.length} colors`, { size: 10 });
+
+    let y = margin + 58;
+    legendPage.text(margin, y, 'Symbol', { size: 9, bold: true });
+    legendPage.text(margin + 50, y, 'Color', { size: 9, bold: true });
+    legendPage.text(margin + 90, y, 'Code', { size: 9, bold: true });
+    legendPage.text(margin + 150, y, 'Name', { size: 9, bold: true });
+    legendPage.text(margin + 360, y, 'Stitches', { size: 9, bold: true });
+    legendPage.strokeColor([0, 0, 0]).lineWidth(0.5).line(margin, y + 4, legendPage.width - margin, y + 4);
+
+    grid.legend.forEach((entry, i) => {
+        y += 16;
+        const [symbol, symWidth] = symbolFor(i);
+        legendPage.strokeColor([120, 120, 120]).lineWidth(0.25);
+        legendPage.fillColor(tint(entry.rgb)).rect(margin + 8, y - 10, 13, 13, 'B');
+        legendPage.fillColor([0, 0, 0]).text(margin + 14.5 - symWidth / 1000 * 5, y, symbol, { size: 10 });
+        legendPage.fillColor(entry.rgb).rect(margin + 50, y - 10, 24, 13, 'B');
+        legendPage.fillColor([0, 0, 0]);
+        legendPage.text(margin + 90, y, `${entry.brand} ${entry.code}`, { size: 9 });
+        legendPage.text(margin + 150, y, entry.name, { size: 9 });
+        legendPage.text(margin + 360, y, entry.count.toLocaleString('en-US'), { size: 9 });
+    });
+
+    // Page map so stitchers know which sheet covers which part of the design
+    if (pagesX * pagesY > 1) {
+        y += 40;
+        legendPage.text(margin, y, 'Page map', { size: 11, bold: true });
+        const mapCell = Math.min(40, (legendPage.width - margin * 2) / pagesX);
+        for (let py = 0; py < pagesY; py++) {
+            for (let px = 0; px < pagesX; px++) {
+                const mx = margin + px * mapCell, my = y + 10 + py * mapCell * 1.4;
+                legendPage.strokeColor([0, 0, 0]).lineWidth(0.5).rect(mx, my, mapCell, mapCell * 1.4, 'S');
+                legendPage.text(mx + 4, my + 12, String(2 + py * pagesX + px), { size: 9 });
+            }
+        }
+    }
+
+    // Chart pages
+    for (let py = 0; py < pagesY; py++) {
+        for (let px = 0; px < pagesX; px++) {
+            const page = doc.addPage();
+            const c0 = px * colsPerPage, r0 = py * rowsPerPage;
+            const cols = Math.min(colsPerPage, grid.cols - c0);
+            const rows = Math.min(rowsPerPage, grid.rows - r0);
+            const ox = margin + gutter, oy = margin + 30;
+
+            page.fillColor([0, 0, 0]);
+            page.text(margin, margin + 10, `${title} - page ${2 + py * pagesX + px} of ${1 + pagesX * pagesY}`, { size: 10, bold: true });
+            page.text(margin, margin + 22, `Columns ${c0 + 1}-${c0 + cols}, rows ${r0 + 1}-${r0 + rows}`, { size: 8 });
+
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    const idx = grid.cells[(r0 + r) * grid.cols + c0 + c];
+                    const [symbol, symWidth] = symbolFor(idx);
+                    const x = ox + c * cell, yy = oy + r * cell;
+                    page.fillColor(tint(grid.legend[idx].rgb)).rect(x, yy, cell, cell);
+                    page.fillColor([0, 0, 0]).text(x + (cell - symWidth / 1000 * 7) / 2, yy + cell - 1.8, symbol, { size: 7 });
+                }
+            }
+
+            // Fine grid, then bold lines every 10 stitches counted from the design origin
+            for (let c = 0; c <= cols; c++) {
+                const bold = (c0 + c) % 10 === 0 || c === cols;
+                page.strokeColor(bold ? [0, 0, 0] : [150, 150, 150]).lineWidth(bold ? 1 : 0.25);
+                page.line(ox + c * cell, oy, ox + c * cell, oy + rows * cell);
+                if ((c0 + c) % 10 === 0 && c0 + c > 0) {
+                    page.fillColor([0, 0, 0]).text(ox + c * cell - 5, oy - 3, String(c0 + c), { size: 6 });
+                }
+            }
+            for (let r = 0; r <= rows; r++) {
+                const bold = (r0 + r) % 10 === 0 || r === rows;
+                page.strokeColor(bold ? [0, 0, 0] : [150, 150, 150]).lineWidth(bold ? 1 : 0.25);
+                page.line(ox, oy + r * cell, ox + cols * cell, oy + r * cell);
+                if ((r0 + r) % 10 === 0 && r0 + r > 0) {
+                    page.fillColor([0, 0, 0]).text(margin, oy + r * cell + 2, String(r0 + r), { size: 6 });
+                }
+            }
+        }
+    }
+
+    return doc.save();
+}
+
+// ==========================================
+// SVG (single sheet)
+// ==========================================
+
+export function buildPatternChartSVG(grid, { title = 'Cross-stitch Pattern' } = {}) {
+    const cell = 12, gutter = 28, top = 60;
+    const chartW = grid.cols * cell, chartH = grid.rows * cell;
+    const legendTop = top + chartH + 40;
+    const width = gutter + chartW + 20;
+    const height = legendTop + 30 + grid.legend.length * 22 + 20;
+    const out = [];
+
+    out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`);
+    out.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+    out.push(`<text x="${gutter}" y="24" font-size="16" font-weight="bold">${escapeHtml(title)}</text>`);
+    out.push(`<text x="${gutter}" y="42" font-size="11">${grid.cols} x ${grid.rows} stitches - ${finishedSize(grid)}</text>`);
+
+    out.push(`<g transform="translate(${gutter},${top})" font-size="9" text-anchor="middle" dominant-baseline="central">`);
+    for (let r = 0; r < grid.rows; r++) {
+        for (let c = 0; c < grid.cols; c++) {
+            const idx = grid.cells[r * grid.cols + c];
+            const fill = tint(grid.legend[idx].rgb);
+            out.push(`<rect x="${c * cell}" y="${r * cell}" width="${cell}" height="${cell}" fill="rgb(${fill.join(',')})"/>`
+                + `<text x="${c * cell + cell / 2}" y="${r * cell + cell / 2}">${escapeHtml(symbolFor(idx)[0])}</text>`);
+        }
+    }
+    for (let c = 0; c <= grid.cols; c++) {
+        const bold = c % 10 === 0 || c === grid.cols;
+        out.push(`<line x1="${c * cell}" y1="0" x2="${c * cell}" y2="${chartH}" stroke="${bold ? '#000' : '#999'}" stroke-width="${bold ? 1.5 : 0.4}"/>`);
+        if (c % 10 === 0 && c > 0) out.push(`<text x="${c * cell}" y="-8">${c}</text>`);
+    }
+    for (let r = 0; r <= grid.rows; r++) {
+        const bold = r % 10 === 0 || r === grid.rows;
+        out.push(`<line x1="0" y1="${r * cell}" x2="${chartW}" y2="${r * cell}" stroke="${bold ? '#000' : '#999'}" stroke-width="${bold ? 1.5 : 0.4}"/>`);
+        if (r % 10 === 0 && r > 0) out.push(`<text x="-14" y="${r * cell}">${r}</text>`);
+    }
+    out.push('</g>');
+
+    out.push(`<g transform="translate(${gutter},${legendTop})" font-size="11">`);
+    out.push('<text x="0" y="0" font-weight="bold">Symbol</text><text x="60" y="0" font-weight="bold">Color</text>'
+        + '<text x="110" y="0" font-weight="bold">Code</text><text x="190" y="0" font-weight="bold">Name</text>'
+        + '<text x="400" y="0" font-weight="bold">Stitches</text>');
+    grid.legend.forEach((entry, i) => {
+        const y = 22 + i * 22;
+        out.push(`<rect x="4" y="${y - 12}" width="16" height="16" fill="rgb(${tint(entry.rgb).join(',')})" stroke="#777"/>`
+            + `<text x="12" y="${y}" text-anchor="middle">${escapeHtml(symbolFor(i)[0])}</text>`
+            + `<rect x="60" y="${y - 12}" width="30" height="16" fill="rgb(${entry.rgb.join(',')})" stroke="#777"/>`
+            + `<text x="110" y="${y}">${escapeHtml(`${entry.brand} ${entry.code}`)}</text>`
+            + `<text x="190" y="${y}">${escapeHtml(entry.name)}</text>`
+            + `<text x="400" y="${y}">${entry.count}</text>`);
+    });
+    out.push('</g></svg>');
+    return out.join('\n');
+}
@@ -0,0 +1,139 @@
+// Minimal PDF Writer
+// Just enough of PDF 1.4 for printable output: vector paths, Helvetica text and embedded JPEG images.
+// Coordinates are PDF points (1/72 in) with the origin at the top-left, converted to PDF's bottom-left on output.
+
+// PDF syntax and WinAnsi text are single-byte, so strings are written as Latin-1
+function latin1(str) {
+    const bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xFF;
+    return bytes;
+}
+
+function num(v) {
+    return Number.isInteger(v) ? String(v) : v.toFixed(2);
+}
+
+function escapeText(text) {
+    // Helvetica uses WinAnsi; anything outside Latin-1 is replaced
+    return String(text).replace(/[^\x20-\xff]/g, '?').replace(/([\\()])/g, '\\$1');
+}
+
+class PdfPage {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.ops = [];
+        this.images = [];
+    }
+
+    fillColor(rgb) {
+        this.ops.push(`${rgb.map(v => num(v / 255)).join(' ')} rg`);
+        return this;
+    }
+
+    strokeColor(rgb) {
+        this.ops.push(`${rgb.map(v => num(v / 255)).join(' ')} RG`);
+        return this;
+    }
+
+    lineWidth(w) {
+        this.ops.push(`${num(w)} w`);
+        return this;
+    }
+
+    rect(x, y, w, h, mode = 'f') {
+        this.ops.push(`${num(x)} ${num(this.height - y - h)} ${num(w)} ${num(h)} re ${mode}`);
+        return this;
+    }
+
+    line(x1, y1, x2, y2) {
+        this.ops.push(`${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+        return this;
+    }
+
+    // y is the text baseline
+    text(x, y, str, { size = 10, bold = false } = {}) {
+        this.ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(x)} ${num(this.height - y)} Td (${escapeText(str)}) Tj ET`);
+        return this;
+    }
+
+    // jpeg: { bytes: Uint8Array, width, height } in pixels
+    image(jpeg, x, y, w, h) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, ...jpeg });
+        this.ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(this.height - y - h)} cm /${name} Do Q`);
+        return this;
+    }
+}
+
+export class PdfDocument {
+    constructor({ title = 'Untitled' } = {}) {
+        this.title = title;
+        this.pages = [];
+    }
+
+    addPage(width = 595.28, height = 841.89) {
+        const page = new PdfPage(width, height);
+        this.pages.push(page);
+        return page;
+    }
+
+    save() {
+        const objects = [];
+        const add = body => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const infoId = add(`<< /Title (${escapeText(this.title)}) /Producer (Embroidered Charts Pipeline) >>`);
+
+        const pageIds = this.pages.map(page => {
+            const xObjects = page.images.map(img => {
+                const id = add({
+                    dict: `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.bytes.length} >>`,
+                    stream: img.bytes
+                });
+                return `/${img.name} ${id} 0 R`;
+            });
+            const content = latin1(page.ops.join('\n'));
+            const contentId = add({ dict: `<< /Length ${content.length} >>`, stream: content });
+            return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] `
+                + `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> /XObject << ${xObjects.join(' ')} >> >> `
+                + `/Contents ${contentId} 0 R >>`);
+        });
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const chunks = [latin1('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+        let offset = chunks[0].length;
+        const offsets = [];
+        const push = chunk => {
+            chunks.push(chunk);
+            offset += chunk.length;
+        };
+        objects.forEach((obj, i) => {
+            offsets.push(offset);
+            if (typeof obj === 'string') {
+                push(latin1(`${i + 1} 0 obj\n${obj}\nendobj\n`));
+            } else {
+                push(latin1(`${i + 1} 0 obj\n${obj.dict}\nstream\n`));
+                push(obj.stream);
+                push(latin1('\nendstream\nendobj\n'));
+            }
+        });
+
+        const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`]
+            .concat(offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`))
+            .join('');
+        push(latin1(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`));
+
+        const out = new Uint8Array(offset);
+        let pos = 0;
+        chunks.forEach(c => { out.set(c, pos); pos += c.length; });
+        return out;
+    }
+}
@@ -0,0 +1,181 @@
+// Custom Pipeline Editor
+// Builds user styles from the step registry: add, remove and reorder steps, tune each step's
+// parameters, and save the result by name in localStorage. Saved pipelines are plain
+// [{ id, params }] lists, rendered by the "custom" style (styles/custom.js).
+
+import { PIPELINE_STEPS, stepValues } from './pipeline-steps.js';
+import { escapeHtml } from './markup.js';
+
+const STORAGE_KEY = 'embroideredCharts.customPipelines';
+
+function loadCustomPipelines() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+export class PipelineEditor {
+    constructor(container, { onChange = null } = {}) {
+        this.container = container;
+        this.onChange = onChange; // (pipelines, savedName | null) => void after a save or delete
+        this.pipelines = loadCustomPipelines();
+        this.steps = [];
+
+        const el = role => container.querySelector(`[data-role="${role}"]`);
+        this.savedSelect = el('saved');
+        this.nameInput = el('name');
+        this.stepsList = el('steps');
+        this.addSelect = el('add-select');
+
+        // Step picker grouped by category
+        const groups = {};
+        Object.entries(PIPELINE_STEPS).forEach(([id, step]) => {
+            (groups[step.group] = groups[step.group] || []).push(`<option value="${id}">${escapeHtml(step.label)}</option>`);
+        });
+        this.addSelect.innerHTML = Object.entries(groups)
+            .map(([group, options]) => `<optgroup label="${escapeHtml(group)}">${options.join('')}</optgroup>`).join('');
+
+        el('add').addEventListener('click', () => {
+            this.steps.push({ id: this.addSelect.value, params: stepValues(this.addSelect.value) });
+            this.renderSteps();
+        });
+        el('save').addEventListener('click', () => this.save());
+        el('delete').addEventListener('click', () => this.remove());
+        el('close').addEventListener('click', () => this.close());
+        this.savedSelect.addEventListener('change', () => this.load(this.savedSelect.value));
+
+        this.stepsList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            const i = parseInt(btn.closest('[data-step]').dataset.step);
+            const action = btn.dataset.action;
+            if (action === 'remove') this.steps.splice(i, 1);
+            if (action === 'up' && i > 0) [this.steps[i - 1], this.steps[i]] = [this.steps[i], this.steps[i - 1]];
+            if (action === 'down' && i < this.steps.length - 1) [this.steps[i + 1], this.steps[i]] = [this.steps[i], this.steps[i + 1]];
+            this.renderSteps();
+        });
+        this.stepsList.addEventListener('input', (e) => {
+            const input = e.target.closest('[data-step-param]');
+            if (!input) return;
+            const i = parseInt(input.closest('[data-step]').dataset.step);
+            const param = PIPELINE_STEPS[this.steps[i].id].params[input.dataset.stepParam];
+            const value = param.type === 'range' ? Number(input.value) : input.value;
+            this.steps[i].params[input.dataset.stepParam] = value;
+            const display = input.parentElement.querySelector('[data-role="value"]');
+            if (display) display.textContent = value;
+        });
+
+        this.renderSaved();
+        this.renderSteps();
+    }
+
+    open(name = '') {
+        this.container.classList.remove('d-none');
+        if (name && this.pipelines[name]) this.load(name);
+        this.container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    close() {
+        this.container.classList.add('d-none');
+    }
+
+    load(name) {
+        this.savedSelect.value = name;
+        this.nameInput.value = name;
+        this.steps = (this.pipelines[name] || [])
+            .filter(({ id }) => PIPELINE_STEPS[id]) // Steps removed from the registry since saving
+            .map(({ id, params }) => ({ id, params: stepValues(id, params) }));
+        this.renderSteps();
+    }
+
+    save() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            alert('Please give the pipeline a name');
+            return;
+        }
+        if (!this.steps.length) {
+            alert('Add at least one step before saving');
+            return;
+        }
+        this.pipelines[name] = this.steps.map(({ id, params }) => ({ id, params: { ...params } }));
+        this.persist();
+        this.renderSaved();
+        this.savedSelect.value = name;
+        if (this.onChange) this.onChange(this.pipelines, name);
+    }
+
+    remove() {
+        const name = this.savedSelect.value;
+        if (!name || !confirm(`Delete the pipeline "${name}"?`)) return;
+        delete this.pipelines[name];
+        this.persist();
+        this.renderSaved();
+        this.load('');
+        if (this.onChange) this.onChange(this.pipelines, null);
+    }
+
+    // Adds a pipeline that arrived from elsewhere (a shared preset), dropping steps this version lacks
+    add(name, steps) {
+        this.pipelines[name] = steps
+            .filter(step => step && PIPELINE_STEPS[step.id])
+            .map(({ id, params }) => ({ id, params: stepValues(id, params) }));
+        this.persist();
+        this.renderSaved();
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.pipelines));
+        } catch (error) {
+            alert('Could not save pipelines: ' + error.message);
+        }
+    }
+
+    renderSaved() {
+        this.savedSelect.innerHTML = '<option value="">New pipeline</option>'
+            + Object.keys(this.pipelines).map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    }
+
+    renderSteps() {
+        if (!this.steps.length) {
+            this.stepsList.innerHTML = '<p class="text-white-50 mb-0">No steps yet. Pick a step below and click "Add Step".</p>';
+            return;
+        }
+        this.stepsList.innerHTML = this.steps.map(({ id, params }, i) => {
+            const step = PIPELINE_STEPS[id];
+            const controls = Object.entries(step.params || {}).map(([key, param]) => {
+                const value = params[key];
+                const input = param.type === 'select'
+                    ? `<select class="form-select form-select-sm" data-step-param="${escapeHtml(key)}">${param.options.map(([v, label]) =>
+                        `<option value="${escapeHtml(v)}"${v === value ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}</select>`
+                    : `<input type="range" class="form-range" data-step-param="${escapeHtml(key)}" min="${param.min}" max="${param.max}" step="${param.step}" value="${escapeHtml(value)}">`;
+                return `
+                    <div class="col-md-6">
+                        <label class="form-label text-white-50 small mb-0">${escapeHtml(param.label)}
+                            ${param.type === 'range' ? `<span data-role="value">${escapeHtml(value)}</span>` : ''}</label>
+                        ${input}
+                    </div>`;
+            }).join('');
+            return `
+                <div class="pipeline-step" data-step="${i}">
+                    <div class="d-flex align-items-center gap-2">
+                        <span class="badge bg-secondary">${i + 1}</span>
+                        <strong>${escapeHtml(step.label)}</strong>
+                        <small class="text-white-50">${escapeHtml(step.group)}</small>
+                        <div class="btn-group btn-group-sm ms-auto" role="group" aria-label="Step actions">
+                            <button type="button" class="btn btn-outline-light" data-action="up" title="Move up"${i === 0 ? ' disabled' : ''}>
+                                <i class="bi bi-arrow-up"></i></button>
+                            <button type="button" class="btn btn-outline-light" data-action="down" title="Move down"${i === this.steps.length - 1 ? ' disabled' : ''}>
+                                <i class="bi bi-arrow-down"></i></button>
+                            <button type="button" class="btn btn-outline-danger" data-action="remove" title="Remove step">
+                                <i class="bi bi-trash"></i></button>
+                        </div>
+                    </div>
+                    ${controls ? `<div class="row g-2 mt-1">${controls}</div>` : ''}
+                </div>`;
+        }).join('');
+    }
+}
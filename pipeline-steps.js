@@ -0,0 +1,181 @@
+// Pipeline Step Registry
+// Every reusable step function of CreativePipeline, described so the pipeline editor can list it,
+// show controls for its parameters and run the steps in any order.
+// run(pipeline, values) works on pipeline.imageData; steps that redraw from an image source
+// (halftone, tiles, brush strokes...) are handed a canvas of the current pixels, not the original upload.
+
+import { FABRICS } from './fabric.js';
+import { hexToRgb } from './styles/params.js';
+
+const range = (label, min, max, value) => ({ type: 'range', label, min, max, step: 1, default: value });
+
+const CATALOG_OPTIONS = [['', 'Free colors'], ['dmc', 'DMC'], ['madeira', 'Madeira'], ['isacord', 'Isacord']];
+const QUANTIZER_OPTIONS = [['kmeans', 'K-means++'], ['mediancut', 'Median cut'], ['octree', 'Octree']];
+const DITHER_OPTIONS = [['none', 'None'], ['floyd-steinberg', 'Floyd–Steinberg'], ['ordered', 'Ordered']];
+const CLOTH_COLORS = [['#e8dfcc', 'Natural'], ['#f4f1ea', 'White'], ['#2a2a2a', 'Black'], ['#2b4a7a', 'Indigo'], ['#8c2a2a', 'Red']];
+
+export const PIPELINE_STEPS = {
+    // Color
+    quantize: {
+        label: 'Quantize colors', group: 'Color',
+        params: {
+            numColors: range('Colors', 2, 16, 8),
+            quantizer: { type: 'select', label: 'Method', options: QUANTIZER_OPTIONS, default: 'kmeans' },
+            colorSpace: { type: 'select', label: 'Matching', options: [['lab', 'CIELAB'], ['rgb', 'RGB']], default: 'lab' },
+            dither: { type: 'select', label: 'Dithering', options: DITHER_OPTIONS, default: 'none' },
+            threadCatalog: { type: 'select', label: 'Thread catalog', options: CATALOG_OPTIONS, default: '' }
+        },
+        run: (p, v) => p.quantizeColors(p.imageData, v.numColors, { ...v, threadCatalog: v.threadCatalog || null })
+    },
+    grayscale: { label: 'Grayscale', group: 'Color', run: p => p.convertToGrayscale(p.imageData) },
+    colorBoost: {
+        label: 'Boost colors', group: 'Color',
+        params: { brightness: range('Brightness %', 80, 150, 115), saturation: range('Saturation %', 80, 150, 105) },
+        run: (p, v) => p.applyColorBoost(p.imageData, v.brightness, v.saturation)
+    },
+    woodcutThreshold: {
+        label: 'Ink threshold', group: 'Color',
+        params: { brightness: range('Threshold', 100, 130, 115) },
+        run: (p, v) => p.applyWoodcutThreshold(p.imageData, v.brightness)
+    },
+    blueprintColor: { label: 'Blueprint colors', group: 'Color', run: p => p.applyBlueprintColor(p.imageData) },
+    darkBackground: { label: 'Dark background', group: 'Color', run: p => p.applyDarkBackground(p.imageData) },
+
+    // Texture
+    threadPattern: {
+        label: 'Thread pattern', group: 'Texture',
+        params: { thickness: range('Thickness', 1, 5, 3) },
+        run: (p, v) => p.applyThreadPattern(p.imageData, v.thickness)
+    },
+    stitches: {
+        label: 'Satin and fill stitches', group: 'Texture',
+        params: {
+            stitchLength: range('Stitch length', 4, 24, 10),
+            stitchAngle: range('Fill angle', 0, 165, 45),
+            threadThickness: range('Thickness', 1, 5, 3),
+            spread: range('Uneven ends', 0, 5, 2)
+        },
+        run: (p, v) => p.renderStitches(p.imageData, v)
+    },
+    spread: {
+        label: 'Spread pixels', group: 'Texture',
+        params: { amount: range('Amount', 1, 5, 2) },
+        run: (p, v) => p.applySpread(p.imageData, v.amount)
+    },
+    fabricTexture: { label: 'Fabric texture', group: 'Texture', run: p => p.applyFabricTexture(p.imageData) },
+    // Needs the quantized colors of the current size, so it comes after quantizing and before any resizing
+    fabric: {
+        label: 'Base cloth', group: 'Texture',
+        params: {
+            fabric: { type: 'select', label: 'Fabric', options: [...FABRICS, ['photo', 'Uploaded photo']], default: 'linen' },
+            color: { type: 'select', label: 'Cloth color', options: CLOTH_COLORS, default: '#e8dfcc' }
+        },
+        run: (p, v) => p.applyFabric(p.imageData, v.fabric, hexToRgb(v.color))
+    },
+    shading3d: { label: '3D shading', group: 'Texture', run: p => p.apply3DShading(p.imageData) },
+    paperTexture: { label: 'Paper texture', group: 'Texture', run: p => p.applyPaperTexture(p.imageData) },
+    colorBleeding: {
+        label: 'Color bleeding', group: 'Texture',
+        params: { intensity: range('Bleed', 1, 5, 2) },
+        run: (p, v) => p.applyColorBleeding(p.imageData, v.intensity)
+    },
+    glassShine: { label: 'Glass shine', group: 'Texture', run: p => p.applyGlassShine(p.imageData) },
+    scanlines: {
+        label: 'Scanlines', group: 'Texture',
+        params: { thickness: range('Density', 1, 5, 3) },
+        run: (p, v) => p.applyScanlines(p.imageData, v.thickness)
+    },
+    channelShift: {
+        label: 'RGB channel shift', group: 'Texture',
+        params: { amount: range('Amount', 1, 5, 2) },
+        run: (p, v) => p.applyChannelShift(p.imageData, v.amount)
+    },
+    glitchSlices: {
+        label: 'Glitch slices', group: 'Texture',
+        params: { amount: range('Amount', 1, 5, 2) },
+        run: (p, v) => p.applyGlitchSlices(p.imageData, v.amount)
+    },
+
+    // Lines & edges
+    edgeDetection: { label: 'Edge detection', group: 'Lines & edges', run: p => p.applyEdgeDetection(p.imageData) },
+    boldOutlines: { label: 'Bold outlines', group: 'Lines & edges', run: p => p.applyBoldOutlines(p.imageData) },
+    leadLines: { label: 'Lead lines', group: 'Lines & edges', run: p => p.applyLeadLines(p.imageData) },
+    sketchLines: { label: 'Sketch lines', group: 'Lines & edges', run: p => p.applySketchLines(p.imageData) },
+    edgeDarkening: { label: 'Edge darkening', group: 'Lines & edges', run: p => p.applyEdgeDarkening(p.imageData) },
+    softEdges: {
+        label: 'Soft edges', group: 'Lines & edges',
+        params: { radius: range('Softness', 1, 5, 3) },
+        run: (p, v) => p.applySoftEdges(p.imageData, v.radius)
+    },
+    neonGlow: {
+        label: 'Neon glow', group: 'Lines & edges',
+        params: { intensity: range('Intensity', 100, 130, 115) },
+        run: (p, v) => p.applyNeonGlow(p.imageData, v.intensity)
+    },
+    woodcutHatching: {
+        label: 'Hatch lines', group: 'Lines & edges',
+        params: { thickness: range('Density', 1, 5, 3) },
+        run: (p, v) => p.applyWoodcutHatching(p.imageData, v.thickness)
+    },
+    comicDots: {
+        label: 'Ben-Day dots', group: 'Lines & edges',
+        params: { dotSize: range('Dot size', 1, 5, 3) },
+        run: (p, v) => p.applyComicDots(p.imageData, v.dotSize)
+    },
+    stitchGrid: {
+        label: 'Stitch grid', group: 'Lines & edges',
+        params: { blockSize: range('Cell size', 2, 20, 6) },
+        run: (p, v) => p.drawGrid(p.imageData, v.blockSize)
+    },
+    blueprintGrid: { label: 'Technical grid', group: 'Lines & edges', run: p => p.drawBlueprintGrid(p.imageData) },
+    grout: {
+        label: 'Grout lines', group: 'Lines & edges',
+        params: { tileSize: range('Tile size', 8, 30, 9), groutWidth: range('Grout width', 0, 6, 2) },
+        run: (p, v) => p.applyGrout(p.imageData, v.tileSize, v.groutWidth)
+    },
+
+    // Render (redraw the whole image)
+    pixelate: {
+        label: 'Pixelate', group: 'Render',
+        params: { blockSize: range('Block size', 2, 20, 6) },
+        run: (p, v) => p.pixelate(p.currentImageSource(), v.blockSize)
+    },
+    halftone: {
+        label: 'Halftone dots', group: 'Render',
+        params: { dotSize: range('Dot size', 4, 20, 8) },
+        run: (p, v) => p.renderHalftone(p.currentImageSource(), v.dotSize)
+    },
+    oilStrokes: {
+        label: 'Oil brush strokes', group: 'Render',
+        params: { radius: range('Brush size', 3, 12, 6) },
+        run: (p, v) => p.renderOilStrokes(p.currentImageSource(), v.radius)
+    },
+    tiles: {
+        label: 'Mosaic tiles', group: 'Render',
+        params: { tileSize: range('Tile size', 8, 30, 9) },
+        run: (p, v) => p.createTiles(p.currentImageSource(), v.tileSize)
+    },
+    ascii: {
+        label: 'ASCII characters', group: 'Render',
+        params: { cols: range('Columns', 40, 200, 100) },
+        run: (p, v) => p.renderASCII(p.currentImageSource(), { cols: v.cols })
+    }
+};
+
+// Default values for a step, overlaid with whatever was saved (so older saves pick up new parameters).
+// Saved values may come from a shared link, so each is checked against its parameter: ranges are
+// clamped, and unknown choices or values of the wrong type fall back to the default.
+export function stepValues(id, saved = {}) {
+    const values = {}, source = saved && typeof saved === 'object' ? saved : {};
+    Object.entries(PIPELINE_STEPS[id].params || {}).forEach(([key, param]) => {
+        values[key] = key in source ? checkedValue(param, source[key]) : param.default;
+    });
+    return values;
+}
+
+function checkedValue(param, value) {
+    if (param.type === 'range') {
+        return typeof value === 'number' && Number.isFinite(value) ? Math.min(param.max, Math.max(param.min, value)) : param.default;
+    }
+    return param.options.some(([option]) => option === value) ? value : param.default;
+}
@@ -0,0 +1,45 @@
+// Pipeline Worker
+// Runs CreativePipeline off the main thread on an OffscreenCanvas and relays step progress to the page.
+
+import { CreativePipeline } from './script.js';
+import { getStyleDefinition } from './style-registry.js';
+
+let currentJob = null;
+
+const pipeline = new CreativePipeline({
+    resultType: 'imageData',
+    stepDelay: 0, // Nothing to repaint in a worker
+    onProgress: (index, name, total) => self.postMessage({ type: 'progress', id: currentJob, index, name, total })
+});
+
+self.onmessage = async (e) => {
+    const { id, bitmap, style, styleModule, regionModule, params, captureSteps, scale, legibility, region, paletteEdits, fabricPhoto } = e.data;
+    currentJob = id;
+    try {
+        if (styleModule && !getStyleDefinition(style)) await import(styleModule);
+        if (regionModule && !getStyleDefinition(region.style)) await import(regionModule);
+        const imageData = await pipeline.processImage(bitmap, style, params, { captureSteps, scale, legibility, region, paletteEdits, fabricPhoto });
+
+        // Region data lets the page build stitch files and charts without another round trip
+        const state = {
+            quantized: pipeline.quantized,
+            stitchGrid: pipeline.stitchGrid,
+            stepSnapshots: pipeline.stepSnapshots,
+            vectorLayers: pipeline.vectorLayers,
+            legibleInk: pipeline.legibleInk,
+            clothMask: pipeline.clothMask
+        };
+        const transfer = [imageData.data.buffer];
+        if (state.quantized) transfer.push(state.quantized.indices.buffer, state.quantized.source.buffer);
+        if (state.stitchGrid) transfer.push(state.stitchGrid.cells.buffer);
+        if (state.vectorLayers.woodcut) transfer.push(state.vectorLayers.woodcut.indices.buffer);
+        if (state.clothMask) transfer.push(state.clothMask.buffer);
+        if (state.legibleInk) transfer.push(state.legibleInk.coverage.buffer, state.legibleInk.pixels.buffer);
+        state.stepSnapshots.forEach(snap => transfer.push(snap.imageData.data.buffer));
+        self.postMessage({ type: 'done', id, imageData, state }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    } finally {
+        bitmap.close(); // Also after a failed render, or its pixels stay allocated
+    }
+};
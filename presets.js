@@ -0,0 +1,88 @@
+// Named Presets
+// A preset is a style plus its parameter values: { style, params, pipeline? }.
+// style is the styleSelect value ('embroidery', or 'custom:<name>' for a saved pipeline, which then
+// carries its steps in pipeline so the preset still works on a machine that never saw it).
+// Presets live in localStorage, travel as JSON files and as URL query strings.
+
+const STORAGE_KEY = 'embroideredCharts.presets';
+const FILE_FORMAT = 'embroidered-charts-presets';
+
+export function loadPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+export function savePresets(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+function isPreset(value) {
+    return !!value && typeof value.style === 'string' && !!value.params && typeof value.params === 'object';
+}
+
+export function presetsToJSON(presets) {
+    return JSON.stringify({ format: FILE_FORMAT, version: 1, presets }, null, 2);
+}
+
+// Accepts an exported file ({ format, presets: { name: preset } }) or a single { name, style, params }
+export function presetsFromJSON(text) {
+    const data = JSON.parse(text);
+    if (data && data.format === FILE_FORMAT && data.presets && typeof data.presets === 'object') {
+        const presets = {};
+        Object.entries(data.presets).forEach(([name, preset]) => {
+            if (isPreset(preset)) presets[name] = preset;
+        });
+        return presets;
+    }
+    if (isPreset(data) && typeof data.name === 'string' && data.name.trim()) {
+        const { name, ...preset } = data;
+        return { [name.trim()]: preset };
+    }
+    throw new Error('This file does not contain any presets');
+}
+
+// ?style=embroidery&numColors=12&threadThickness=2 ... one query key per parameter
+export function presetToQuery(preset, name = '') {
+    const query = new URLSearchParams();
+    if (name) query.set('preset', name);
+    query.set('style', preset.style);
+    Object.entries(preset.params).forEach(([key, value]) => query.set(key, String(value)));
+    if (preset.pipeline) query.set('pipeline', JSON.stringify(preset.pipeline));
+    return query.toString();
+}
+
+// Values are typed with the parameter schema schemaOf(style) returns; unknown keys are ignored.
+// Returns null when the query has no style.
+export function presetFromQuery(search, schemaOf) {
+    const query = new URLSearchParams(search);
+    const style = query.get('style');
+    if (!style) return null;
+
+    const params = {};
+    Object.entries(schemaOf(style) || {}).forEach(([key, param]) => {
+        if (!query.has(key)) return;
+        const raw = query.get(key);
+        if (param.type === 'range' || param.type === 'seed') {
+            const value = Number(raw);
+            if (raw !== '' && Number.isFinite(value)) params[key] = param.type === 'seed' ? value >>> 0 : value;
+        } else if (param.type === 'boolean') {
+            params[key] = raw === 'true' || raw === '1';
+        } else {
+            params[key] = raw;
+        }
+    });
+    // Every render is seeded, so links reproduce the exact image even for styles without a seed control
+    if (!('seed' in params) && /^\d+$/.test(query.get('seed') || '')) params.seed = Number(query.get('seed')) >>> 0;
+
+    const preset = { style, params };
+    try {
+        const pipeline = JSON.parse(query.get('pipeline'));
+        if (Array.isArray(pipeline)) preset.pipeline = pipeline;
+    } catch {
+        // No pipeline, or a damaged one: the preset falls back to the saved pipeline of that name
+    }
+    return { name: query.get('preset') || '', preset };
+}
@@ -0,0 +1,105 @@
+// Print Export
+// Physical print sizes and the files that carry them: PNG with a pHYs chunk, uncompressed TIFF
+// with X/YResolution, and a one-page PDF whose page is exactly the print size.
+
+import { crc32 } from './zip.js';
+import { PdfDocument } from './pdf.js';
+
+export const CM_PER_INCH = 2.54;
+export const MAX_PRINT_PIXELS = 64e6; // Beyond this browsers run out of canvas memory
+export const MAX_PRINT_SIDE = 16384;  // Largest canvas side browsers allow
+
+// Pixel size of a print width units wide ('cm' or 'in') at dpi, keeping the source aspect ratio
+export function printPixelSize(source, { width, unit, dpi }) {
+    const inches = unit === 'cm' ? width / CM_PER_INCH : width;
+    const w = Math.max(1, Math.round(inches * dpi));
+    return { width: w, height: Math.max(1, Math.round(w * source.height / source.width)) };
+}
+
+// Writes the resolution (pixels per metre) into a pHYs chunk right after IHDR, dropping any other
+export function setPngDpi(png, dpi) {
+    const ppm = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, ppm);
+    view.setUint32(12, ppm);
+    chunk[16] = 1; // Unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    // 8-byte signature and the 25-byte IHDR chunk come first in every PNG
+    const source = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const parts = [png.subarray(0, 33), chunk];
+    for (let offset = 33; offset < png.length;) {
+        const end = offset + 12 + source.getUint32(offset);
+        if (source.getUint32(offset + 4) !== 0x70485973) parts.push(png.subarray(offset, end));
+        offset = end;
+    }
+
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    parts.forEach(part => {
+        out.set(part, pos);
+        pos += part.length;
+    });
+    return out;
+}
+
+// Baseline RGB TIFF: little-endian, uncompressed, one strip. Alpha is dropped (renders are opaque).
+export function encodeTIFF(imageData, dpi) {
+    const { width, height, data } = imageData;
+    const SHORT = 3, LONG = 4, RATIONAL = 5;
+    const tagCount = 13;
+    const bitsOffset = 8 + 2 + tagCount * 12 + 4;
+    const resolutionOffset = bitsOffset + 6;
+    const pixelsOffset = resolutionOffset + 8;
+    const pixelBytes = width * height * 3;
+    const tags = [
+        [256, LONG, 1, width],                // ImageWidth
+        [257, LONG, 1, height],               // ImageLength
+        [258, SHORT, 3, bitsOffset],          // BitsPerSample 8,8,8
+        [259, SHORT, 1, 1],                   // Compression: none
+        [262, SHORT, 1, 2],                   // PhotometricInterpretation: RGB
+        [273, LONG, 1, pixelsOffset],         // StripOffsets
+        [277, SHORT, 1, 3],                   // SamplesPerPixel
+        [278, LONG, 1, height],               // RowsPerStrip
+        [279, LONG, 1, pixelBytes],           // StripByteCounts
+        [282, RATIONAL, 1, resolutionOffset], // XResolution
+        [283, RATIONAL, 1, resolutionOffset], // YResolution
+        [284, SHORT, 1, 1],                   // PlanarConfiguration: chunky
+        [296, SHORT, 1, 2]                    // ResolutionUnit: inch
+    ];
+
+    const out = new Uint8Array(pixelsOffset + pixelBytes);
+    const view = new DataView(out.buffer);
+    out.set([0x49, 0x49, 42, 0]); // "II", 42
+    view.setUint32(4, 8, true);
+    view.setUint16(8, tagCount, true);
+    tags.forEach(([tag, type, count, value], i) => {
+        const entry = 10 + i * 12;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, type, true);
+        view.setUint32(entry + 4, count, true);
+        // Single SHORTs sit left-justified in the value field; everything else here is a LONG or an offset
+        if (type === SHORT && count === 1) view.setUint16(entry + 8, value, true);
+        else view.setUint32(entry + 8, value, true);
+    });
+    view.setUint32(10 + tagCount * 12, 0, true); // No further IFDs
+    [8, 8, 8].forEach((bits, i) => view.setUint16(bitsOffset + i * 2, bits, true));
+    view.setUint32(resolutionOffset, Math.round(dpi), true);
+    view.setUint32(resolutionOffset + 4, 1, true);
+
+    for (let i = 0, o = pixelsOffset; i < data.length; i += 4, o += 3) {
+        out[o] = data[i]; out[o + 1] = data[i + 1]; out[o + 2] = data[i + 2];
+    }
+    return out;
+}
+
+// jpeg: { bytes, width, height } in pixels, placed on a page of exactly width/dpi x height/dpi inches
+export function buildPrintPDF(jpeg, dpi, { title = 'Print' } = {}) {
+    const doc = new PdfDocument({ title });
+    const w = jpeg.width / dpi * 72, h = jpeg.height / dpi * 72;
+    doc.addPage(w, h).image(jpeg, 0, 0, w, h);
+    return doc.save();
+}
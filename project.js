@@ -0,0 +1,46 @@
+// Project Files
+// A project is one uploaded chart with everything needed to pick the work up again:
+//   { image: { name, type, data }, preset: { style, params, pipeline? },
+//     legibility: { enabled, mask }, region: { mask, outside, feather }, fabric: { photo } }
+// Images and masks travel as data URLs; a null mask or photo means none was painted or chosen.
+
+const FILE_FORMAT = 'embroidered-charts-project';
+
+const isDataURL = value => typeof value === 'string' && value.startsWith('data:');
+
+// The name comes from an untrusted file, so it loses anything that could read as markup
+const fileName = value => String(value || '').replace(/<[^>]*>?|[<>"'&]/g, '').trim() || 'chart.png';
+
+export function projectToJSON(project) {
+    return JSON.stringify({ format: FILE_FORMAT, version: 1, ...project });
+}
+
+// Checks the shape and fills in what older or hand-edited files leave out
+export function projectFromJSON(text) {
+    const data = JSON.parse(text);
+    if (!data || data.format !== FILE_FORMAT) throw new Error('This file is not an Embroidered Charts project');
+    const { image, preset } = data;
+    if (!image || !isDataURL(image.data)) throw new Error('The project has no image');
+    if (!preset || typeof preset.style !== 'string' || !preset.params || typeof preset.params !== 'object') {
+        throw new Error('The project has no style settings');
+    }
+    const legibility = data.legibility || {};
+    const region = data.region || {};
+    const fabric = data.fabric || {};
+    return {
+        image: { name: fileName(image.name), type: String(image.type || 'image/png'), data: image.data },
+        preset,
+        legibility: { enabled: !!legibility.enabled, mask: isDataURL(legibility.mask) ? legibility.mask : null },
+        region: {
+            mask: isDataURL(region.mask) ? region.mask : null,
+            outside: typeof region.outside === 'string' ? region.outside : '',
+            feather: Number.isFinite(region.feather) ? region.feather : 0
+        },
+        fabric: { photo: isDataURL(fabric.photo) ? fabric.photo : null }
+    };
+}
+
+// Dropped .json files are chart data unless they say otherwise
+export function isProjectJSON(text) {
+    return /^\s*\{\s*"format"\s*:\s*"embroidered-charts-project"/.test(text);
+}
@@ -1,20 +1,80 @@
 // Creative Charts Pipeline - Client-side Processing
 // Supports: Embroidery, Pixel Art, Blueprint, Halftone, Oil Painting, ASCII
 
-class CreativePipeline {
-    constructor() {
-        this.canvas = document.createElement('canvas');
+import { writeDST, writePES, writeEXP } from './stitch-formats.js';
+import { THREAD_CATALOGS } from './threads.js';
+import { buildPatternChartPDF, buildPatternChartSVG } from './pattern-chart.js';
+import { buildZip } from './zip.js';
+import { legibleInkPaths } from './svg.js';
+import { escapeHtml } from './markup.js';
+import { CompareViewer } from './compare-viewer.js';
+import { getStyleDefinition, listStyles, paramDefaults } from './style-registry.js';
+import { hexToRgb, paletteColors, rgbToHex } from './styles/params.js';
+import { renderFabric, tileFabricPhoto } from './fabric.js';
+import './styles/index.js';
+import { PIPELINE_STEPS, stepValues } from './pipeline-steps.js';
+import { PipelineEditor } from './pipeline-editor.js';
+import { loadPresets, savePresets, presetsToJSON, presetsFromJSON, presetToQuery, presetFromQuery } from './presets.js';
+import { CHART_TYPES, CHART_WIDTH, CHART_HEIGHT, parseChartData, drawChart } from './data-chart.js';
+import { MaskEditor } from './mask-editor.js';
+import { projectToJSON, projectFromJSON, isProjectJSON } from './project.js';
+import { CM_PER_INCH, MAX_PRINT_PIXELS, MAX_PRINT_SIDE, printPixelSize, setPngDpi, encodeTIFF, buildPrintPDF } from './print-export.js';
+
+const CUSTOM_STYLE_PREFIX = 'custom:'; // styleSelect values of saved pipelines
+
+// Threshold order of a 4x4 Bayer matrix, for ordered dithering
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+// Pipeline style id of a styleSelect value; every saved pipeline renders through 'custom'
+function styleIdOf(value) {
+    return value.startsWith(CUSTOM_STYLE_PREFIX) ? 'custom' : value;
+}
+
+export class CreativePipeline {
+    constructor(options = {}) {
+        this.onProgress = options.onProgress || null; // (stepIndex, stepName, stepCount) => void
+        this.stepDelay = options.stepDelay ?? 50;     // Lets the page repaint between steps on the main thread
+        this.resultType = options.resultType || 'dataURL';
+        this.canvasFactory = options.createCanvas || null; // (width, height) => canvas, e.g. @napi-rs/canvas under Node
+        this.canvas = this.createCanvas(1, 1);
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
         this.imageData = null;
+        this.stepSnapshots = []; // [{ name, ms, imageData }] when processImage is asked to capture steps
+        this.vectorLayers = {};  // Shapes drawn by the dot and tile renderers, for SVG output
+        this.legibleInk = null;  // { coverage, pixels, width, height } while legibility is preserved
+        this.regionMasked = false; // Last render was blended through a region mask (no SVG version then)
+        this.scale = 1;          // Output pixels per source pixel, see scaled()
+        this.paletteEdits = [];  // Replayed on every quantized palette of the render, see PALETTE EDITING
+        this.editBase = null;    // The render before palette edits were made to it
+        this.fabricPhoto = null; // ImageData of a tileable cloth for the 'photo' fabric, see applyFabric()
+        this.clothMask = null;   // 1 where the render shows bare fabric instead of stitches
+        this.seedRandom(1);
     }
 
-    async loadImage(file) {
-        return new Promise((resolve, reject) => {
+    // Workers have no DOM, so fall back to OffscreenCanvas there; Node has neither and must inject a factory
+    createCanvas(width, height) {
+        if (this.canvasFactory) return this.canvasFactory(width, height);
+        if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    // size ({ width, height }) resamples the image, e.g. up to print resolution
+    async loadImage(file, size = null) {
+        const img = await new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => resolve(img);
             img.onerror = reject;
             img.src = URL.createObjectURL(file);
         });
+        if (!size) return img;
+        const canvas = this.createCanvas(size.width, size.height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(img, 0, 0, size.width, size.height);
+        return canvas;
     }
 
     setImage(img) {
@@ -32,50 +92,699 @@ class CreativePipeline {
         return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
     }
 
+    // Thread, dot, tile and line sizes are given in source-image pixels. A print render draws the
+    // same image at this.scale times the resolution, so every size goes through here to keep the look.
+    scaled(size, min = 1) {
+        return Math.max(min, Math.round(size * this.scale));
+    }
+
+    // Deterministic PRNG (mulberry32): every random choice in the styles goes through this.random()
+    // so the same seed, image and settings reproduce a byte-identical render
+    seedRandom(seed) {
+        let state = seed >>> 0;
+        this.seed = state;
+        this.random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // sRGB (0-255) -> CIELAB (D65)
+    rgbToLab(rgb) {
+        const lin = v => {
+            v /= 255;
+            return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+        };
+        const r = lin(rgb[0]), g = lin(rgb[1]), b = lin(rgb[2]);
+        const x = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+        const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        const z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+        const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+        const fx = f(x), fy = f(y), fz = f(z);
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    // CIEDE2000 color difference between two Lab colors
+    deltaE2000(lab1, lab2) {
+        const [L1, a1, b1] = lab1, [L2, a2, b2] = lab2;
+        const rad = Math.PI / 180;
+        const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+        const Cm = (C1 + C2) / 2;
+        const G = 0.5 * (1 - Math.sqrt(Cm ** 7 / (Cm ** 7 + 25 ** 7)));
+        const a1p = a1 * (1 + G), a2p = a2 * (1 + G);
+        const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+        const h1p = (Math.atan2(b1, a1p) / rad + 360) % 360;
+        const h2p = (Math.atan2(b2, a2p) / rad + 360) % 360;
+
+        const dLp = L2 - L1;
+        const dCp = C2p - C1p;
+        let dhp = 0;
+        if (C1p * C2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+        const Lmp = (L1 + L2) / 2;
+        const Cmp = (C1p + C2p) / 2;
+        let hmp = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) > 180) hmp += h1p + h2p < 360 ? 360 : -360;
+            hmp /= 2;
+        }
+        const T = 1 - 0.17 * Math.cos((hmp - 30) * rad) + 0.24 * Math.cos(2 * hmp * rad)
+            + 0.32 * Math.cos((3 * hmp + 6) * rad) - 0.2 * Math.cos((4 * hmp - 63) * rad);
+        const dTheta = 30 * Math.exp(-(((hmp - 275) / 25) ** 2));
+        const Rc = 2 * Math.sqrt(Cmp ** 7 / (Cmp ** 7 + 25 ** 7));
+        const Sl = 1 + (0.015 * (Lmp - 50) ** 2) / Math.sqrt(20 + (Lmp - 50) ** 2);
+        const Sc = 1 + 0.045 * Cmp;
+        const Sh = 1 + 0.015 * Cmp * T;
+        const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+        return Math.sqrt((dLp / Sl) ** 2 + (dCp / Sc) ** 2 + (dHp / Sh) ** 2 + Rt * (dCp / Sc) * (dHp / Sh));
+    }
+
+    // Splits a palette index map into 4-connected regions of the same color
+    labelRegions(indices, w, h) {
+        const labels = new Int32Array(w * h).fill(-1);
+        const regions = [];
+        const stack = new Int32Array(w * h);
+
+        for (let start = 0; start < w * h; start++) {
+            if (labels[start] !== -1) continue;
+            const color = indices[start];
+            const region = { id: regions.length, color, area: 0, x0: w, y0: h, x1: 0, y1: 0 };
+            let top = 0;
+            stack[top++] = start;
+            labels[start] = region.id;
+
+            while (top > 0) {
+                const p = stack[--top];
+                const x = p % w, y = (p - x) / w;
+                region.area++;
+                if (x < region.x0) region.x0 = x;
+                if (x > region.x1) region.x1 = x;
+                if (y < region.y0) region.y0 = y;
+                if (y > region.y1) region.y1 = y;
+
+                if (x > 0 && labels[p - 1] === -1 && indices[p - 1] === color) { labels[p - 1] = region.id; stack[top++] = p - 1; }
+                if (x < w - 1 && labels[p + 1] === -1 && indices[p + 1] === color) { labels[p + 1] = region.id; stack[top++] = p + 1; }
+                if (y > 0 && labels[p - w] === -1 && indices[p - w] === color) { labels[p - w] = region.id; stack[top++] = p - w; }
+                if (y < h - 1 && labels[p + w] === -1 && indices[p + w] === color) { labels[p + w] = region.id; stack[top++] = p + w; }
+            }
+            regions.push(region);
+        }
+        return { labels, regions };
+    }
+
+    // Follows the pixel-edge boundary of a labelled region and returns closed loops of corner points
+    traceRegionOutlines(labels, w, h, region) {
+        const inside = (x, y) => x >= 0 && x < w && y >= 0 && y < h && labels[y * w + x] === region.id;
+        const key = (x, y) => y * (w + 1) + x;
+        const edges = new Map();
+        const addEdge = (x0, y0, x1, y1) => {
+            const k = key(x0, y0);
+            if (!edges.has(k)) edges.set(k, []);
+            edges.get(k).push([x1, y1]);
+        };
+
+        // Clockwise edges (y down) so the region is always on the right-hand side
+        for (let y = region.y0; y <= region.y1; y++) {
+            for (let x = region.x0; x <= region.x1; x++) {
+                if (!inside(x, y)) continue;
+                if (!inside(x, y - 1)) addEdge(x, y, x + 1, y);
+                if (!inside(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+                if (!inside(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+                if (!inside(x - 1, y)) addEdge(x, y + 1, x, y);
+            }
+        }
+
+        const loops = [];
+        edges.forEach((targets, startKey) => {
+            while (targets.length > 0) {
+                const sx = startKey % (w + 1), sy = (startKey - sx) / (w + 1);
+                const loop = [[sx, sy]];
+                let [cx, cy] = targets.pop();
+                while (cx !== sx || cy !== sy) {
+                    loop.push([cx, cy]);
+                    const next = edges.get(key(cx, cy));
+                    [cx, cy] = next.pop();
+                }
+                // Drop points in the middle of straight runs
+                const simplified = loop.filter((p, i) => {
+                    const prev = loop[(i - 1 + loop.length) % loop.length];
+                    const next = loop[(i + 1) % loop.length];
+                    return !((prev[0] === p[0] && p[0] === next[0]) || (prev[1] === p[1] && p[1] === next[1]));
+                });
+                loops.push(simplified);
+            }
+        });
+        return loops;
+    }
+
+    // The palette entry that dominates the image border is treated as the unstitched background
+    findBackgroundIndex(quantized) {
+        const { indices, width: w, height: h } = quantized;
+        const counts = new Map();
+        const count = idx => counts.set(indices[idx], (counts.get(indices[idx]) || 0) + 1);
+        for (let x = 0; x < w; x++) { count(x); count((h - 1) * w + x); }
+        for (let y = 0; y < h; y++) { count(y * w); count(y * w + w - 1); }
+        let best = 0, bestCount = -1;
+        counts.forEach((c, idx) => { if (c > bestCount) { bestCount = c; best = idx; } });
+        return best;
+    }
+
     // ==========================================
     // STYLE A: EMBROIDERY (Original)
     // ==========================================
-    async applyEmbroidery(img, params) {
-        const steps = [
-            { name: 'Quantizing colors...', fn: () => this.quantizeColors(this.imageData, params.numColors) },
-            { name: 'Applying thread pattern...', fn: () => this.applyThreadPattern(this.imageData, params.threadThickness) },
-            { name: 'Spreading pixels...', fn: () => this.applySpread(this.imageData, params.spreadAmount) },
-            { name: 'Adding fabric texture...', fn: () => this.applyFabricTexture(this.imageData) },
-            { name: 'Applying 3D shading...', fn: () => this.apply3DShading(this.imageData) },
-            { name: 'Boosting colors...', fn: () => this.applyColorBoost(this.imageData, params.brightness, 105) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
-    quantizeColors(imageData, numColors) {
+    // Reduces the image to at most numColors colors. options are the style params:
+    // quantizer ('kmeans', 'mediancut', 'octree') picks the palette, colorSpace ('lab', 'rgb') how color
+    // differences are measured, dither ('none', 'floyd-steinberg', 'ordered') how pixels are mapped to it.
+    // pinnedColors ('#rrggbb,...') always make it into the palette, first; the quantizer only fills the
+    // slots left over. They keep their exact color unless threadCatalog is set, then each becomes its
+    // closest thread like every other entry. Pins beyond numColors are dropped, so the palette never grows.
+    quantizeColors(imageData, numColors, options = {}) {
+        const { quantizer = 'kmeans', colorSpace = 'lab', dither = 'none' } = options;
+        const pinned = paletteColors(options.pinnedColors).slice(0, numColors);
+        const free = Math.max(0, numColors - pinned.length);
         const data = imageData.data;
         const pixels = [];
         for (let i = 0; i < data.length; i += 4 * 4) { // Sample every 4th pixel for speed
             pixels.push([data[i], data[i + 1], data[i + 2]]);
         }
-        const palette = this.kMeansClustering(pixels, numColors);
-        for (let i = 0; i < data.length; i += 4) {
-            const nearest = this.findNearestColor([data[i], data[i + 1], data[i + 2]], palette);
-            data[i] = nearest[0]; data[i + 1] = nearest[1]; data[i + 2] = nearest[2];
+        const histogram = this.colorHistogram(pixels);
+        let palette;
+        if (quantizer === 'mediancut' || quantizer === 'octree') {
+            const rest = this.withoutPinned(histogram, pinned);
+            const found = !free || !rest.colors.length ? []
+                : quantizer === 'mediancut' ? this.medianCut(rest, free) : this.octreeQuantize(rest, free);
+            palette = [...pinned, ...found];
+        } else {
+            palette = this.kMeansClustering(histogram, free, colorSpace, pinned);
+        }
+
+        // Snap centroids to real thread; centroids that land on the same thread collapse into one entry.
+        // Pinned colors each keep a thread of their own, even when two of them are closest to the same one.
+        let threads = null;
+        const catalog = THREAD_CATALOGS[options.threadCatalog];
+        if (catalog) {
+            const matched = this.matchThreads(palette, catalog, pinned.length);
+            threads = matched.filter((t, i) => matched.findIndex(m => m.code === t.code) === i);
+            palette = threads.map(t => t.rgb);
+        }
+
+        const source = new Uint8ClampedArray(data); // Colors before quantizing, for splitting palette entries later
+        const indices = this.mapToPalette(imageData, palette, colorSpace, dither);
+        // Keep the palette regions so exporters (stitch files) can work from clean color areas
+        this.quantized = {
+            palette, threads, indices, source, catalog: catalog ? options.threadCatalog : null,
+            width: imageData.width, height: imageData.height
+        };
+        if (this.paletteEdits.length) {
+            this.paletteEdits.forEach(edit => { this.quantized = this.editPalette(this.quantized, edit); });
+            const { palette: edited, indices: mapped } = this.quantized;
+            mapped.forEach((idx, i) => data.set(edited[idx], i * 4));
         }
         return imageData;
     }
 
-    kMeansClustering(pixels, k, maxIterations = 5) {
-        let centroids = pixels.slice(0, k);
+    // Nearest catalog thread for each palette color, by CIEDE2000 distance. The first `distinct` colors
+    // skip threads an earlier one of them already took.
+    matchThreads(palette, catalog, distinct = 0) {
+        const threadLabs = catalog.threads.map(t => this.rgbToLab(t.rgb));
+        const taken = new Set();
+        return palette.map((rgb, p) => {
+            const lab = this.rgbToLab(rgb);
+            let best = 0, minDist = Infinity;
+            threadLabs.forEach((tLab, i) => {
+                if (p < distinct && taken.has(i)) return;
+                const dist = this.deltaE2000(lab, tLab);
+                if (dist < minDist) { minDist = dist; best = i; }
+            });
+            if (p < distinct) taken.add(best);
+            return { ...catalog.threads[best], brand: catalog.brand };
+        });
+    }
+
+    // Distinct colors with how often each occurs; charts have few, so the quantizers work on these
+    colorHistogram(pixels) {
+        const counts = new Map();
+        pixels.forEach(([r, g, b]) => {
+            const key = (r << 16) | (g << 8) | b;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        const colors = [], weights = [];
+        counts.forEach((count, key) => {
+            colors.push([key >> 16, (key >> 8) & 255, key & 255]);
+            weights.push(count);
+        });
+        return { colors, weights };
+    }
+
+    // Histogram without the colors a pinned color already stands for (within 10 CIELAB units), so median
+    // cut and octree spend their slots on the rest of the image
+    withoutPinned({ colors, weights }, pinned) {
+        if (!pinned.length) return { colors, weights };
+        const pinnedLabs = pinned.map(c => this.rgbToLab(c));
+        const rest = { colors: [], weights: [] };
+        colors.forEach((c, i) => {
+            const lab = this.rgbToLab(c);
+            if (pinnedLabs.some(p => (p[0] - lab[0]) ** 2 + (p[1] - lab[1]) ** 2 + (p[2] - lab[2]) ** 2 < 100)) return;
+            rest.colors.push(c);
+            rest.weights.push(weights[i]);
+        });
+        return rest;
+    }
+
+    // Weighted k-means with k-means++ seeding: every new centroid is drawn with probability proportional to
+    // its squared distance from the chosen ones, so small but distinct series colors get a centroid of
+    // their own. Iterates until no centroid moves by more than half a unit. Clusters that run empty are
+    // moved to the worst-fitting color; images with fewer than k colors get a shorter palette.
+    // Pinned colors are extra centroids that never move: they claim their pixels, and the palette starts
+    // with them whether or not the image uses them.
+    kMeansClustering({ colors, weights }, k, colorSpace = 'lab', pinned = [], maxIterations = 30) {
+        const n = colors.length;
+        const toSpace = c => (colorSpace === 'lab' ? this.rgbToLab(c) : c);
+        const points = colors.map(toSpace);
+        const dist2 = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+        const weightedPick = (score, total) => {
+            let target = this.random() * total;
+            for (let i = 0; i < n; i++) {
+                target -= score(i);
+                if (target <= 0) return i;
+            }
+            return n - 1;
+        };
+
+        const centroids = [];
+        const closest = new Float64Array(n).fill(Infinity);
+        const addCentroid = centroid => {
+            centroids.push(centroid);
+            let total = 0;
+            for (let i = 0; i < n; i++) {
+                closest[i] = Math.min(closest[i], dist2(points[i], centroid));
+                total += weights[i] * closest[i];
+            }
+            return total;
+        };
+        const fixed = pinned.length;
+        let total = 0;
+        pinned.forEach(c => { total = addCentroid(toSpace(c)); });
+        if (!fixed && k > 0) total = addCentroid(points[weightedPick(i => weights[i], weights.reduce((a, b) => a + b, 0))].slice());
+        // Stops early once every color already has its own centroid
+        while (centroids.length < fixed + k && total > 0) {
+            total = addCentroid(points[weightedPick(i => weights[i] * closest[i], total)].slice());
+        }
+
+        const assignment = new Int32Array(n);
+        const assign = () => {
+            for (let i = 0; i < n; i++) {
+                let best = 0, min = Infinity;
+                centroids.forEach((c, j) => {
+                    const d = dist2(points[i], c);
+                    if (d < min) { min = d; best = j; }
+                });
+                assignment[i] = best;
+                closest[i] = min;
+            }
+        };
         for (let iter = 0; iter < maxIterations; iter++) {
-            const clusters = Array(k).fill(null).map(() => []);
-            pixels.forEach(pixel => {
-                const nearestIdx = this.findNearestColorIndex(pixel, centroids);
-                clusters[nearestIdx].push(pixel);
+            assign();
+            const sums = centroids.map(() => [0, 0, 0, 0]);
+            for (let i = 0; i < n; i++) {
+                const sum = sums[assignment[i]], w = weights[i];
+                sum[0] += points[i][0] * w; sum[1] += points[i][1] * w; sum[2] += points[i][2] * w; sum[3] += w;
+            }
+            let moved = 0;
+            sums.forEach((sum, j) => {
+                if (j < fixed) return;
+                let next;
+                if (sum[3] > 0) {
+                    next = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+                } else {
+                    let worst = 0;
+                    for (let i = 1; i < n; i++) if (closest[i] > closest[worst]) worst = i;
+                    next = points[worst].slice();
+                    closest[worst] = 0;
+                }
+                moved = Math.max(moved, dist2(next, centroids[j]));
+                centroids[j] = next;
+            });
+            if (moved < 0.25) break;
+        }
+
+        // Each palette color is the average of the image colors in its cluster
+        assign();
+        const sums = centroids.map(() => [0, 0, 0, 0]);
+        for (let i = 0; i < n; i++) {
+            const sum = sums[assignment[i]], w = weights[i];
+            sum[0] += colors[i][0] * w; sum[1] += colors[i][1] * w; sum[2] += colors[i][2] * w; sum[3] += w;
+        }
+        const found = sums.slice(fixed).filter(sum => sum[3] > 0).map(sum => [0, 1, 2].map(c => Math.round(sum[c] / sum[3])));
+        return [...pinned, ...found];
+    }
+
+    // Median cut: keeps splitting the box with the widest color range at the weighted median of that channel
+    medianCut({ colors, weights }, k) {
+        const range = (items, c) => {
+            let min = 255, max = 0;
+            items.forEach(i => { min = Math.min(min, colors[i][c]); max = Math.max(max, colors[i][c]); });
+            return max - min;
+        };
+        let boxes = [colors.map((_, i) => i)];
+        while (boxes.length < k) {
+            let widest = -1, channel = 0, best = 0;
+            boxes.forEach((items, b) => {
+                if (items.length < 2) return;
+                for (let c = 0; c < 3; c++) {
+                    const r = range(items, c);
+                    if (r > best) { best = r; widest = b; channel = c; }
+                }
+            });
+            if (widest < 0) break; // Every box holds a single color
+            const items = boxes[widest].sort((a, b) => colors[a][channel] - colors[b][channel]);
+            const half = items.reduce((sum, i) => sum + weights[i], 0) / 2;
+            let cut = 0, acc = 0;
+            while (cut < items.length - 2 && acc + weights[items[cut]] < half) acc += weights[items[cut++]];
+            boxes = [...boxes.slice(0, widest), items.slice(0, cut + 1), items.slice(cut + 1), ...boxes.slice(widest + 1)];
+        }
+        return boxes.map(items => {
+            const sum = [0, 0, 0];
+            let total = 0;
+            items.forEach(i => {
+                for (let c = 0; c < 3; c++) sum[c] += colors[i][c] * weights[i];
+                total += weights[i];
+            });
+            return sum.map(v => Math.round(v / total));
+        });
+    }
+
+    // Octree: colors fill an 8-level tree by their RGB bits; the least used deepest branches are folded
+    // into their parents until at most k leaves remain. Below 8 colors even the top-level branches are
+    // too many, so the closest of them are merged pairwise instead.
+    octreeQuantize({ colors, weights }, k) {
+        const levels = Array.from({ length: 8 }, () => []);
+        const node = level => {
+            const created = { sum: [0, 0, 0], count: 0, children: level < 8 ? [] : null };
+            if (level < 8) levels[level].push(created);
+            return created;
+        };
+        const root = node(0);
+        let leaves = 0;
+        colors.forEach(([r, g, b], i) => {
+            let current = root;
+            for (let level = 0; level < 8; level++) {
+                const shift = 7 - level;
+                const child = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+                if (!current.children[child]) {
+                    current.children[child] = node(level + 1);
+                    if (level === 7) leaves++;
+                }
+                current = current.children[child];
+            }
+            current.sum[0] += r * weights[i]; current.sum[1] += g * weights[i]; current.sum[2] += b * weights[i];
+            current.count += weights[i];
+        });
+
+        for (let level = 7; level >= 1 && leaves > k; level--) {
+            // Children of this level are leaves by now; fold the least used branches first
+            const nodes = levels[level];
+            nodes.forEach(n => { n.weight = n.children.reduce((sum, c) => sum + (c ? c.count : 0), 0); });
+            nodes.sort((a, b) => b.weight - a.weight);
+            while (leaves > k && nodes.length) {
+                const folded = nodes.pop();
+                const children = folded.children.filter(Boolean);
+                children.forEach(c => {
+                    for (let ch = 0; ch < 3; ch++) folded.sum[ch] += c.sum[ch];
+                    folded.count += c.count;
+                });
+                folded.children = null;
+                leaves -= children.length - 1;
+            }
+        }
+
+        const found = [];
+        const collect = n => {
+            if (n.children) n.children.forEach(c => c && collect(c));
+            else if (n.count > 0) found.push(n);
+        };
+        collect(root);
+        const mean = n => n.sum.map(v => v / n.count);
+        while (found.length > k) {
+            let pair = null, min = Infinity;
+            found.forEach((a, i) => found.slice(i + 1).forEach((b, j) => {
+                const [ca, cb] = [mean(a), mean(b)];
+                const d = (ca[0] - cb[0]) ** 2 + (ca[1] - cb[1]) ** 2 + (ca[2] - cb[2]) ** 2;
+                if (d < min) { min = d; pair = [i, i + 1 + j]; }
+            }));
+            const [a, b] = pair.map(i => found[i]);
+            found.splice(pair[1], 1);
+            found[pair[0]] = { sum: a.sum.map((v, c) => v + b.sum[c]), count: a.count + b.count };
+        }
+        return found.map(n => mean(n).map(Math.round));
+    }
+
+    // Replaces every pixel with a palette color and returns the palette index per pixel.
+    // Floyd-Steinberg pushes each pixel's error onto its unvisited neighbours; ordered dithering nudges
+    // pixels by a tiled Bayer threshold about as large as the gaps between palette colors.
+    mapToPalette(imageData, palette, colorSpace = 'rgb', dither = 'none') {
+        const { width: w, height: h, data } = imageData;
+        const targets = colorSpace === 'lab' ? palette.map(c => this.rgbToLab(c)) : palette;
+        const cache = new Map();
+        const nearest = (r, g, b) => {
+            const key = (r << 16) | (g << 8) | b;
+            let idx = cache.get(key);
+            if (idx === undefined) {
+                idx = this.findNearestColorIndex(colorSpace === 'lab' ? this.rgbToLab([r, g, b]) : [r, g, b], targets);
+                cache.set(key, idx);
+            }
+            return idx;
+        };
+        const clamp = v => Math.max(0, Math.min(255, Math.round(v)));
+        const indices = new Uint8Array(w * h);
+
+        if (dither === 'floyd-steinberg') {
+            const work = Float32Array.from(data);
+            const spread = (x, y, err, share) => {
+                if (x < 0 || x >= w || y >= h) return;
+                const j = (y * w + x) * 4;
+                for (let c = 0; c < 3; c++) work[j + c] += err[c] * share;
+            };
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const i = (y * w + x) * 4;
+                    const [r, g, b] = [clamp(work[i]), clamp(work[i + 1]), clamp(work[i + 2])];
+                    const idx = nearest(r, g, b);
+                    const color = palette[idx];
+                    // Error of the clamped color, so it cannot pile up past what a palette color can repay
+                    const err = [r - color[0], g - color[1], b - color[2]];
+                    spread(x + 1, y, err, 7 / 16);
+                    spread(x - 1, y + 1, err, 3 / 16);
+                    spread(x, y + 1, err, 5 / 16);
+                    spread(x + 1, y + 1, err, 1 / 16);
+                    indices[i / 4] = idx;
+                }
+            }
+        } else if (dither === 'ordered') {
+            let gap = 0;
+            palette.forEach((a, i) => {
+                let min = Infinity;
+                palette.forEach((b, j) => { if (i !== j) min = Math.min(min, Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2])); });
+                if (min < Infinity) gap += min / palette.length;
+            });
+            const cell = this.scaled(1); // Pattern cells grow with the print scale
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const i = (y * w + x) * 4;
+                    const t = ((BAYER_4X4[(Math.floor(y / cell) % 4) * 4 + (Math.floor(x / cell) % 4)] + 0.5) / 16 - 0.5) * gap;
+                    indices[i / 4] = nearest(clamp(data[i] + t), clamp(data[i + 1] + t), clamp(data[i + 2] + t));
+                }
+            }
+        } else {
+            for (let i = 0; i < data.length; i += 4) indices[i / 4] = nearest(data[i], data[i + 1], data[i + 2]);
+        }
+
+        for (let i = 0; i < indices.length; i++) {
+            const color = palette[indices[i]];
+            data[i * 4] = color[0]; data[i * 4 + 1] = color[1]; data[i * 4 + 2] = color[2];
+        }
+        return indices;
+    }
+
+    // ==========================================
+    // PALETTE EDITING
+    // ==========================================
+    // Edits made to the palette of a finished render:
+    //   { type: 'recolor', color, rgb }  gives the entry closest to color the new color rgb
+    //   { type: 'merge', color, into }   folds the entry closest to color into the one closest to into
+    //   { type: 'split', color }         splits an entry in two by the original colors of its pixels
+    // Entries are named by color rather than position, so the same edits replay on a re-render at print
+    // size (options.paletteEdits), where the palette can come out in a different order.
+
+    // Returns a new quantized record, or the same one when the edit changes nothing
+    editPalette(quantized, edit) {
+        const { palette, threads, indices, source, catalog } = quantized;
+        const at = this.findNearestColorIndex(edit.color, palette);
+        const next = { ...quantized, palette: palette.slice(), threads: threads && threads.slice() };
+        // With a thread catalog every entry stays a real thread
+        const setEntry = (i, rgb) => {
+            if (catalog && THREAD_CATALOGS[catalog]) {
+                next.threads[i] = this.matchThreads([rgb], THREAD_CATALOGS[catalog])[0];
+                next.palette[i] = next.threads[i].rgb;
+            } else {
+                next.palette[i] = rgb.slice();
+            }
+        };
+
+        if (edit.type === 'recolor') {
+            setEntry(at, edit.rgb);
+        } else if (edit.type === 'merge') {
+            const into = this.findNearestColorIndex(edit.into, palette);
+            if (into === at) return quantized;
+            next.indices = indices.map(idx => {
+                const target = idx === at ? into : idx;
+                return target > at ? target - 1 : target;
+            });
+            next.palette.splice(at, 1);
+            if (next.threads) next.threads.splice(at, 1);
+        } else if (edit.type === 'split') {
+            if (palette.length >= 255) return quantized; // Indices are bytes
+            const pixels = [];
+            indices.forEach((idx, i) => {
+                if (idx === at) pixels.push([source[i * 4], source[i * 4 + 1], source[i * 4 + 2]]);
+            });
+            const halves = this.splitColors(this.colorHistogram(pixels));
+            if (halves.length < 2) return quantized;
+            setEntry(at, halves[0]);
+            setEntry(palette.length, halves[1]);
+            next.indices = indices.map((idx, i) => {
+                if (idx !== at) return idx;
+                const pixel = [source[i * 4], source[i * 4 + 1], source[i * 4 + 2]];
+                return this.findNearestColorIndex(pixel, halves) === 0 ? at : palette.length;
             });
-            centroids = clusters.map(c => {
-                if (c.length === 0) return [0, 0, 0];
-                const sum = c.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]], [0, 0, 0]);
-                return sum.map(v => Math.round(v / c.length));
+        }
+        return next;
+    }
+
+    // Two-way k-means in CIELAB for splitting an entry. Seeded with the most common color and the one
+    // farthest from it instead of random picks, so a replay splits exactly the same way.
+    splitColors({ colors, weights }) {
+        const labs = colors.map(c => this.rgbToLab(c));
+        const dist2 = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+        const heaviest = weights.reduce((best, w, i) => (w > weights[best] ? i : best), 0);
+        const farthest = labs.reduce((best, lab, i) => (dist2(lab, labs[heaviest]) > dist2(labs[best], labs[heaviest]) ? i : best), 0);
+        if (farthest === heaviest) return [colors[heaviest]];
+
+        let centers = [labs[heaviest], labs[farthest]];
+        let groups = [];
+        for (let iter = 0; iter < 30; iter++) {
+            const next = labs.map(lab => (dist2(lab, centers[0]) <= dist2(lab, centers[1]) ? 0 : 1));
+            if (next.every((g, i) => g === groups[i])) break;
+            groups = next;
+            centers = [0, 1].map(g => {
+                const sum = [0, 0, 0];
+                let total = 0;
+                labs.forEach((lab, i) => {
+                    if (groups[i] !== g) return;
+                    for (let c = 0; c < 3; c++) sum[c] += lab[c] * weights[i];
+                    total += weights[i];
+                });
+                return sum.map(v => v / total);
             });
         }
-        return centroids;
+        return [0, 1].map(g => {
+            const sum = [0, 0, 0];
+            let total = 0;
+            colors.forEach((rgb, i) => {
+                if (groups[i] !== g) return;
+                for (let c = 0; c < 3; c++) sum[c] += rgb[c] * weights[i];
+                total += weights[i];
+            });
+            return sum.map(v => Math.round(v / total));
+        });
+    }
+
+    // How the steps after quantizing rendered each palette entry: the mean rendered color of its pixels,
+    // and the brightness gain (color boosts and the like) to expect for a new color. Entries near black
+    // or white are left out of the gain, their boost is clipped.
+    renderTransfer(quantized) {
+        const { palette, indices } = quantized;
+        const data = this.imageData.data;
+        const sums = palette.map(() => [0, 0, 0, 0]);
+        indices.forEach((idx, i) => {
+            if (this.clothMask && this.clothMask[i]) return;
+            const sum = sums[idx];
+            sum[0] += data[i * 4]; sum[1] += data[i * 4 + 1]; sum[2] += data[i * 4 + 2]; sum[3]++;
+        });
+        const luminance = c => 0.299 * c[0] + 0.587 * c[1] + 0.114 * c[2];
+        let quantizedLight = 0, renderedLight = 0;
+        sums.forEach((sum, i) => {
+            const light = luminance(palette[i]);
+            if (light < 16 || light > 200) return;
+            quantizedLight += light * sum[3];
+            renderedLight += luminance(sum);
+        });
+        return {
+            means: sums.map((sum, i) => (sum[3] ? sum.slice(0, 3).map(v => v / sum[3]) : palette[i])),
+            gain: quantizedLight > 0 ? renderedLight / quantizedLight : 1
+        };
+    }
+
+    // Applies an edit to the finished render without running the pipeline again: only pixels whose
+    // palette color changes are repainted. The first edit keeps the render as it came out; repainted
+    // pixels get the new color at the render's brightness, shaded like the original pixel against the
+    // average of its original color (see renderTransfer), so stitch texture, grid lines and lead came
+    // carry over and edits do not wear the image down. Rebuilds the style's export data and returns the
+    // new image as a data URL, or null when the edit changes nothing.
+    applyPaletteEdit(edit, style, params) {
+        const current = this.quantized;
+        if (!current || current.width !== this.imageData.width || current.height !== this.imageData.height) {
+            throw new Error('This render has no palette to edit');
+        }
+        const after = this.editPalette(current, edit);
+        if (after === current) return null;
+
+        const data = this.imageData.data;
+        if (!this.editBase) this.editBase = { quantized: current, pixels: new Uint8ClampedArray(data), ...this.renderTransfer(current) };
+        const base = this.editBase;
+        const same = (a, b) => a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+        const luminance = (c, i = 0) => 0.299 * c[i] + 0.587 * c[i + 1] + 0.114 * c[i + 2];
+        for (let i = 0; i < after.indices.length; i++) {
+            const to = after.palette[after.indices[i]];
+            if (same(current.palette[current.indices[i]], to)) continue;
+            if (this.clothMask && this.clothMask[i]) continue; // Bare fabric has no thread to recolor
+            const j = i * 4, original = base.quantized.indices[i];
+            if (same(base.quantized.palette[original], to)) {
+                data.set(base.pixels.subarray(j, j + 3), j);
+                continue;
+            }
+            const shade = base.gain * (luminance(base.pixels, j) + 8) / (luminance(base.means[original]) + 8);
+            data[j] = to[0] * shade;
+            data[j + 1] = to[1] * shade;
+            data[j + 2] = to[2] * shade;
+        }
+        this.quantized = after;
+        return this.finishPaletteEdit(style, params);
+    }
+
+    // Back to the render as it came out, before any palette edit; null when nothing was edited
+    restorePalette(style, params) {
+        if (!this.editBase) return null;
+        this.imageData.data.set(this.editBase.pixels);
+        this.quantized = this.editBase.quantized;
+        this.editBase = null;
+        return this.finishPaletteEdit(style, params);
+    }
+
+    finishPaletteEdit(style, params) {
+        const definition = getStyleDefinition(style);
+        if (definition && definition.afterRender) definition.afterRender(this, { ...paramDefaults(definition), ...params });
+        this.ctx.putImageData(this.imageData, 0, 0);
+        return this.canvas.toDataURL('image/png');
     }
 
     findNearestColor(pixel, palette) {
@@ -99,6 +808,7 @@ class CreativePipeline {
     applyThreadPattern(imageData, thickness) {
         const data = imageData.data, w = imageData.width, h = imageData.height;
         const copy = new Uint8ClampedArray(data);
+        const reach = this.scaled(thickness);
 
         // Calculate gradient direction for each pixel to determine thread orientation
         const gradients = new Float32Array(w * h);
@@ -121,7 +831,7 @@ class CreativePipeline {
                 const dy = Math.sin(threadAngle);
 
                 let r = 0, g = 0, b = 0, c = 0;
-                for (let t = -thickness; t <= thickness; t++) {
+                for (let t = -reach; t <= reach; t++) {
                     const nx = Math.round(x + dx * t);
                     const ny = Math.round(y + dy * t);
                     if (nx >= 0 && nx < w && ny >= 0 && ny < h) {
@@ -139,19 +849,22 @@ class CreativePipeline {
     applySpread(imageData, amount) {
         const data = imageData.data, w = imageData.width, h = imageData.height;
         const copy = new Uint8ClampedArray(data);
+        const cloth = this.clothMask && new Uint8Array(this.clothMask); // Bare cloth moves with its pixels
         for (let i = 0; i < data.length; i += 4) {
             const x = (i / 4) % w, y = Math.floor((i / 4) / w);
-            const dx = Math.floor((Math.random() - 0.5) * amount * 2);
-            const dy = Math.floor((Math.random() - 0.5) * amount * 2);
+            const dx = Math.floor((this.random() - 0.5) * amount * 2 * this.scale);
+            const dy = Math.floor((this.random() - 0.5) * amount * 2 * this.scale);
             const nx = Math.max(0, Math.min(w - 1, x + dx));
             const ny = Math.max(0, Math.min(h - 1, y + dy));
             const srcIdx = (ny * w + nx) * 4;
             data[i] = copy[srcIdx]; data[i + 1] = copy[srcIdx + 1]; data[i + 2] = copy[srcIdx + 2];
+            if (cloth) this.clothMask[i / 4] = cloth[srcIdx / 4];
         }
         return imageData;
     }
 
-    applyFabricTexture(imageData) {
+    // Without the weave only the fine grain is added, for threads that lie on a cloth of their own
+    applyFabricTexture(imageData, { weave = true } = {}) {
         const data = imageData.data, w = imageData.width, h = imageData.height;
 
         // Multi-scale fabric weave simulation
@@ -160,17 +873,17 @@ class CreativePipeline {
                 const idx = (y * w + x) * 4;
 
                 // Fine grain texture
-                const fineNoise = (Math.random() - 0.5) * 15;
+                const fineNoise = (this.random() - 0.5) * 15;
 
                 // Weave pattern (creates subtle cross-hatch)
-                const weaveX = Math.sin(x * 0.3) * 8;
-                const weaveY = Math.sin(y * 0.3) * 8;
+                const weaveX = Math.sin(x * 0.3 / this.scale) * 8;
+                const weaveY = Math.sin(y * 0.3 / this.scale) * 8;
                 const weaveNoise = (weaveX + weaveY) * 0.5;
 
                 // Larger fabric bumps
-                const bumpX = Math.sin(x * 0.05) * Math.cos(y * 0.05) * 12;
+                const bumpX = Math.sin(x * 0.05 / this.scale) * Math.cos(y * 0.05 / this.scale) * 12;
 
-                const totalNoise = fineNoise + weaveNoise + bumpX;
+                const totalNoise = weave ? fineNoise + weaveNoise + bumpX : fineNoise;
 
                 data[idx] = Math.min(255, Math.max(0, data[idx] + totalNoise));
                 data[idx + 1] = Math.min(255, Math.max(0, data[idx + 1] + totalNoise));
@@ -180,6 +893,117 @@ class CreativePipeline {
         return imageData;
     }
 
+    // Leaves the background palette entry (see findBackgroundIndex) unstitched for applyFabric. Done
+    // before applySpread, the bare cloth frays along with the stitch edges; with imageData, the bare
+    // pixels take the cloth's color so blurred stitch edges blend into the fabric, not the old background.
+    markCloth(imageData = null, fabric = null, color = null) {
+        const { palette, indices, width: w, height: h } = this.quantized;
+        const background = this.findBackgroundIndex(this.quantized);
+        const { labels, regions } = this.labelRegions(indices, w, h);
+
+        // How many pixel edges each region shares with each neighboring color
+        const contacts = regions.map(() => new Map());
+        const touch = (a, b) => {
+            if (labels[a] === labels[b]) return;
+            const counts = contacts[labels[a]], color = indices[b];
+            counts.set(color, (counts.get(color) || 0) + 1);
+        };
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x;
+                if (x < w - 1) { touch(i, i + 1); touch(i + 1, i); }
+                if (y < h - 1) { touch(i, i + w); touch(i + w, i); }
+            }
+        }
+
+        // Anti-aliasing leaves thin rims between the background and a shape that quantize to a color of
+        // their own. A rim that mixes the two would outline every shape in pale thread, so it stays bare.
+        const mixes = (c, a, b) => {
+            const ab = [0, 1, 2].map(k => b[k] - a[k]), ac = [0, 1, 2].map(k => c[k] - a[k]);
+            const t = (ab[0] * ac[0] + ab[1] * ac[1] + ab[2] * ac[2]) / (ab[0] ** 2 + ab[1] ** 2 + ab[2] ** 2 || 1);
+            return t > 0 && t < 1 && Math.hypot(...ac.map((v, k) => v - t * ab[k])) < 32;
+        };
+        const bare = regions.map((region, id) => {
+            if (region.color === background) return true;
+            const counts = contacts[id];
+            const long = Math.max(region.x1 - region.x0, region.y1 - region.y0) + 1;
+            if (!counts.has(background) || region.area > 2 * this.scale * long) return false;
+            const edges = [...counts.values()].reduce((a, b) => a + b, 0);
+            return [...counts].some(([other, n]) => other !== background && n >= edges / 4 &&
+                mixes(palette[region.color], palette[background], palette[other]));
+        });
+        this.clothMask = Uint8Array.from(labels, id => (bare[id] ? 1 : 0));
+
+        // A rim can also join a larger region of a similar color, like a gridline. Single pixels lying
+        // between the background and another color they mix stay bare as well.
+        const isBackground = i => indices[i] === background;
+        for (let y = 1; y < h - 1; y++) {
+            for (let x = 1; x < w - 1; x++) {
+                const i = y * w + x, c = indices[i];
+                if (c === background || this.clothMask[i]) continue;
+                this.clothMask[i] = [[i - 1, i + 1], [i + 1, i - 1], [i - w, i + w], [i + w, i - w]].some(([a, b]) =>
+                    isBackground(a) && indices[b] !== c && !isBackground(b) &&
+                    mixes(palette[c], palette[background], palette[indices[b]])) ? 1 : 0;
+            }
+        }
+        if (!imageData) return this.clothMask;
+
+        let tone = color;
+        if (fabric === 'photo' && this.fabricPhoto) {
+            const photo = this.fabricPhoto.data, sum = [0, 0, 0];
+            for (let i = 0; i < photo.length; i += 4) for (let c = 0; c < 3; c++) sum[c] += photo[i + c];
+            tone = sum.map(v => v / (photo.length / 4));
+        }
+        const data = imageData.data;
+        this.clothMask.forEach((bare, i) => {
+            if (bare) for (let c = 0; c < 3; c++) data[i * 4 + c] = tone[c];
+        });
+        return imageData;
+    }
+
+    // Lays the stitches on a cloth: the pixels markCloth() left unstitched show the fabric, and the
+    // stitched areas cast a soft shadow on it down and to the right. fabric is one of FABRICS
+    // (fabric.js), or 'photo' to tile this.fabricPhoto.
+    applyFabric(imageData, fabric, color) {
+        const { width: w, height: h, data } = imageData;
+        if (!this.quantized || this.quantized.width !== w || this.quantized.height !== h) {
+            throw new Error('Fabric needs quantized colors: quantize the image first');
+        }
+        let cloth;
+        if (fabric === 'photo') {
+            if (!this.fabricPhoto) throw new Error('Upload a fabric photo to stitch on it');
+            cloth = tileFabricPhoto(this.fabricPhoto, w, h, this.scale);
+        } else {
+            cloth = renderFabric(fabric, w, h, color, { scale: this.scale, random: this.random });
+        }
+
+        if (!this.clothMask) this.markCloth();
+        const stitched = new Float32Array(w * h);
+        for (let i = 0; i < w * h; i++) stitched[i] = 1 - this.clothMask[i];
+
+        // Stitches stand off the cloth: their outline, shifted away from the light and blurred twice
+        const offset = this.scaled(2), r = this.scaled(2);
+        let shadow = new Float32Array(w * h);
+        for (let y = offset; y < h; y++) {
+            for (let x = offset; x < w; x++) shadow[y * w + x] = stitched[(y - offset) * w + x - offset];
+        }
+        const counts = this.boxSum(new Float32Array(w * h).fill(1), w, h, r);
+        for (let pass = 0; pass < 2; pass++) {
+            shadow = this.boxSum(shadow, w, h, r);
+            for (let i = 0; i < w * h; i++) shadow[i] /= counts[i];
+        }
+
+        for (let i = 0; i < w * h; i++) {
+            if (!this.clothMask[i]) continue;
+            const shade = 1 - 0.55 * shadow[i];
+            const j = i * 4;
+            data[j] = cloth[j] * shade;
+            data[j + 1] = cloth[j + 1] * shade;
+            data[j + 2] = cloth[j + 2] * shade;
+        }
+        return imageData;
+    }
+
     apply3DShading(imageData) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
         const copy = new Uint8ClampedArray(data);
@@ -188,14 +1012,15 @@ class CreativePipeline {
         const lightAngle = Math.PI * 1.25; // 225 degrees
         const lightX = Math.cos(lightAngle);
         const lightY = Math.sin(lightAngle);
+        const d = this.scaled(1); // Gradient reach, so slopes stay as steep at print resolution
 
-        for (let y = 1; y < h - 1; y++) {
-            for (let x = 1; x < w - 1; x++) {
+        for (let y = d; y < h - d; y++) {
+            for (let x = d; x < w - d; x++) {
                 const idx = (y * w + x) * 4;
 
                 // Calculate gradients in multiple directions
-                const gx = (this.getGrayScale(copy, (y * w + x + 1) * 4) - this.getGrayScale(copy, (y * w + x - 1) * 4)) / 2;
-                const gy = (this.getGrayScale(copy, ((y + 1) * w + x) * 4) - this.getGrayScale(copy, ((y - 1) * w + x) * 4)) / 2;
+                const gx = (this.getGrayScale(copy, (y * w + x + d) * 4) - this.getGrayScale(copy, (y * w + x - d) * 4)) / 2;
+                const gy = (this.getGrayScale(copy, ((y + d) * w + x) * 4) - this.getGrayScale(copy, ((y - d) * w + x) * 4)) / 2;
 
                 // Normal vector (perpendicular to surface)
                 const nx = -gx / 255;
@@ -222,6 +1047,39 @@ class CreativePipeline {
         return imageData;
     }
 
+    // Legibility finish: protected text and axis lines become backstitch in their own color, with a
+    // rounded sheen along each stitch, needle holes between stitches and a small cast shadow
+    stitchLegibleInk() {
+        const { coverage, pixels } = this.legibleInk;
+        const { width: w, height: h, data } = this.imageData;
+        const stitch = this.scaled(6), offset = this.scaled(1);
+
+        for (let y = h - 1; y >= offset; y--) {
+            for (let x = w - 1; x >= offset; x--) {
+                const cast = coverage[(y - offset) * w + x - offset];
+                if (!cast || coverage[y * w + x]) continue;
+                const idx = (y * w + x) * 4;
+                const shade = 1 - 0.3 * cast;
+                data[idx] *= shade; data[idx + 1] *= shade; data[idx + 2] *= shade;
+            }
+        }
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const a = coverage[y * w + x];
+                if (!a) continue;
+                const idx = (y * w + x) * 4;
+                const along = (x + y) % stitch;
+                const shade = along < offset ? 0.7 : 0.88 + 0.24 * Math.sin(along / stitch * Math.PI);
+                for (let c = 0; c < 3; c++) {
+                    // The added term lets dark threads catch the light too
+                    data[idx + c] = data[idx + c] * (1 - a) + (pixels[idx + c] * shade + (shade - 0.88) * 100) * a;
+                }
+            }
+        }
+        return this.imageData;
+    }
+
     applyColorBoost(imageData, brightness, saturation) {
         // See original HSL conversion if needed, simplified here with basic rgb scaling
         const data = imageData.data;
@@ -234,24 +1092,212 @@ class CreativePipeline {
         return imageData;
     }
 
+    // ==========================================
+    // STYLE A: EMBROIDERY (stitch renderer)
+    // ==========================================
+    // Draws every quantized region as real stitches instead of blurring it. Narrow regions become satin:
+    // one stitch spans the whole column, laid across its long axis. Wider regions get fill stitches of
+    // stitchLength at stitchAngle degrees, staggered row by row like machine tatami. Each thread is shaded
+    // as a lit cylinder with a sheen highlight, a slight ply twist and dark gaps where stitches meet.
+    // Sizes are in source pixels; spread roughens where fill stitches end. Bare cloth (see markCloth) is
+    // left for applyFabric.
+    renderStitches(imageData, { stitchLength = 10, stitchAngle = 45, threadThickness = 3, spread = 2 } = {}) {
+        const { width: w, height: h, data } = imageData;
+        if (!this.quantized || this.quantized.width !== w || this.quantized.height !== h) {
+            throw new Error('Stitches need quantized colors: quantize the image first');
+        }
+        const { labels, regions } = this.labelRegions(this.quantized.indices, w, h);
+        const edge = this.regionEdgeDistance(labels, w, h);
+        const threadWidth = this.scaled(threadThickness, 2), length = this.scaled(stitchLength, 2);
+        // Counter-clockwise on screen, where y points down
+        const layout = this.layoutStitches(labels, edge, regions, w, { length, angle: -stitchAngle * Math.PI / 180 });
+        const jitter = Math.min(length * 0.4, spread * this.scale * 0.8);
+        const taper = Math.min(0.5, 0.7 * threadWidth / length); // Fill stitch ends dip into the fabric over this part
+
+        // Per-stitch randomness is hashed from its row and number, so stitches stay put however the pixels are visited
+        const seed = Math.floor(this.random() * 0x7fffffff);
+        const noise = (a, b) => {
+            let t = Math.imul(a, 0x27d4eb2d) ^ Math.imul(b, 0x165667b1) ^ seed;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const stitchEnd = (row, k) => k * length + (noise(row, k) - 0.5) * 2 * jitter;
+
+        // Light from the top left, seen from straight above
+        const light = [-0.45, -0.55, 0.7], view = [0, 0, 1];
+        const lightLen = Math.hypot(...light);
+        const [lx, ly, lz] = light.map(v => v / lightLen);
+        const half = [lx + view[0], ly + view[1], lz + view[2]];
+        const halfLen = Math.hypot(...half);
+        const [hx, hy, hz] = half.map(v => v / halfLen);
+
+        // Thin threads are sampled 2x2 per pixel so their edges do not alias
+        const samples = threadWidth < 4 ? 2 : 1;
+        const offsets = Array.from({ length: samples }, (_, k) => (k + 0.5) / samples);
+        const weight = 1 / (samples * samples);
+        const ply = threadWidth * 1.3;
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x, r = labels[i];
+                if (this.clothMask && this.clothMask[i]) continue;
+                const { cos, sin, originU, originV, satin, sheen } = layout[r];
+                // Raised threads fall away towards the region edge
+                const rim = 0.8 + 0.2 * Math.min(1, edge[i] / threadWidth);
+                let shade = 0, gloss = 0;
+
+                for (const oy of offsets) {
+                    for (const ox of offsets) {
+                        const px = x + ox, py = y + oy;
+                        const u = px * cos + py * sin + originU; // Along the stitch
+                        const v = -px * sin + py * cos + originV; // Across the threads
+                        const row = Math.floor(v / threadWidth);
+                        const across = 2 * (v / threadWidth - row) - 1;
+
+                        let tilt = 0, gap = 1, stitch = 0;
+                        if (satin) {
+                            gap = 0.6 + 0.4 * Math.min(1, edge[i] / threadWidth);
+                        } else {
+                            const along = u + ((row % 3) + 3) % 3 * length / 3;
+                            stitch = Math.floor(along / length);
+                            if (along < stitchEnd(row, stitch)) stitch--;
+                            else if (along >= stitchEnd(row, stitch + 1)) stitch++;
+                            const start = stitchEnd(row, stitch), end = stitchEnd(row, stitch + 1);
+                            const t = (along - start) / (end - start);
+                            const fromEnd = Math.min(t, 1 - t) / taper;
+                            if (fromEnd < 1) {
+                                tilt = (t < 0.5 ? -1 : 1) * (1 - fromEnd) * 0.8;
+                                gap = 0.35 + 0.65 * fromEnd * fromEnd;
+                            }
+                        }
+
+                        // Cylinder normal across the thread, tipped along it where the stitch dips in
+                        const lift = Math.sqrt(1 - across * across);
+                        let nx = -sin * across + cos * tilt, ny = cos * across + sin * tilt, nz = lift;
+                        const len = Math.hypot(nx, ny, nz) || 1;
+                        nx /= len; ny /= len; nz /= len;
+
+                        const diffuse = Math.max(0, nx * lx + ny * ly + nz * lz);
+                        const highlight = Math.max(0, nx * hx + ny * hy + nz * hz) ** 28;
+                        const twist = 0.93 + 0.07 * Math.sin(2 * Math.PI * (u / ply + across * 0.4));
+                        const variation = 0.94 + 0.12 * noise(row, stitch + r * 7919);
+                        const occlusion = (0.7 + 0.3 * lift) * gap * rim;
+
+                        shade += (0.5 + 0.6 * diffuse) * twist * variation * occlusion * weight;
+                        gloss += highlight * sheen * occlusion * weight;
+                    }
+                }
+
+                const j = i * 4;
+                data[j] = data[j] * shade + gloss * 255;
+                data[j + 1] = data[j + 1] * shade + gloss * 255;
+                data[j + 2] = data[j + 2] * shade + gloss * 255;
+            }
+        }
+        return imageData;
+    }
+
+    // Distance from each pixel to the nearest pixel of another region or the image border (two-pass chamfer)
+    regionEdgeDistance(labels, w, h) {
+        const dist = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x, l = labels[i];
+                const border = x === 0 || y === 0 || x === w - 1 || y === h - 1 ||
+                    labels[i - 1] !== l || labels[i + 1] !== l || labels[i - w] !== l || labels[i + w] !== l;
+                dist[i] = border ? 0.5 : Infinity;
+            }
+        }
+        const D = Math.SQRT2;
+        for (let y = 1; y < h; y++) {
+            for (let x = 1; x < w - 1; x++) {
+                const i = y * w + x;
+                dist[i] = Math.min(dist[i], dist[i - 1] + 1, dist[i - w] + 1, dist[i - w - 1] + D, dist[i - w + 1] + D);
+            }
+        }
+        for (let y = h - 2; y >= 0; y--) {
+            for (let x = w - 2; x > 0; x--) {
+                const i = y * w + x;
+                dist[i] = Math.min(dist[i], dist[i + 1] + 1, dist[i + w] + 1, dist[i + w + 1] + D, dist[i + w - 1] + D);
+            }
+        }
+        return dist;
+    }
+
+    // Picks satin or fill and the stitch direction for every region. A region is satin when its typical
+    // width (four times the mean distance to its edge, exact for long bars) fits within two stitch lengths;
+    // satin runs across the region's long axis, taken from the second moments of its pixels.
+    layoutStitches(labels, edge, regions, w, { length, angle }) {
+        // Moments are summed relative to each region's corner to keep them precise on large prints
+        const sums = new Float64Array(regions.length * 6);
+        for (let i = 0; i < labels.length; i++) {
+            const region = regions[labels[i]], s = labels[i] * 6;
+            const x = i % w - region.x0, y = Math.floor(i / w) - region.y0;
+            sums[s] += x; sums[s + 1] += y;
+            sums[s + 2] += x * x; sums[s + 3] += y * y; sums[s + 4] += x * y;
+            sums[s + 5] += edge[i];
+        }
+        return regions.map((region, r) => {
+            const s = r * 6, area = region.area;
+            const mx = sums[s] / area, my = sums[s + 1] / area;
+            const a = sums[s + 2] / area - mx * mx, c = sums[s + 3] / area - my * my, b = sums[s + 4] / area - mx * my;
+            const spread = Math.hypot(a - c, 2 * b);
+            const elongation = (a + c + spread) / Math.max(1e-6, a + c - spread); // Ratio of the principal variances
+            const satin = 4 * sums[s + 5] / area <= length * 2;
+            // Fill directions wander a little from region to region, as hooped fabric does
+            let direction = angle + (this.random() - 0.5) * 0.06;
+            if (satin && elongation > 2) direction = 0.5 * Math.atan2(2 * b, a - c) + Math.PI / 2;
+            return {
+                cos: Math.cos(direction), sin: Math.sin(direction),
+                originU: this.random() * length, originV: this.random() * length,
+                satin, sheen: satin ? 0.5 : 0.32 // Long satin floats shine more than short fill stitches
+            };
+        });
+    }
+
     // ==========================================
     // STYLE B: PIXEL ART (Cross-stitch)
     // ==========================================
-    async applyPixelArt(img, params) {
-        const blockSize = Math.max(2, params.threadThickness * 2);
-        const steps = [
-            { name: 'Downsampling resolution...', fn: () => this.pixelate(img, blockSize) },
-            { name: 'Quantizing palette...', fn: () => this.quantizeColors(this.imageData, params.numColors) },
-            { name: 'Enhancing grid...', fn: () => this.drawGrid(this.imageData, blockSize) }
-        ];
-        return this.runPipeline(img, steps);
+    // Reads one floss color per cross-stitch cell for the printable pattern chart.
+    // Free palettes are matched to DMC floss, the de-facto standard for hand cross-stitch.
+    buildStitchGrid(blockSize) {
+        const { palette, indices, width: w, height: h } = this.quantized;
+        const size = this.scaled(blockSize);
+        const cols = Math.floor(w / size), rows = Math.floor(h / size);
+        const threads = this.quantized.threads || this.matchThreads(palette, THREAD_CATALOGS.dmc);
+
+        // Palette entries that share a floss become one legend entry
+        const legend = [];
+        const legendIdx = threads.map(t => {
+            let i = legend.findIndex(e => e.code === t.code);
+            if (i === -1) i = legend.push({ ...t, count: 0 }) - 1;
+            return i;
+        });
+
+        const cells = new Uint8Array(cols * rows);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const x = Math.floor((c + 0.5) * w / cols), y = Math.floor((r + 0.5) * h / rows);
+                const idx = legendIdx[indices[y * w + x]];
+                cells[r * cols + c] = idx;
+                legend[idx].count++;
+            }
+        }
+
+        // Drop flosses that no cell ended up using
+        const used = legend.filter(e => e.count > 0);
+        const remap = legend.map(e => used.indexOf(e));
+        cells.forEach((idx, i) => { cells[i] = remap[idx]; });
+        return { cols, rows, cells, legend: used };
     }
 
     pixelate(img, blockSize) {
         // Redraw small then large
         const w = img.width, h = img.height;
-        const smallW = Math.floor(w / blockSize);
-        const smallH = Math.floor(h / blockSize);
+        const size = this.scaled(blockSize);
+        const smallW = Math.floor(w / size);
+        const smallH = Math.floor(h / size);
 
         // Draw small
         this.ctx.imageSmoothingEnabled = false;
@@ -264,9 +1310,10 @@ class CreativePipeline {
 
     drawGrid(imageData, blockSize) {
         const data = imageData.data, w = imageData.width, h = imageData.height;
+        const size = this.scaled(blockSize), line = this.scaled(1);
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
-                if (x % blockSize === 0 || y % blockSize === 0) {
+                if (x % size < line || y % size < line) {
                     const idx = (y * w + x) * 4;
                     // Darken for grid
                     data[idx] *= 0.8;
@@ -281,28 +1328,20 @@ class CreativePipeline {
     // ==========================================
     // STYLE C: BLUEPRINT
     // ==========================================
-    async applyBlueprint(img, params) {
-        const steps = [
-            { name: 'Detecting edges...', fn: () => this.applyEdgeDetection(this.imageData) },
-            { name: 'Applying blueprint style...', fn: () => this.applyBlueprintColor(this.imageData) },
-            { name: 'Drawing technical grid...', fn: () => this.drawBlueprintGrid(this.imageData) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
     applyEdgeDetection(imageData) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
         const copy = new Uint8ClampedArray(data);
+        const d = this.scaled(1); // Wider kernel at print resolution keeps the lines as thick
         // Sobel-like simple edge
-        for (let y = 1; y < h - 1; y++) {
-            for (let x = 1; x < w - 1; x++) {
+        for (let y = d; y < h - d; y++) {
+            for (let x = d; x < w - d; x++) {
                 const idx = (y * w + x) * 4;
-                const gx = -this.getGrayScale(copy, ((y - 1) * w + x - 1) * 4) + this.getGrayScale(copy, ((y - 1) * w + x + 1) * 4) +
-                    -2 * this.getGrayScale(copy, (y * w + x - 1) * 4) + 2 * this.getGrayScale(copy, (y * w + x + 1) * 4) +
-                    -this.getGrayScale(copy, ((y + 1) * w + x - 1) * 4) + this.getGrayScale(copy, ((y + 1) * w + x + 1) * 4);
+                const gx = -this.getGrayScale(copy, ((y - d) * w + x - d) * 4) + this.getGrayScale(copy, ((y - d) * w + x + d) * 4) +
+                    -2 * this.getGrayScale(copy, (y * w + x - d) * 4) + 2 * this.getGrayScale(copy, (y * w + x + d) * 4) +
+                    -this.getGrayScale(copy, ((y + d) * w + x - d) * 4) + this.getGrayScale(copy, ((y + d) * w + x + d) * 4);
 
-                const gy = -this.getGrayScale(copy, ((y - 1) * w + x - 1) * 4) - 2 * this.getGrayScale(copy, ((y - 1) * w + x) * 4) - this.getGrayScale(copy, ((y - 1) * w + x + 1) * 4) +
-                    this.getGrayScale(copy, ((y + 1) * w + x - 1) * 4) + 2 * this.getGrayScale(copy, ((y + 1) * w + x) * 4) + this.getGrayScale(copy, ((y + 1) * w + x + 1) * 4);
+                const gy = -this.getGrayScale(copy, ((y - d) * w + x - d) * 4) - 2 * this.getGrayScale(copy, ((y - d) * w + x) * 4) - this.getGrayScale(copy, ((y - d) * w + x + d) * 4) +
+                    this.getGrayScale(copy, ((y + d) * w + x - d) * 4) + 2 * this.getGrayScale(copy, ((y + d) * w + x) * 4) + this.getGrayScale(copy, ((y + d) * w + x + d) * 4);
 
                 const mag = Math.sqrt(gx * gx + gy * gy);
                 const val = mag > 50 ? 255 : 0; // Threshold
@@ -329,10 +1368,10 @@ class CreativePipeline {
 
     drawBlueprintGrid(imageData) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
-        const step = 50;
+        const step = this.scaled(50), line = this.scaled(1);
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
-                if (x % step === 0 || y % step === 0) {
+                if (x % step < line || y % step < line) {
                     const idx = (y * w + x) * 4;
                     // Light grid line
                     data[idx] = Math.min(255, data[idx] + 30);
@@ -347,17 +1386,10 @@ class CreativePipeline {
     // ==========================================
     // STYLE D: HALFTONE
     // ==========================================
-    async applyHalftone(img, params) {
-        const dotSize = Math.max(4, params.threadThickness * 2 + 2);
-        const steps = [
-            { name: 'Generating halftone dots...', fn: () => this.renderHalftone(img, dotSize) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
-    renderHalftone(img, dotSize) {
+    renderHalftone(img, cellSize) {
         // Redraw entirely
         const w = img.width, h = img.height;
+        const dotSize = this.scaled(cellSize);
         // Draw temporarily to read data
         this.ctx.drawImage(img, 0, 0);
         const rawData = this.ctx.getImageData(0, 0, w, h).data;
@@ -366,6 +1398,7 @@ class CreativePipeline {
         this.ctx.fillStyle = '#ffffff';
         this.ctx.fillRect(0, 0, w, h);
         this.ctx.fillStyle = '#000000'; // Ink color
+        const dots = [];
 
         for (let y = 0; y < h; y += dotSize) {
             for (let x = 0; x < w; x += dotSize) {
@@ -385,24 +1418,19 @@ class CreativePipeline {
                 this.ctx.beginPath();
                 this.ctx.arc(x + dotSize / 2, y + dotSize / 2, radius, 0, Math.PI * 2);
                 this.ctx.fill();
+                dots.push(x + dotSize / 2, y + dotSize / 2, radius);
             }
         }
+        this.vectorLayers.halftone = dots;
         this.imageData = this.ctx.getImageData(0, 0, w, h);
     }
 
     // ==========================================
     // STYLE E: OIL PAINTING
     // ==========================================
-    async applyOilPainting(img, params) {
-        const brushSize = Math.max(3, params.threadThickness * 2);
-        const steps = [
-            { name: 'Applying brush strokes...', fn: () => this.renderOilStrokes(img, brushSize) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
-    renderOilStrokes(img, radius) {
+    renderOilStrokes(img, brushSize) {
         const w = img.width, h = img.height;
+        const radius = brushSize * this.scale;
         this.ctx.drawImage(img, 0, 0);
         const srcData = this.ctx.getImageData(0, 0, w, h).data;
 
@@ -423,16 +1451,16 @@ class CreativePipeline {
 
             for (let y = 0; y < h; y += spacing) {
                 for (let x = 0; x < w; x += spacing) {
-                    const jx = Math.floor(x + (Math.random() - 0.5) * pass.size * pass.jitter);
-                    const jy = Math.floor(y + (Math.random() - 0.5) * pass.size * pass.jitter);
+                    const jx = Math.floor(x + (this.random() - 0.5) * pass.size * pass.jitter);
+                    const jy = Math.floor(y + (this.random() - 0.5) * pass.size * pass.jitter);
                     if (jx < 0 || jx >= w || jy < 0 || jy >= h) continue;
 
                     const idx = (jy * w + jx);
-                    const angle = (flowField[idx] || 0) + (Math.random() - 0.5) * 0.35;
+                    const angle = (flowField[idx] || 0) + (this.random() - 0.5) * 0.35;
                     const color = this.sampleNeighborhood(srcData, w, h, jx, jy, Math.max(1, Math.floor(pass.size * 0.35)));
 
-                    const strokeWidth = pass.size * (0.9 + Math.random() * 0.3);
-                    const strokeHeight = pass.size * (0.22 + Math.random() * 0.2);
+                    const strokeWidth = pass.size * (0.9 + this.random() * 0.3);
+                    const strokeHeight = pass.size * (0.22 + this.random() * 0.2);
                     const highlight = [
                         Math.min(255, color[0] + 18),
                         Math.min(255, color[1] + 18),
@@ -511,43 +1539,35 @@ class CreativePipeline {
     // ==========================================
     // STYLE F: ASCII
     // ==========================================
-    async applyASCII(img, params) {
-        const steps = [
-            { name: 'Converting to ASCII...', fn: () => this.renderASCII(img) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
-    renderASCII(img) {
+    // charset runs from the emptiest character to the densest; paper mode prints dark ink on white
+    renderASCII(img, { cols = 100, charset = ' .:-=+*#%@', color = '#00ff00', invert = false } = {}) {
         const w = img.width, h = img.height;
         // Downsample
-        const cols = 100; // Fixed width for ASCII
         const charW = w / cols;
         const rows = Math.floor(h / charW * 0.5); // *0.5 because chars are non-square
 
         // Read small
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = cols;
-        tempCanvas.height = rows;
+        const tempCanvas = this.createCanvas(cols, rows);
         const tCtx = tempCanvas.getContext('2d');
         tCtx.drawImage(img, 0, 0, cols, rows);
         const data = tCtx.getImageData(0, 0, cols, rows).data;
 
         // Render Text
-        this.ctx.fillStyle = '#000000';
+        this.ctx.fillStyle = invert ? '#ffffff' : '#000000';
         this.ctx.fillRect(0, 0, w, h);
 
         this.ctx.font = `${charW * 1.5}px monospace`;
-        this.ctx.fillStyle = '#00ff00'; // Matrix green
+        this.ctx.fillStyle = color;
         this.ctx.textBaseline = 'top';
 
-        const chars = " .:-=+*#%@";
+        const chars = [...charset]; // Code points, so block characters count as one
 
         for (let y = 0; y < rows; y++) {
             for (let x = 0; x < cols; x++) {
                 const idx = (y * cols + x) * 4;
                 const br = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-                const charIdx = Math.floor((br / 255) * (chars.length - 1));
+                const level = invert ? 255 - br : br;
+                const charIdx = Math.floor((level / 255) * (chars.length - 1));
                 const char = chars[charIdx];
 
                 this.ctx.fillText(char, x * charW, y * charW * 2);
@@ -559,22 +1579,13 @@ class CreativePipeline {
     // ==========================================
     // STYLE G: WATERCOLOR
     // ==========================================
-    async applyWatercolor(img, params) {
-        const steps = [
-            { name: 'Applying color bleeding...', fn: () => this.applyColorBleeding(this.imageData, params.spreadAmount) },
-            { name: 'Adding paper texture...', fn: () => this.applyPaperTexture(this.imageData) },
-            { name: 'Creating soft edges...', fn: () => this.applySoftEdges(this.imageData, params.threadThickness) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
     applyColorBleeding(imageData, intensity) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
 
         // Multiple passes with decreasing intensity for natural bleeding
         for (let pass = 0; pass < 4; pass++) {
             const copy = new Uint8ClampedArray(data);
-            const passIntensity = intensity * (1 - pass * 0.15); // Reduce intensity each pass
+            const passIntensity = intensity * this.scale * (1 - pass * 0.15); // Reduce intensity each pass
 
             for (let y = 0; y < h; y++) {
                 for (let x = 0; x < w; x++) {
@@ -583,8 +1594,8 @@ class CreativePipeline {
                     // Sample from random nearby pixels (simulates water diffusion)
                     let r = 0, g = 0, b = 0, count = 0;
                     for (let i = 0; i < 8; i++) {
-                        const angle = (Math.PI * 2 * i) / 8 + (Math.random() - 0.5) * 0.5;
-                        const dist = passIntensity * (0.5 + Math.random() * 1.5);
+                        const angle = (Math.PI * 2 * i) / 8 + (this.random() - 0.5) * 0.5;
+                        const dist = passIntensity * (0.5 + this.random() * 1.5);
                         const nx = Math.round(x + Math.cos(angle) * dist);
                         const ny = Math.round(y + Math.sin(angle) * dist);
 
@@ -615,9 +1626,10 @@ class CreativePipeline {
     applyEdgeDarkening(imageData) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
         const copy = new Uint8ClampedArray(data);
+        const d = this.scaled(1);
 
-        for (let y = 1; y < h - 1; y++) {
-            for (let x = 1; x < w - 1; x++) {
+        for (let y = d; y < h - d; y++) {
+            for (let x = d; x < w - d; x++) {
                 const idx = (y * w + x) * 4;
 
                 // Detect edges by color difference
@@ -625,7 +1637,7 @@ class CreativePipeline {
                 for (let dy = -1; dy <= 1; dy++) {
                     for (let dx = -1; dx <= 1; dx++) {
                         if (dx === 0 && dy === 0) continue;
-                        const nidx = ((y + dy) * w + (x + dx)) * 4;
+                        const nidx = ((y + dy * d) * w + (x + dx * d)) * 4;
                         const diff = Math.abs(copy[idx] - copy[nidx]) +
                             Math.abs(copy[idx + 1] - copy[nidx + 1]) +
                             Math.abs(copy[idx + 2] - copy[nidx + 2]);
@@ -647,7 +1659,7 @@ class CreativePipeline {
     applyPaperTexture(imageData) {
         const data = imageData.data;
         for (let i = 0; i < data.length; i += 4) {
-            const noise = (Math.random() - 0.5) * 15;
+            const noise = (this.random() - 0.5) * 15;
             data[i] = Math.min(255, Math.max(0, data[i] + noise + 10)); // Slight brightening
             data[i + 1] = Math.min(255, Math.max(0, data[i + 1] + noise + 10));
             data[i + 2] = Math.min(255, Math.max(0, data[i + 2] + noise + 10));
@@ -655,10 +1667,11 @@ class CreativePipeline {
         return imageData;
     }
 
-    applySoftEdges(imageData, radius) {
+    applySoftEdges(imageData, softness) {
         // Gaussian-like blur for soft watercolor edges
         const w = imageData.width, h = imageData.height, data = imageData.data;
         const copy = new Uint8ClampedArray(data);
+        const radius = this.scaled(softness);
 
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
@@ -682,24 +1695,17 @@ class CreativePipeline {
     // ==========================================
     // STYLE H: STAINED GLASS
     // ==========================================
-    async applyStainedGlass(img, params) {
-        const steps = [
-            { name: 'Creating glass segments...', fn: () => this.quantizeColors(this.imageData, params.numColors) },
-            { name: 'Adding lead lines...', fn: () => this.applyLeadLines(this.imageData) },
-            { name: 'Creating glass shine...', fn: () => this.applyGlassShine(this.imageData) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
     applyLeadLines(imageData) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
         const copy = new Uint8ClampedArray(data);
 
+        const d = this.scaled(1);
+
         // Create edge map first
         const edges = new Uint8Array(w * h);
 
-        for (let y = 1; y < h - 1; y++) {
-            for (let x = 1; x < w - 1; x++) {
+        for (let y = d; y < h - d; y++) {
+            for (let x = d; x < w - d; x++) {
                 const idx = (y * w + x) * 4;
 
                 // Check all neighbors for color boundaries
@@ -707,7 +1713,7 @@ class CreativePipeline {
                 for (let dy = -1; dy <= 1; dy++) {
                     for (let dx = -1; dx <= 1; dx++) {
                         if (dx === 0 && dy === 0) continue;
-                        const nidx = ((y + dy) * w + (x + dx)) * 4;
+                        const nidx = ((y + dy * d) * w + (x + dx * d)) * 4;
                         const diff = Math.abs(copy[idx] - copy[nidx]) +
                             Math.abs(copy[idx + 1] - copy[nidx + 1]) +
                             Math.abs(copy[idx + 2] - copy[nidx + 2]);
@@ -724,8 +1730,8 @@ class CreativePipeline {
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
                 if (edges[y * w + x] > 0) {
-                    for (let dy = -1; dy <= 1; dy++) {
-                        for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -d; dy <= d; dy++) {
+                        for (let dx = -d; dx <= d; dx++) {
                             const ny = y + dy, nx = x + dx;
                             if (ny >= 0 && ny < h && nx >= 0 && nx < w) {
                                 thickEdges[ny * w + nx] = 255;
@@ -742,7 +1748,7 @@ class CreativePipeline {
                 if (thickEdges[y * w + x] > 0) {
                     const idx = (y * w + x) * 4;
                     // Dark gray with slight variation
-                    const leadColor = 15 + Math.random() * 10;
+                    const leadColor = 15 + this.random() * 10;
                     data[idx] = leadColor;
                     data[idx + 1] = leadColor;
                     data[idx + 2] = leadColor;
@@ -755,6 +1761,7 @@ class CreativePipeline {
 
     applyGlassShine(imageData) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
+        const spread = this.scaled(1);
 
         // Add texture variation within glass pieces
         for (let y = 0; y < h; y++) {
@@ -765,14 +1772,15 @@ class CreativePipeline {
                 if (data[idx] < 30 && data[idx + 1] < 30 && data[idx + 2] < 30) continue;
 
                 // Subtle color variation within glass
-                const variation = (Math.sin(x * 0.1) * Math.cos(y * 0.1)) * 8;
+                const variation = (Math.sin(x * 0.1 / this.scale) * Math.cos(y * 0.1 / this.scale)) * 8;
                 data[idx] = Math.min(255, Math.max(0, data[idx] + variation));
                 data[idx + 1] = Math.min(255, Math.max(0, data[idx + 1] + variation));
                 data[idx + 2] = Math.min(255, Math.max(0, data[idx + 2] + variation));
 
                 // Concentrated highlights (more realistic glass reflections)
-                const highlightChance = 0.015; // 1.5% of pixels
-                if (Math.random() < highlightChance) {
+                // 1.5% of source pixels; a highlight never shrinks below 3x3, so small renders keep 1.5% of theirs
+                const highlightChance = 0.015 / Math.max(1, this.scale * this.scale);
+                if (this.random() < highlightChance) {
                     // Brightness of highlight depends on base color
                     const baseBrightness = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
                     const highlightIntensity = 60 + baseBrightness * 0.3;
@@ -783,8 +1791,8 @@ class CreativePipeline {
                     data[idx + 2] = Math.min(255, data[idx + 2] + highlightIntensity);
 
                     // Spread highlight slightly
-                    for (let dy = -1; dy <= 1; dy++) {
-                        for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -spread; dy <= spread; dy++) {
+                        for (let dx = -spread; dx <= spread; dx++) {
                             if (dx === 0 && dy === 0) continue;
                             const ny = y + dy, nx = x + dx;
                             if (ny >= 0 && ny < h && nx >= 0 && nx < w) {
@@ -805,19 +1813,14 @@ class CreativePipeline {
     // ==========================================
     // STYLE I: MOSAIC TILES
     // ==========================================
-    async applyMosaic(img, params) {
-        const tileSize = Math.max(8, params.threadThickness * 3);
-        const steps = [
-            { name: 'Creating tile blocks...', fn: () => this.createTiles(img, tileSize) },
-            { name: 'Adding grout lines...', fn: () => this.applyGrout(this.imageData, tileSize) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
-    createTiles(img, tileSize) {
+    // Below scale 1 (the live preview) tiles keep at least 3 pixels and grout never fills a whole tile;
+    // full-size and print renders are never limited by either
+    createTiles(img, size) {
         const w = img.width, h = img.height;
+        const tileSize = this.scaled(size, 3);
         this.ctx.drawImage(img, 0, 0);
         const srcData = this.ctx.getImageData(0, 0, w, h).data;
+        const tiles = []; // Flat [x, y, r, g, b, ...]
 
         for (let y = 0; y < h; y += tileSize) {
             for (let x = 0; x < w; x += tileSize) {
@@ -838,20 +1841,22 @@ class CreativePipeline {
                 gradient.addColorStop(1, `rgba(0,0,0,0.2)`);
                 this.ctx.fillStyle = gradient;
                 this.ctx.fillRect(x, y, tileSize, tileSize);
+                tiles.push(x, y, r, g, b);
             }
         }
+        this.vectorLayers.tiles = { tileSize, tiles };
         this.imageData = this.ctx.getImageData(0, 0, w, h);
     }
 
-    applyGrout(imageData, tileSize) {
+    applyGrout(imageData, size, width = 2, groutColor = [200, 200, 200]) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
-        const groutWidth = 2;
+        const tileSize = this.scaled(size, 3), groutWidth = Math.min(this.scaled(width, 0), tileSize - 2);
 
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
                 if (x % tileSize < groutWidth || y % tileSize < groutWidth) {
                     const idx = (y * w + x) * 4;
-                    data[idx] = 200; data[idx + 1] = 200; data[idx + 2] = 200; // Light gray grout
+                    data[idx] = groutColor[0]; data[idx + 1] = groutColor[1]; data[idx + 2] = groutColor[2];
                 }
             }
         }
@@ -861,16 +1866,8 @@ class CreativePipeline {
     // ==========================================
     // STYLE J: NEON GLOW
     // ==========================================
-    async applyNeon(img, params) {
-        const steps = [
-            { name: 'Detecting edges...', fn: () => this.applyEdgeDetection(this.imageData) },
-            { name: 'Creating neon glow...', fn: () => this.applyNeonGlow(this.imageData, params.brightness) },
-            { name: 'Adding dark background...', fn: () => this.applyDarkBackground(this.imageData) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
-    applyNeonGlow(imageData, intensity) {
+    // Tube colors as [r, g, b]: outer halo and the tighter inner glow around the white core
+    applyNeonGlow(imageData, intensity, outerColor = [255, 100, 255], innerColor = [100, 255, 255]) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
         const copy = new Uint8ClampedArray(data);
 
@@ -879,10 +1876,12 @@ class CreativePipeline {
 
         // Multi-layer glow for more realistic effect
         const glowLayers = [
-            { radius: 8, intensity: 0.8, color: [255, 100, 255] },  // Outer glow (magenta)
-            { radius: 5, intensity: 1.0, color: [100, 255, 255] },  // Mid glow (cyan)
-            { radius: 2, intensity: 1.2, color: [255, 255, 255] }   // Core glow (white)
+            { radius: this.scaled(8), intensity: 0.8, color: outerColor },       // Outer glow
+            { radius: this.scaled(5), intensity: 1.0, color: innerColor },       // Mid glow
+            { radius: this.scaled(2), intensity: 1.2, color: [255, 255, 255] }   // Core glow (white)
         ];
+        // Scaled tubes and halos overlap scale^2 times as many source pixels
+        const density = this.scale * this.scale;
 
         glowLayers.forEach(layer => {
             for (let y = 0; y < h; y++) {
@@ -903,7 +1902,7 @@ class CreativePipeline {
                                     if (dist <= layer.radius) {
                                         // Smooth falloff using squared distance
                                         const falloff = Math.pow(1 - dist / layer.radius, 2);
-                                        const glowStrength = falloff * layer.intensity * brightness * 80;
+                                        const glowStrength = falloff * layer.intensity * brightness * 80 / density;
 
                                         glowMap[nidx] += layer.color[0] * glowStrength / 255;
                                         glowMap[nidx + 1] += layer.color[1] * glowStrength / 255;
@@ -941,15 +1940,6 @@ class CreativePipeline {
     // ==========================================
     // STYLE K: PENCIL SKETCH
     // ==========================================
-    async applySketch(img, params) {
-        const steps = [
-            { name: 'Converting to grayscale...', fn: () => this.convertToGrayscale(this.imageData) },
-            { name: 'Detecting sketch lines...', fn: () => this.applySketchLines(this.imageData) },
-            { name: 'Adding paper texture...', fn: () => this.applyPaperTexture(this.imageData) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
     convertToGrayscale(imageData) {
         const data = imageData.data;
         for (let i = 0; i < data.length; i += 4) {
@@ -973,7 +1963,7 @@ class CreativePipeline {
 
         // Apply stronger blur to inverted image for better pencil effect
         const blurred = new Uint8ClampedArray(inverted);
-        const blurRadius = 3;
+        const blurRadius = this.scaled(3);
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
                 let sum = 0, count = 0;
@@ -1013,15 +2003,16 @@ class CreativePipeline {
         }
 
         // Add subtle cross-hatching in darker areas
-        for (let y = 0; y < h; y += 3) {
-            for (let x = 0; x < w; x += 3) {
+        const hatchStep = this.scaled(3), hatchSpacing = this.scaled(6), hatchWidth = this.scaled(2);
+        for (let y = 0; y < h; y += hatchStep) {
+            for (let x = 0; x < w; x += hatchStep) {
                 const idx = (y * w + x) * 4;
                 const brightness = data[idx];
 
                 // Add hatching to mid-dark tones
                 if (brightness > 50 && brightness < 180) {
                     // Diagonal hatching pattern
-                    if ((x + y) % 6 < 2) {
+                    if ((x + y) % hatchSpacing < hatchWidth) {
                         data[idx] = Math.max(0, data[idx] - 20);
                         data[idx + 1] = Math.max(0, data[idx + 1] - 20);
                         data[idx + 2] = Math.max(0, data[idx + 2] - 20);
@@ -1036,26 +2027,18 @@ class CreativePipeline {
     // ==========================================
     // STYLE L: COMIC BOOK
     // ==========================================
-    async applyComic(img, params) {
-        const steps = [
-            { name: 'Quantizing colors...', fn: () => this.quantizeColors(this.imageData, params.numColors) },
-            { name: 'Adding bold outlines...', fn: () => this.applyBoldOutlines(this.imageData) },
-            { name: 'Creating halftone dots...', fn: () => this.applyComicDots(this.imageData, params.threadThickness) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
     applyBoldOutlines(imageData) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
         const copy = new Uint8ClampedArray(data);
+        const d = this.scaled(1);
 
-        for (let y = 1; y < h - 1; y++) {
-            for (let x = 1; x < w - 1; x++) {
+        for (let y = d; y < h - d; y++) {
+            for (let x = d; x < w - d; x++) {
                 const idx = (y * w + x) * 4;
 
                 // Sobel-like edge detection
-                const gx = -this.getGrayScale(copy, ((y - 1) * w + x - 1) * 4) + this.getGrayScale(copy, ((y - 1) * w + x + 1) * 4);
-                const gy = -this.getGrayScale(copy, ((y - 1) * w + x) * 4) + this.getGrayScale(copy, ((y + 1) * w + x) * 4);
+                const gx = -this.getGrayScale(copy, ((y - d) * w + x - d) * 4) + this.getGrayScale(copy, ((y - d) * w + x + d) * 4);
+                const gy = -this.getGrayScale(copy, ((y - d) * w + x) * 4) + this.getGrayScale(copy, ((y + d) * w + x) * 4);
                 const mag = Math.sqrt(gx * gx + gy * gy);
 
                 if (mag > 40) {
@@ -1069,7 +2052,8 @@ class CreativePipeline {
 
     applyComicDots(imageData, dotSize) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
-        const size = Math.max(4, dotSize * 2);
+        const size = this.scaled(Math.max(4, dotSize * 2));
+        const dots = [];
 
         for (let y = 0; y < h; y += size) {
             for (let x = 0; x < w; x += size) {
@@ -1083,9 +2067,11 @@ class CreativePipeline {
                     this.ctx.beginPath();
                     this.ctx.arc(x + size / 2, y + size / 2, radius, 0, Math.PI * 2);
                     this.ctx.fill();
+                    dots.push(x + size / 2, y + size / 2, radius);
                 }
             }
         }
+        this.vectorLayers.comicDots = dots;
         this.imageData = this.ctx.getImageData(0, 0, w, h);
         return this.imageData;
     }
@@ -1093,34 +2079,27 @@ class CreativePipeline {
     // ==========================================
     // STYLE M: WOODCUT PRINT
     // ==========================================
-    async applyWoodcut(img, params) {
-        const steps = [
-            { name: 'Converting to grayscale...', fn: () => this.convertToGrayscale(this.imageData) },
-            { name: 'Carving ink threshold...', fn: () => this.applyWoodcutThreshold(this.imageData, params.brightness) },
-            { name: 'Adding hatch lines...', fn: () => this.applyWoodcutHatching(this.imageData, params.threadThickness) },
-            { name: 'Adding paper texture...', fn: () => this.applyPaperTexture(this.imageData) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
     applyWoodcutThreshold(imageData, brightness) {
         const data = imageData.data;
         const base = 120 - (brightness - 100) * 1.2;
         const mid = base + 60;
+        const levels = new Uint8Array(data.length / 4); // 0 ink, 1 hatched, 2 paper
         for (let i = 0; i < data.length; i += 4) {
             const gray = this.getGrayScale(data, i);
-            let val = 245;
-            if (gray < base) val = 40;
-            else if (gray < mid) val = 160;
+            let val = 245, level = 2;
+            if (gray < base) { val = 40; level = 0; }
+            else if (gray < mid) { val = 160; level = 1; }
             data[i] = val; data[i + 1] = val; data[i + 2] = val;
+            levels[i / 4] = level;
         }
+        this.vectorLayers.woodcut = { indices: levels, width: imageData.width, height: imageData.height };
         return imageData;
     }
 
     applyWoodcutHatching(imageData, thickness) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
-        const spacing = Math.max(3, 10 - thickness * 1.5);
-        const lineWidth = Math.max(1, Math.round(thickness / 2));
+        const spacing = Math.max(3, 10 - thickness * 1.5) * this.scale;
+        const lineWidth = this.scaled(Math.max(1, Math.round(thickness / 2)));
 
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
@@ -1147,22 +2126,12 @@ class CreativePipeline {
     // ==========================================
     // STYLE N: GLITCH / VHS
     // ==========================================
-    async applyGlitch(img, params) {
-        const steps = [
-            { name: 'Shifting RGB channels...', fn: () => this.applyChannelShift(this.imageData, params.spreadAmount) },
-            { name: 'Displacing scan slices...', fn: () => this.applyGlitchSlices(this.imageData, params.spreadAmount) },
-            { name: 'Adding scanlines...', fn: () => this.applyScanlines(this.imageData, params.threadThickness) },
-            { name: 'Boosting signal...', fn: () => this.applyColorBoost(this.imageData, params.brightness, 105) }
-        ];
-        return this.runPipeline(img, steps);
-    }
-
     applyChannelShift(imageData, amount) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
         const copy = new Uint8ClampedArray(data);
-        const rShift = Math.round(amount * 2);
-        const gShift = Math.round(amount);
-        const bShift = -Math.round(amount * 1.5);
+        const rShift = Math.round(amount * 2 * this.scale);
+        const gShift = Math.round(amount * this.scale);
+        const bShift = -Math.round(amount * 1.5 * this.scale);
 
         for (let y = 0; y < h; y++) {
             for (let x = 0; x < w; x++) {
@@ -1189,9 +2158,9 @@ class CreativePipeline {
         const sliceCount = 4 + amount * 2;
 
         for (let s = 0; s < sliceCount; s++) {
-            const sliceY = Math.floor(Math.random() * h);
-            const sliceH = Math.min(h - sliceY, 6 + Math.floor(Math.random() * 18));
-            const offset = Math.floor((Math.random() - 0.5) * amount * 8);
+            const sliceY = Math.floor(this.random() * h);
+            const sliceH = Math.min(h - sliceY, Math.round((6 + Math.floor(this.random() * 18)) * this.scale));
+            const offset = Math.floor((this.random() - 0.5) * amount * 8 * this.scale);
 
             for (let y = sliceY; y < sliceY + sliceH; y++) {
                 for (let x = 0; x < w; x++) {
@@ -1209,9 +2178,9 @@ class CreativePipeline {
 
     applyScanlines(imageData, thickness) {
         const w = imageData.width, h = imageData.height, data = imageData.data;
-        const spacing = Math.max(2, thickness * 2);
+        const spacing = this.scaled(Math.max(2, thickness * 2)), line = this.scaled(1);
         for (let y = 0; y < h; y++) {
-            if (y % spacing === 0) {
+            if (y % spacing < line) {
                 for (let x = 0; x < w; x++) {
                     const idx = (y * w + x) * 4;
                     data[idx] = Math.max(0, data[idx] - 20);
@@ -1223,933 +2192,738 @@ class CreativePipeline {
         return imageData;
     }
 
+    // ==========================================
+    // CUSTOM PIPELINE
+    // ==========================================
+
+    // Canvas with the current pixels, for redraw steps that normally start from the uploaded image
+    currentImageSource() {
+        const canvas = this.createCanvas(this.imageData.width, this.imageData.height);
+        canvas.getContext('2d').putImageData(this.imageData, 0, 0);
+        return canvas;
+    }
+
+    // ==========================================
+    // LEGIBILITY (chart text and axis lines)
+    // ==========================================
+
+    // Sum of values over a (2r+1)^2 window around every pixel, clamped at the borders (two running-sum passes)
+    boxSum(values, w, h, r) {
+        const rows = new Float32Array(w * h), out = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            let sum = 0;
+            for (let x = -r; x < w; x++) {
+                if (x + r < w) sum += values[y * w + x + r];
+                if (x - r - 1 >= 0) sum -= values[y * w + x - r - 1];
+                if (x >= 0) rows[y * w + x] = sum;
+            }
+        }
+        for (let x = 0; x < w; x++) {
+            let sum = 0;
+            for (let y = -r; y < h; y++) {
+                if (y + r < h) sum += rows[(y + r) * w + x];
+                if (y - r - 1 >= 0) sum -= rows[(y - r - 1) * w + x];
+                if (y >= 0) out[y * w + x] = sum;
+            }
+        }
+        return out;
+    }
+
+    // Ink is whatever stands out from its neighbourhood: darker than a light background or lighter than a
+    // dark one. Without a mask only text-like components are kept: tiny marks, thin lines (axes, ticks, grid)
+    // and small sparse shapes (glyphs); bars, areas and thick data lines stay with the style.
+    // mask (ImageData, any size) marks the areas to protect in white instead.
+    // Returns a per-pixel coverage (0-1) of protected ink.
+    findLegibleInk(imageData, mask = null) {
+        const { width: w, height: h, data } = imageData;
+        const gray = new Float32Array(w * h);
+        const ones = new Float32Array(w * h).fill(1);
+        for (let i = 0; i < w * h; i++) gray[i] = this.getGrayScale(data, i * 4);
+        const r = this.scaled(10);
+        const sums = this.boxSum(gray, w, h, r), counts = this.boxSum(ones, w, h, r);
+        const contrast = new Float32Array(w * h);
+        const ink = new Uint8Array(w * h);
+        for (let i = 0; i < w * h; i++) {
+            const mean = sums[i] / counts[i];
+            contrast[i] = mean >= 128 ? mean - gray[i] : gray[i] - mean;
+            ink[i] = contrast[i] > 40 ? 1 : 0;
+        }
+
+        const keep = new Uint8Array(w * h);
+        if (mask) {
+            for (let y = 0; y < h; y++) {
+                const my = Math.min(mask.height - 1, Math.floor(y * mask.height / h));
+                for (let x = 0; x < w; x++) {
+                    const m = (my * mask.width + Math.min(mask.width - 1, Math.floor(x * mask.width / w))) * 4;
+                    if (ink[y * w + x] && this.getGrayScale(mask.data, m) * mask.data[m + 3] / 255 > 127) keep[y * w + x] = 1;
+                }
+            }
+        } else {
+            const { labels, regions } = this.labelRegions(ink, w, h);
+            // The contrasting rim of a bar or area is ink too, but it continues in its own color just
+            // outside the component, where text meets plain background
+            const edges = new Uint32Array(regions.length), continued = new Uint32Array(regions.length);
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const i = y * w + x;
+                    if (!ink[i]) continue;
+                    for (const j of [x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1, y > 0 ? i - w : -1, y < h - 1 ? i + w : -1]) {
+                        if (j < 0 || ink[j]) continue;
+                        edges[labels[i]]++;
+                        const diff = Math.abs(data[i * 4] - data[j * 4]) + Math.abs(data[i * 4 + 1] - data[j * 4 + 1])
+                            + Math.abs(data[i * 4 + 2] - data[j * 4 + 2]);
+                        if (diff < 60) continued[labels[i]]++;
+                    }
+                }
+            }
+            const text = regions.map((region, id) => {
+                if (region.color !== 1 || continued[id] > edges[id] * 0.25) return false;
+                const bw = region.x1 - region.x0 + 1, bh = region.y1 - region.y0 + 1, long = Math.max(bw, bh);
+                return long <= this.scaled(6)                                              // Dots, punctuation
+                    || region.area / long <= 3 * this.scale                                // Axis, tick and grid lines
+                    || (long <= this.scaled(40) && region.area / (bw * bh) < 0.6);        // Glyphs
+            });
+            for (let i = 0; i < w * h; i++) keep[i] = text[labels[i]] ? 1 : 0;
+        }
+
+        // Grow by the anti-aliasing fringe, then weigh every pixel by how much it stands out
+        const reach = this.scaled(1);
+        const near = this.boxSum(Float32Array.from(keep), w, h, reach);
+        const coverage = new Float32Array(w * h);
+        for (let i = 0; i < w * h; i++) {
+            if (near[i] > 0) coverage[i] = Math.max(0, Math.min(1, (contrast[i] - 16) / 48));
+        }
+        return coverage;
+    }
+
+    // Lifts the protected ink out of img before any style sees it: the ink is kept in this.legibleInk and
+    // its pixels are painted over with the surrounding background, so spreading, blurring or slicing has
+    // nothing to smear. Returns the cleaned image for the style steps.
+    prepareLegibility(img, mask) {
+        const w = img.width, h = img.height;
+        const canvas = this.createCanvas(w, h);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(img, 0, 0);
+        const imageData = ctx.getImageData(0, 0, w, h);
+        const data = imageData.data;
+        const coverage = this.findLegibleInk(imageData, mask);
+        const pixels = new Uint8ClampedArray(data);
+
+        // Background = mean of the unprotected pixels around each protected one
+        const free = new Float32Array(w * h);
+        for (let i = 0; i < w * h; i++) free[i] = coverage[i] > 0 ? 0 : 1;
+        const r = this.scaled(12);
+        const count = this.boxSum(free, w, h, r);
+        const channel = new Float32Array(w * h);
+        for (let c = 0; c < 3; c++) {
+            for (let i = 0; i < w * h; i++) channel[i] = free[i] * pixels[i * 4 + c];
+            const sum = this.boxSum(channel, w, h, r);
+            for (let i = 0; i < w * h; i++) {
+                if (!free[i]) data[i * 4 + c] = count[i] > 0 ? sum[i] / count[i] : 255;
+            }
+        }
+        ctx.putImageData(imageData, 0, 0);
+        this.legibleInk = { coverage, pixels, width: w, height: h };
+        return canvas;
+    }
+
+    // Default finish: the ink goes back on top of the styled image, in its own colors or in colorOf(rgb)
+    overlayLegibleInk(colorOf = null) {
+        const { coverage, pixels } = this.legibleInk;
+        const data = this.imageData.data;
+        for (let i = 0; i < coverage.length; i++) {
+            const a = coverage[i];
+            if (!a) continue;
+            const o = i * 4;
+            const ink = colorOf ? colorOf([pixels[o], pixels[o + 1], pixels[o + 2]]) : [pixels[o], pixels[o + 1], pixels[o + 2]];
+            for (let c = 0; c < 3; c++) data[o + c] = data[o + c] * (1 - a) + ink[c] * a;
+        }
+        return this.imageData;
+    }
+
+    // ==========================================
+    // REGION MASKS
+    // ==========================================
+
+    // Wraps a style's steps so it only shows inside the white of region.mask (ImageData, any size).
+    // Outside the mask is the original image, or region.style rendered with the same settings; that
+    // render runs first and is set aside, so the palette, stitch grid and vector layers the exports
+    // read belong to the main style.
+    regionSteps(img, source, steps, region, values) {
+        const other = region.style ? getStyleDefinition(region.style) : null;
+        if (region.style && !other) throw new Error(`Unknown style "${region.style}" for outside the mask`);
+        let outside = null;
+        return [
+            ...(other ? other.steps(this, { ...paramDefaults(other), ...values }, source) : []),
+            {
+                name: other ? `Setting the ${other.label} render aside...` : 'Keeping the original outside the mask...',
+                fn: () => {
+                    outside = other ? this.imageData : this.setImage(img);
+                    this.imageData = this.setImage(source);
+                    this.quantized = null;
+                    this.stitchGrid = null;
+                    this.vectorLayers = {};
+                }
+            },
+            ...steps,
+            { name: 'Blending through the region mask...', fn: () => this.blendRegion(outside, this.regionCoverage(region.mask, region.feather || 0)) }
+        ];
+    }
+
+    // Per-pixel weight of the style (0-1) at the render size: mask brightness times its alpha.
+    // feather softens the edge over about that many pixels (two box blurs, close to a Gaussian).
+    regionCoverage(mask, feather = 0) {
+        const { width: w, height: h } = this.imageData;
+        const source = this.createCanvas(mask.width, mask.height);
+        source.getContext('2d').putImageData(mask, 0, 0);
+        const canvas = this.createCanvas(w, h);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, w, h);
+        const data = ctx.getImageData(0, 0, w, h).data;
+        let coverage = new Float32Array(w * h);
+        for (let i = 0; i < w * h; i++) coverage[i] = this.getGrayScale(data, i * 4) * data[i * 4 + 3] / (255 * 255);
+
+        const r = this.scaled(feather, 0);
+        if (r > 0) {
+            const counts = this.boxSum(new Float32Array(w * h).fill(1), w, h, r);
+            for (let pass = 0; pass < 2; pass++) {
+                coverage = this.boxSum(coverage, w, h, r);
+                for (let i = 0; i < w * h; i++) coverage[i] /= counts[i];
+            }
+        }
+        return coverage;
+    }
+
+    blendRegion(outside, coverage) {
+        const data = this.imageData.data, other = outside.data;
+        for (let i = 0; i < coverage.length; i++) {
+            const a = Math.min(1, coverage[i]);
+            if (a === 1) continue;
+            for (let c = 0; c < 3; c++) data[i * 4 + c] = data[i * 4 + c] * a + other[i * 4 + c] * (1 - a);
+        }
+        return this.imageData;
+    }
+
+    // ==========================================
+    // SVG OUTPUT
+    // ==========================================
+
+    // Vector version of the last render, built from the regions and shapes it recorded.
+    // Only styles with an svg() hook support it; params should be the ones the render used.
+    buildSVG(style, params) {
+        const definition = getStyleDefinition(style);
+        if (!definition || !definition.svg) throw new Error(`The "${style}" style has no SVG output`);
+        if (this.regionMasked) throw new Error('Renders blended through a region mask have no SVG output');
+        const svg = definition.svg(this, { ...paramDefaults(definition), ...params });
+        if (!this.legibleInk) return svg;
+        // Protected text and axis lines sit on top, as in the raster render
+        return svg.replace(/<\/svg>\n$/, `${legibleInkPaths(this)}\n</svg>\n`);
+    }
+
+    // ==========================================
+    // STITCH PLAN (machine embroidery export)
+    // ==========================================
+
+    // Turns the quantized palette regions into machine stitches (0.1 mm units, centred on 0,0).
+    // Narrow regions get satin columns, wide ones tatami fill; every region is outlined with a running stitch.
+    buildStitchPlan(options = {}) {
+        const {
+            widthMm = 100,
+            rowSpacing = 4,     // 0.4 mm between fill rows
+            maxStitch = 35,     // Tatami stitch length
+            satinMaxWidth = 70, // Wider columns would snag as satin
+            runLength = 25,     // Running stitch length for outlines
+            skipBackground = true
+        } = options;
+
+        if (!this.quantized) throw new Error('No quantized palette available. Render a quantizing style first.');
+        const { palette, indices, width: w, height: h } = this.quantized;
+        const scale = (widthMm * 10) / w;
+        const { labels, regions } = this.labelRegions(indices, w, h);
+        const background = skipBackground ? this.findBackgroundIndex(this.quantized) : -1;
+        const minArea = (20 / scale) ** 2; // Ignore specks under ~2 mm square
+
+        const stitches = [];
+        const threads = [];
+        const offsetX = (w * scale) / 2, offsetY = (h * scale) / 2;
+        const moveTo = (x, y, type) => stitches.push({ x: x - offsetX, y: y - offsetY, type });
+        const insideAt = (x, y, id) => {
+            const px = Math.floor(x / scale), py = Math.floor(y / scale);
+            return px >= 0 && px < w && py >= 0 && py < h && labels[py * w + px] === id;
+        };
+        let last = null;
+        const travel = (x, y, id) => {
+            // Stitch short moves that stay inside the region, jump across anything else
+            const dist = last ? Math.hypot(x - last[0], y - last[1]) : Infinity;
+            const inside = last && insideAt((x + last[0]) / 2, (y + last[1]) / 2, id);
+            moveTo(x, y, inside && dist <= maxStitch * 2 ? 'stitch' : 'jump');
+            last = [x, y];
+        };
+        const stitchTo = (x, y) => {
+            moveTo(x, y, 'stitch');
+            last = [x, y];
+        };
+
+        palette.forEach((rgb, colorIdx) => {
+            if (colorIdx === background) return;
+            const colorRegions = regions
+                .filter(r => r.color === colorIdx && r.area >= minArea)
+                .sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0);
+            if (colorRegions.length === 0) return;
+
+            if (threads.length > 0) stitches.push({ x: 0, y: 0, type: 'color' });
+            threads.push({ rgb, thread: this.quantized.threads?.[colorIdx] || null, regions: colorRegions.length });
+
+            colorRegions.forEach(region => {
+                // Collect horizontal runs of the region on each fill row
+                const rows = [];
+                const rowStep = rowSpacing / scale;
+                for (let ry = region.y0 + rowStep / 2; ry <= region.y1 + 1; ry += rowStep) {
+                    const py = Math.min(h - 1, Math.floor(ry));
+                    const runs = [];
+                    let runStart = -1;
+                    for (let x = region.x0; x <= region.x1 + 1; x++) {
+                        const isInside = x <= region.x1 && labels[py * w + x] === region.id;
+                        if (isInside && runStart === -1) runStart = x;
+                        if (!isInside && runStart !== -1) {
+                            runs.push([runStart * scale, x * scale]);
+                            runStart = -1;
+                        }
+                    }
+                    if (runs.length) rows.push({ y: ry * scale, runs });
+                }
+
+                const widths = rows.flatMap(r => r.runs.map(run => run[1] - run[0])).sort((a, b) => a - b);
+                const satin = widths.length > 0 && widths[Math.floor(widths.length / 2)] <= satinMaxWidth;
+
+                // Serpentine fill: alternate direction every row
+                rows.forEach((row, rowIdx) => {
+                    const forward = rowIdx % 2 === 0;
+                    const runs = forward ? row.runs : [...row.runs].reverse();
+                    runs.forEach(([xs, xe]) => {
+                        const from = forward ? xs : xe, to = forward ? xe : xs;
+                        travel(from, row.y, region.id);
+                        if (satin && xe - xs <= satinMaxWidth) {
+                            stitchTo(to, row.y);
+                            return;
+                        }
+                        // Tatami: break long rows into stitches and stagger the needle points every row
+                        const phase = (rowIdx % 3) * maxStitch / 3;
+                        const dir = forward ? 1 : -1;
+                        let next = forward
+                            ? phase + maxStitch * (Math.floor((from - phase) / maxStitch) + 1)
+                            : phase + maxStitch * (Math.ceil((from - phase) / maxStitch) - 1);
+                        while ((to - next) * dir > maxStitch / 4) {
+                            stitchTo(next, row.y);
+                            next += dir * maxStitch;
+                        }
+                        stitchTo(to, row.y);
+                    });
+                });
+
+                // Running stitch around every boundary loop of the region
+                this.traceRegionOutlines(labels, w, h, region).forEach(loop => {
+                    const points = loop.map(([x, y]) => [x * scale, y * scale]);
+                    moveTo(points[0][0], points[0][1], 'jump');
+                    last = points[0];
+                    points.concat([points[0]]).forEach((p, i, all) => {
+                        if (i === 0) return;
+                        const prev = all[i - 1];
+                        const segLen = Math.hypot(p[0] - prev[0], p[1] - prev[1]);
+                        const parts = Math.max(1, Math.round(segLen / runLength));
+                        for (let s = 1; s <= parts; s++) {
+                            stitchTo(prev[0] + (p[0] - prev[0]) * s / parts, prev[1] + (p[1] - prev[1]) * s / parts);
+                        }
+                    });
+                });
+            });
+        });
+        stitches.push({ x: 0, y: 0, type: 'end' });
+
+        const bounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        stitches.forEach(s => {
+            if (s.type !== 'stitch' && s.type !== 'jump') return;
+            bounds.minX = Math.min(bounds.minX, s.x); bounds.maxX = Math.max(bounds.maxX, s.x);
+            bounds.minY = Math.min(bounds.minY, s.y); bounds.maxY = Math.max(bounds.maxY, s.y);
+        });
+        return {
+            stitches,
+            threads,
+            bounds,
+            stitchCount: stitches.filter(s => s.type === 'stitch').length
+        };
+    }
+
     // ==========================================
     // PIPELINE RUNNER
     // ==========================================
 
     async runPipeline(img, steps) {
         this.imageData = this.setImage(img);
+        this.quantized = null;
+        this.editBase = null;
+        this.clothMask = null;
+        this.stitchGrid = null;
+        this.stepSnapshots = [];
+        this.vectorLayers = {};
 
         for (let i = 0; i < steps.length; i++) {
             const step = steps[i];
-            if (window.updateProcessingStep) {
-                window.updateProcessingStep(i, step.name);
+            this.throwIfAborted();
+            if (this.onProgress) {
+                this.onProgress(i, step.name, steps.length);
             }
+            let ms = 0;
             if (step.fn) {
-                await new Promise(resolve => {
+                await new Promise((resolve, reject) => {
                     setTimeout(() => {
-                        step.fn();
-                        resolve();
-                    }, 50); // Small delay for UI update
+                        // A failing step rejects the render instead of leaving it waiting forever
+                        try {
+                            const start = performance.now();
+                            step.fn();
+                            ms = performance.now() - start;
+                            resolve();
+                        } catch (err) {
+                            reject(err);
+                        }
+                    }, this.stepDelay); // Small delay for UI update
                 });
             }
             // Update canvas after each step
             this.ctx.putImageData(this.imageData, 0, 0);
+            // Reading the canvas back gives an independent copy the next step cannot overwrite
+            if (this.captureSteps) {
+                this.stepSnapshots.push({ name: step.name, ms, imageData: this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height) });
+            }
         }
+        this.throwIfAborted();
+        // OffscreenCanvas cannot produce data URLs, so workers hand back the pixels instead
+        if (this.resultType === 'imageData') return this.imageData;
         return this.canvas.toDataURL('image/png');
     }
 
-    async processImage(img, style, params) {
-        switch (style) {
-            case 'pixel': return this.applyPixelArt(img, params);
-            case 'blueprint': return this.applyBlueprint(img, params);
-            case 'halftone': return this.applyHalftone(img, params);
-            case 'oil': return this.applyOilPainting(img, params);
-            case 'ascii': return this.applyASCII(img, params);
-            case 'watercolor': return this.applyWatercolor(img, params);
-            case 'stainedglass': return this.applyStainedGlass(img, params);
-            case 'mosaic': return this.applyMosaic(img, params);
-            case 'neon': return this.applyNeon(img, params);
-            case 'sketch': return this.applySketch(img, params);
-            case 'comic': return this.applyComic(img, params);
-            case 'woodcut': return this.applyWoodcut(img, params);
-            case 'glitch': return this.applyGlitch(img, params);
-            case 'embroidery':
-            default:
-                return this.applyEmbroidery(img, params);
+    throwIfAborted() {
+        if (this.signal && this.signal.aborted) {
+            throw this.signal.reason ?? new DOMException('Render cancelled', 'AbortError');
+        }
+    }
+
+    // options.signal (AbortSignal) cancels the render between steps;
+    // options.captureSteps keeps a copy of the image after every step in this.stepSnapshots;
+    // options.scale is how many times larger img is than the image the settings were chosen on;
+    // options.legibility ({ mask: ImageData|null }) keeps chart text and axis lines readable (see LEGIBILITY);
+    // options.region ({ mask: ImageData, style?, feather? }) applies the style only inside the mask (see REGION MASKS);
+    // options.paletteEdits repeats edits made to an earlier render's palette (see PALETTE EDITING);
+    // options.fabricPhoto (ImageData) is the tileable cloth behind styles set to the 'photo' fabric
+    async processImage(img, style, params, options = {}) {
+        this.signal = options.signal || null;
+        this.paletteEdits = options.paletteEdits || [];
+        this.fabricPhoto = options.fabricPhoto || null;
+        this.captureSteps = !!options.captureSteps;
+        this.scale = options.scale || 1;
+        this.legibleInk = null;
+        this.regionMasked = !!options.region;
+        this.seedRandom(Number.isFinite(params.seed) ? params.seed : Math.floor(Math.random() * 2 ** 32));
+        const definition = getStyleDefinition(style) || getStyleDefinition('embroidery');
+        const values = { ...paramDefaults(definition), ...params }; // Callers may leave out style-specific params
+        const source = options.legibility ? this.prepareLegibility(img, options.legibility.mask || null) : img;
+        let steps = definition.steps(this, values, source);
+        if (options.region) steps = this.regionSteps(img, source, steps, options.region, values);
+        if (options.legibility) {
+            const finish = definition.legibility || (p => p.overlayLegibleInk());
+            steps.push({ name: 'Restoring text and axis lines...', fn: () => finish(this, values) });
         }
+        const result = await this.runPipeline(source, steps);
+        if (definition.afterRender) definition.afterRender(this, values);
+        return result;
     }
 }
 
-// UI Controller
-class UIController {
-    constructor() {
-        this.pipeline = new CreativePipeline();
-        this.currentFile = null;
+// ==========================================
+// WORKER PIPELINE (main-thread proxy)
+// ==========================================
 
-        // Configuration for different styles
-        this.styleConfig = {
-            embroidery: {
-                btnText: "Apply Embroidery Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyAccordion">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#step1">Step 1: K-Means Color Quantization</button></h2>
-                            <div id="step1" class="accordion-collapse collapse show" data-bs-parent="#methodologyAccordion">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Unsupervised K-Means Clustering</p>
-                                    <p>The image is reduced to a limited color palette (controlled by "Number of Colors" parameter) to simulate embroidery thread colors. The algorithm:</p>
-                                    <ul>
-                                        <li>Samples every 4th pixel for performance optimization</li>
-                                        <li>Runs K-Means clustering with 5 iterations to find dominant colors</li>
-                                        <li>Maps each pixel to its nearest centroid using Euclidean distance in RGB space: sqrt[(R1-R2)^2 + (G1-G2)^2 + (B1-B2)^2]</li>
-                                        <li>Replaces all pixels with their cluster representative color</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates distinct color regions that mimic limited thread palette availability.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step2">Step 2: Directional Thread Pattern Simulation</button></h2>
-                            <div id="step2" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Horizontal Box Blur Convolution</p>
-                                    <p>Simulates the linear nature of embroidery stitches by applying a horizontal averaging filter:</p>
-                                    <ul>
-                                        <li>For each pixel, averages colors within a horizontal window of ±threadThickness pixels</li>
-                                        <li>Creates directional blur that mimics parallel thread lines</li>
-                                        <li>Preserves vertical edges while softening horizontal transitions</li>
-                                        <li>Thread Thickness parameter (1-5) controls the stitch width</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces characteristic linear texture of embroidered fabric with visible stitch direction.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step3">Step 3: Pixel Displacement (Fraying)</button></h2>
-                            <div id="step3" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Stochastic Pixel Redistribution</p>
-                                    <p>Adds organic imperfection by randomly displacing pixels:</p>
-                                    <ul>
-                                        <li>Each pixel is randomly offset by ±spreadAmount in both X and Y directions</li>
-                                        <li>Uses uniform random distribution: offset = random(-spread, +spread)</li>
-                                        <li>Clamps coordinates to image boundaries to prevent artifacts</li>
-                                        <li>Spread Amount parameter (1-5) controls fraying intensity</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Breaks up perfectly straight edges, simulating thread irregularity and fabric texture.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step4">Step 4: Gaussian Noise Fabric Texture</button></h2>
-                            <div id="step4" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Additive Gaussian Noise</p>
-                                    <p>Simulates fabric weave texture by adding controlled random noise:</p>
-                                    <ul>
-                                        <li>Generates random noise value: noise = (random() - 0.5) × 30</li>
-                                        <li>Adds noise uniformly to all RGB channels: R/G/B += noise</li>
-                                        <li>Clamps values to valid range [0, 255]</li>
-                                        <li>Creates subtle brightness variations mimicking fabric grain</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Adds organic texture that prevents the image from looking too digital or flat.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step5">Step 5: 3D Emboss Shading</button></h2>
-                            <div id="step5" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Vertical Gradient-Based Embossing</p>
-                                    <p>Creates depth perception by simulating raised thread surfaces:</p>
-                                    <ul>
-                                        <li>Calculates vertical gradient: dy = grayscale(bottom_pixel) - grayscale(top_pixel)</li>
-                                        <li>Grayscale conversion uses luminance formula: 0.299R + 0.587G + 0.114B</li>
-                                        <li>Applies shading factor: color += dy × 0.5</li>
-                                        <li>Positive gradients (darker below) create highlights; negative create shadows</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces 3D appearance with threads appearing to rise from the fabric surface.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step6">Step 6: Color Brightness Enhancement</button></h2>
-                            <div id="step6" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Linear RGB Scaling</p>
-                                    <p>Compensates for darkening from previous steps and enhances vibrancy:</p>
-                                    <ul>
-                                        <li>Multiplies each RGB channel by brightness factor: RGB × (brightness/100)</li>
-                                        <li>Brightness parameter (80-120%) controls final luminosity</li>
-                                        <li>Restores color intensity lost during texture processing</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces vibrant, saturated colors typical of embroidery thread while maintaining the textured appearance.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            pixel: {
-                btnText: "Apply Pixel Art Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyPixel">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#pStep1">Step 1: Resolution Downsampling (Pixelation)</button></h2>
-                            <div id="pStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyPixel">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Nearest-Neighbor Downsampling with Upscaling</p>
-                                    <p>Creates the characteristic blocky pixel art aesthetic through aggressive resolution reduction:</p>
-                                    <ul>
-                                        <li>Calculates block size: blockSize = max(2, threadThickness × 2)</li>
-                                        <li>Downsamples to reduced dimensions: newWidth = width / blockSize, newHeight = height / blockSize</li>
-                                        <li>Disables image smoothing (imageSmoothingEnabled = false) for sharp edges</li>
-                                        <li>Upscales back to original size using nearest-neighbor interpolation</li>
-                                        <li>Each "pixel" becomes a solid color block representing multiple original pixels</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Transforms smooth gradients into distinct color blocks, creating retro 8-bit/16-bit game graphics appearance.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#pStep2">Step 2: Palette Quantization</button></h2>
-                            <div id="pStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyPixel">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> K-Means Color Clustering (same as embroidery)</p>
-                                    <p>Further reduces color complexity to match vintage gaming palettes:</p>
-                                    <ul>
-                                        <li>Applies K-Means clustering to limit colors to "Number of Colors" parameter</li>
-                                        <li>Typical retro palettes: 4 colors (Game Boy), 8 colors (NES), 16 colors (EGA)</li>
-                                        <li>Creates posterization effect with flat color regions</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Mimics hardware color limitations of classic gaming consoles and computers.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#pStep3">Step 3: Grid Line Rendering</button></h2>
-                            <div id="pStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyPixel">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Modulo-Based Grid Drawing</p>
-                                    <p>Adds visible separation between pixel blocks to enhance the cross-stitch/pixel effect:</p>
-                                    <ul>
-                                        <li>For each pixel coordinate (x, y), checks if x % blockSize == 0 OR y % blockSize == 0</li>
-                                        <li>If true, darkens that pixel by multiplying RGB values by 0.8 (20% darker)</li>
-                                        <li>Creates consistent grid lines at block boundaries</li>
-                                        <li>Simulates cross-stitch fabric mesh or CRT screen scanlines</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Emphasizes individual "pixels" and adds authentic retro gaming or needlework aesthetic.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            blueprint: {
-                btnText: "Apply Blueprint Style",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyBlueprint">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#bStep1">Step 1: Sobel Edge Detection</button></h2>
-                            <div id="bStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyBlueprint">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Sobel Operator (Gradient-Based Edge Detection)</p>
-                                    <p>Extracts structural outlines from the chart using convolution kernels:</p>
-                                    <ul>
-                                        <li><strong>Horizontal Gradient (Gx):</strong> Applies kernel [-1, 0, +1; -2, 0, +2; -1, 0, +1]</li>
-                                        <li><strong>Vertical Gradient (Gy):</strong> Applies kernel [-1, -2, -1; 0, 0, 0; +1, +2, +1]</li>
-                                        <li>Calculates gradient magnitude: G = √(Gx² + Gy²)</li>
-                                        <li>Applies threshold (50): pixels with G > 50 become white (255), others black (0)</li>
-                                        <li>Converts to grayscale using luminance: 0.299R + 0.587G + 0.114B</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Isolates important structural lines (chart axes, data lines, labels) while removing fill colors and backgrounds.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#bStep2">Step 2: Blueprint Color Inversion</button></h2>
-                            <div id="bStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyBlueprint">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Conditional Color Mapping</p>
-                                    <p>Applies the iconic blueprint color scheme (white lines on blue background):</p>
-                                    <ul>
-                                        <li><strong>Edge pixels (value > 128):</strong> Mapped to near-white with blue tint → RGB(240, 240, 255)</li>
-                                        <li><strong>Background pixels (value ≤ 128):</strong> Mapped to blueprint blue → RGB(0, 68, 204) = #0044cc</li>
-                                        <li>Mimics traditional cyanotype/blueprint printing process</li>
-                                        <li>High contrast ensures readability of technical details</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates authentic architectural/engineering blueprint appearance with characteristic Prussian blue background.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#bStep3">Step 3: Technical Grid Overlay</button></h2>
-                            <div id="bStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyBlueprint">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Fixed-Interval Grid Drawing</p>
-                                    <p>Adds measurement grid lines typical of technical drawings:</p>
-                                    <ul>
-                                        <li>Grid spacing: 50 pixels (fixed interval)</li>
-                                        <li>For coordinates where x % 50 == 0 OR y % 50 == 0, brightens pixel by +30</li>
-                                        <li>Creates subtle grid that doesn't overpower main content</li>
-                                        <li>Simulates graph paper or measurement reference lines</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Enhances technical/architectural aesthetic and provides visual reference grid for measurements.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            halftone: {
-                btnText: "Apply Halftone Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyHalftone">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#hStep1">Step 1: Block-Based Brightness Sampling</button></h2>
-                            <div id="hStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyHalftone">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Spatial Averaging with Luminance Calculation</p>
-                                    <p>Analyzes local brightness to determine dot sizes:</p>
-                                    <ul>
-                                        <li>Divides image into blocks of size: dotSize = max(4, threadThickness × 2 + 2)</li>
-                                        <li>For each block, calculates average grayscale value of all pixels</li>
-                                        <li>Grayscale formula: 0.299R + 0.587G + 0.114B (perceptual luminance)</li>
-                                        <li>Average brightness determines dot size for that region</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates brightness map that will control halftone dot distribution.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#hStep2">Step 2: Amplitude-Modulated Dot Generation</button></h2>
-                            <div id="hStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyHalftone">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Inverse Brightness-to-Radius Mapping</p>
-                                    <p>Renders halftone dots with sizes inversely proportional to brightness:</p>
-                                    <ul>
-                                        <li>Clears canvas to white (#ffffff) - represents paper</li>
-                                        <li>For each block, calculates dot radius: r = (dotSize/2) × (1 - brightness/255)</li>
-                                        <li><strong>Dark areas (low brightness):</strong> Large dots (r approaches dotSize/2)</li>
-                                        <li><strong>Light areas (high brightness):</strong> Small dots (r approaches 0)</li>
-                                        <li>Draws filled circles at block centers using black ink (#000000)</li>
-                                        <li>Uses Canvas arc() method for perfect circular dots</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Recreates newspaper/magazine printing technique where tonal variation is achieved through dot size modulation, not color change. Mimics CMYK printing process (single color channel).</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#hStep3">Technical Details</button></h2>
-                            <div id="hStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyHalftone">
-                                <div class="accordion-body">
-                                    <p><strong>Halftone Printing Background:</strong></p>
-                                    <p>This effect simulates the AM (Amplitude Modulated) halftone screening used in traditional offset printing and pop art (Roy Lichtenstein style):</p>
-                                    <ul>
-                                        <li>Dots are evenly spaced (frequency-modulated would vary spacing)</li>
-                                        <li>Only dot size changes to represent tonal values</li>
-                                        <li>Typical screen frequencies: 65-150 LPI (lines per inch) in printing</li>
-                                        <li>Our implementation uses pixel-based spacing controlled by Thread Thickness</li>
-                                    </ul>
-                                    <p><strong>Visual Perception:</strong> When viewed from distance, human eye integrates dots into continuous tones due to spatial averaging in visual cortex.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            oil: {
-                btnText: "Apply Oil Painting",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyOil">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#oStep1">Step 1: Color Sampling from Original</button></h2>
-                            <div id="oStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyOil">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Direct Pixel Color Extraction</p>
-                                    <p>Reads color information from original image to guide brush strokes:</p>
-                                    <ul>
-                                        <li>Draws original image to canvas and extracts pixel data</li>
-                                        <li>Stores complete RGBA array for color lookup</li>
-                                        <li>Each brush stroke will sample color from a specific coordinate</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Ensures painted version maintains original color palette and composition.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#oStep2">Step 2: Flow-Guided Stroke Placement</button></h2>
-                            <div id="oStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyOil">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Gradient Flow Field + Elliptical Strokes</p>
-                                    <p>Orients strokes using a flow field derived from image gradients:</p>
-                                    <ul>
-                                        <li>Computes local gradient direction (edge flow) from luminance</li>
-                                        <li>Uses flow direction as stroke orientation with subtle random jitter</li>
-                                        <li>Samples neighborhood colors for natural paint mixing</li>
-                                        <li>Draws elliptical strokes aligned to flow for brush-like texture</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Strokes follow structure in the image, creating more natural, painterly motion.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#oStep3">Step 3: Iterative Layering + Impasto</button></h2>
-                            <div id="oStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyOil">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Multi-Pass Refinement</p>
-                                    <p>Builds texture with multiple passes from large to small strokes:</p>
-                                    <ul>
-                                        <li>Applies several iterations with decreasing brush size</li>
-                                        <li>Overlaps strokes to simulate wet paint blending</li>
-                                        <li>Adds light/shadow offsets to mimic impasto ridges</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces richer texture and more physical brush depth.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#oStep4">Artistic Technique Simulation</button></h2>
-                            <div id="oStep4" class="accordion-collapse collapse" data-bs-parent="#methodologyOil">
-                                <div class="accordion-body">
-                                    <p><strong>Art Historical Context:</strong></p>
-                                    <p>This algorithm simulates techniques used by Impressionist and Post-Impressionist painters:</p>
-                                    <ul>
-                                        <li><strong>Van Gogh:</strong> Thick, directional strokes with visible texture</li>
-                                        <li><strong>Monet:</strong> Broken color and loose brushwork</li>
-                                        <li><strong>Impasto:</strong> Paint applied thickly enough to stand out from canvas</li>
-                                    </ul>
-                                    <p>The random orientation and elliptical shape create the characteristic "painterly" quality where individual brush strokes remain visible rather than blending into smooth gradients.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            ascii: {
-                btnText: "Generate ASCII Art",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyAscii">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#aStep1">Step 1: Resolution Downsampling</button></h2>
-                            <div id="aStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyAscii">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Fixed-Column Aspect-Ratio Correction</p>
-                                    <p>Reduces image to character-grid resolution:</p>
-                                    <ul>
-                                        <li>Target columns: 100 characters (fixed for readability)</li>
-                                        <li>Character width: charW = imageWidth / 100</li>
-                                        <li>Rows calculation: rows = floor(imageHeight / charW × 0.5)</li>
-                                        <li><strong>0.5 multiplier:</strong> Compensates for character aspect ratio (characters are ~2× taller than wide)</li>
-                                        <li>Downsamples image to 100×rows using Canvas drawImage()</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates low-resolution version where each pixel will map to one character.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#aStep2">Step 2: Brightness-to-Character Mapping</button></h2>
-                            <div id="aStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyAscii">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Luminance-Based Character Selection</p>
-                                    <p>Maps pixel brightness to ASCII characters with increasing visual density:</p>
-                                    <ul>
-                                        <li>Character set: " .:-=+*#%@" (10 characters, light to dark)</li>
-                                        <li>For each pixel, calculates average brightness: (R + G + B) / 3</li>
-                                        <li>Maps brightness [0-255] to character index [0-9]: index = floor((brightness/255) × 9)</li>
-                                        <li><strong>Character density progression:</strong>
-                                            <ul>
-                                                <li>Space (lightest): minimal ink</li>
-                                                <li>. : - = + (increasing density)</li>
-                                                <li>* # % @ (darkest): maximum ink coverage</li>
-                                            </ul>
-                                        </li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Bright areas use sparse characters, dark areas use dense characters, creating tonal variation.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#aStep3">Step 3: Terminal-Style Rendering</button></h2>
-                            <div id="aStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyAscii">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Canvas Text Rendering with Monospace Font</p>
-                                    <p>Renders characters in retro terminal aesthetic:</p>
-                                    <ul>
-                                        <li>Background: Pure black (#000000) - simulates CRT screen</li>
-                                        <li>Text color: Bright green (#00ff00) - classic "Matrix" / terminal green phosphor</li>
-                                        <li>Font: Monospace at size charW × 1.5 (ensures characters fill space)</li>
-                                        <li>Vertical spacing: charW × 2 (accounts for character aspect ratio)</li>
-                                        <li>textBaseline: 'top' for precise positioning</li>
-                                        <li>Each character drawn at grid position (x × charW, y × charW × 2)</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates authentic retro computer terminal or "Matrix" digital rain aesthetic.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#aStep4">Historical Context</button></h2>
-                            <div id="aStep4" class="accordion-collapse collapse" data-bs-parent="#methodologyAscii">
-                                <div class="accordion-body">
-                                    <p><strong>ASCII Art History:</strong></p>
-                                    <ul>
-                                        <li><strong>1960s-70s:</strong> Used in early computer systems with no graphics capability (teletypes, line printers)</li>
-                                        <li><strong>BBS Era (1980s):</strong> Popular in bulletin board systems and early internet</li>
-                                        <li><strong>Modern Usage:</strong> Retro aesthetic, terminal UIs, accessibility</li>
-                                    </ul>
-                                    <p><strong>Character Selection:</strong> Our character set is optimized for visual density progression. Alternative sets with up to 70 characters exist for more detailed gradations.</p>
-                <p><strong>Green Phosphor:</strong> The #00ff00 color mimics P1 phosphor used in early monochrome CRT terminals (IBM 3270, VT100).</p>
-                                </div>
-                            </div >
-                        </div >
-                    </div > `
-            },
-            watercolor: {
-                btnText: "Apply Watercolor Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyWatercolor">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#wStep1">Step 1: Color Bleeding Simulation</button></h2>
-                            <div id="wStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyWatercolor">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Multi-Pass Stochastic Displacement</p>
-                                    <p>Simulates watercolor paint bleeding into adjacent areas:</p>
-                                    <ul>
-                                        <li>Applies pixel spread algorithm 3 times consecutively</li>
-                                        <li>Each pass uses 2x the Spread Amount parameter</li>
-                                        <li>Creates soft, organic color transitions</li>
-                                        <li>Mimics water-based paint diffusion on paper</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Colors blend naturally into each other, creating the characteristic watercolor "bloom" effect.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#wStep2">Step 2: Paper Texture</button></h2>
-                            <div id="wStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyWatercolor">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Additive Gaussian Noise with Brightness Boost</p>
-                                    <p>Simulates watercolor paper grain:</p>
-                                    <ul>
-                                        <li>Adds random noise: +/- 7.5 per RGB channel</li>
-                                        <li>Applies +10 brightness boost to simulate white paper</li>
-                                        <li>Creates subtle texture variations</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Adds organic paper texture and prevents flat digital appearance.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#wStep3">Step 3: Soft Edge Blurring</button></h2>
-                            <div id="wStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyWatercolor">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Box Blur Convolution</p>
-                                    <p>Creates soft, diffused edges characteristic of watercolor:</p>
-                                    <ul>
-                                        <li>Applies averaging filter across Thread Thickness radius</li>
-                                        <li>Softens all edges uniformly</li>
-                                        <li>Removes hard digital boundaries</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces dreamy, soft-focus watercolor aesthetic with no sharp edges.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            stainedglass: {
-                btnText: "Apply Stained Glass Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyStainedGlass">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#sgStep1">Step 1: Glass Segment Creation</button></h2>
-                            <div id="sgStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyStainedGlass">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> K-Means Color Quantization</p>
-                                    <p>Creates distinct colored glass pieces:</p>
-                                    <ul>
-                                        <li>Reduces image to limited palette (Number of Colors parameter)</li>
-                                        <li>Each color represents a separate glass piece</li>
-                                        <li>Creates flat color regions like real stained glass</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces bold, vibrant color segments typical of church windows.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#sgStep2">Step 2: Lead Came Lines</button></h2>
-                            <div id="sgStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyStainedGlass">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Color Boundary Detection</p>
-                                    <p>Adds dark lead lines between glass pieces:</p>
-                                    <ul>
-                                        <li>Compares each pixel with right and bottom neighbors</li>
-                                        <li>Calculates color difference: sum of RGB deltas</li>
-                                        <li>If difference exceeds 100, draws black line (RGB 20,20,20)</li>
-                                        <li>Simulates lead came (metal framework) in real stained glass</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates authentic dark outlines separating colored glass segments.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#sgStep3">Step 3: Glass Reflections</button></h2>
-                            <div id="sgStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyStainedGlass">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Stochastic Highlight Generation</p>
-                                    <p>Simulates light reflections on glass surface:</p>
-                                    <ul>
-                                        <li>2% probability per pixel of adding highlight</li>
-                                        <li>Adds +80 to all RGB channels for bright spots</li>
-                                        <li>Creates random sparkle effect</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Adds realistic glass shine and light reflections.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            mosaic: {
-                btnText: "Apply Mosaic Tiles Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyMosaic">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#mStep1">Step 1: Tile Block Creation</button></h2>
-                            <div id="mStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyMosaic">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Grid-Based Color Sampling with Gradient Overlay</p>
-                                    <p>Creates individual mosaic tiles:</p>
-                                    <ul>
-                                        <li>Tile size = max(8, Thread Thickness x 3)</li>
-                                        <li>Samples color from center of each tile region</li>
-                                        <li>Fills entire tile with sampled color</li>
-                                        <li>Applies diagonal gradient: white (20% opacity) to black (20% opacity)</li>
-                                        <li>Creates 3D beveled appearance on each tile</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces individual colored tiles with subtle 3D depth.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#mStep2">Step 2: Grout Lines</button></h2>
-                            <div id="mStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyMosaic">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Modulo-Based Grid Drawing</p>
-                                    <p>Adds grout (cement) between tiles:</p>
-                                    <ul>
-                                        <li>2-pixel wide grout lines</li>
-                                        <li>Drawn at tile boundaries using modulo operation</li>
-                                        <li>Light gray color (RGB 200,200,200)</li>
-                                        <li>Separates all tiles uniformly</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates authentic mosaic appearance with visible grout lines, mimicking Roman or Byzantine mosaics.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            neon: {
-                btnText: "Apply Neon Glow Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyNeon">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#nStep1">Step 1: Edge Detection</button></h2>
-                            <div id="nStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyNeon">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Sobel Operator</p>
-                                    <p>Isolates edges that will become neon tubes:</p>
-                                    <ul>
-                                        <li>Applies Sobel gradient detection</li>
-                                        <li>Threshold at 50 for edge/non-edge classification</li>
-                                        <li>Converts to binary: white edges, black background</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Extracts line art that will be transformed into glowing neon.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#nStep2">Step 2: Glow Generation</button></h2>
-                            <div id="nStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyNeon">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Radial Gradient Blur with Distance Falloff</p>
-                                    <p>Creates neon tube glow effect:</p>
-                                    <ul>
-                                        <li>For each bright pixel (value greater than 128), creates glow halo</li>
-                                        <li>Glow radius: 5 pixels</li>
-                                        <li>Falloff function: intensity = max(0, 1 - distance/radius)</li>
-                                        <li>Cyan-green glow color: adds RGB(100, 255, 200) with falloff</li>
-                                        <li>Multiple overlapping glows create bright core with soft edges</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces characteristic neon tube glow with bright center fading to darkness.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#nStep3">Step 3: Dark Background</button></h2>
-                            <div id="nStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyNeon">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Conditional Darkening</p>
-                                    <p>Creates night-time neon sign aesthetic:</p>
-                                    <ul>
-                                        <li>Identifies dark pixels (all RGB channels less than 50)</li>
-                                        <li>Sets to near-black: RGB(10, 10, 20) with slight blue tint</li>
-                                        <li>Preserves glowing areas</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Simulates neon signs glowing in darkness, maximizing contrast and visual impact.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            sketch: {
-                btnText: "Apply Pencil Sketch Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologySketch">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#skStep1">Step 1: Grayscale Conversion</button></h2>
-                            <div id="skStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologySketch">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Luminance-Based Grayscale</p>
-                                    <p>Converts to black and white for pencil effect:</p>
-                                    <ul>
-                                        <li>Uses perceptual luminance formula: 0.299R + 0.587G + 0.114B</li>
-                                        <li>Sets all RGB channels to calculated grayscale value</li>
-                                        <li>Removes color information</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates monochrome base for pencil drawing simulation.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#skStep2">Step 2: Sketch Line Detection</button></h2>
-                            <div id="skStep2" class="accordion-collapse collapse" data-bs-parent="#methodologySketch">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Color Dodge Blend Mode</p>
-                                    <p>Creates pencil stroke appearance using Photoshop-style technique:</p>
-                                    <ul>
-                                        <li>Inverts grayscale image (negative)</li>
-                                        <li>Applies blur to inverted image (radius = 2)</li>
-                                        <li>Blends with original using Color Dodge formula: result = min(255, base x 256 / (255 - blend))</li>
-                                        <li>Bright areas become white paper, dark edges become pencil lines</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces hand-drawn pencil sketch with varying line weights and shading.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#skStep3">Step 3: Paper Texture</button></h2>
-                            <div id="skStep3" class="accordion-collapse collapse" data-bs-parent="#methodologySketch">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Additive Noise (same as watercolor)</p>
-                                    <p>Simulates drawing paper grain:</p>
-                                    <ul>
-                                        <li>Adds subtle random noise to prevent digital smoothness</li>
-                                        <li>Slight brightness boost for white paper appearance</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Adds realistic paper texture to complete the hand-drawn look.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            comic: {
-                btnText: "Apply Comic Book Effect",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyComic">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#cStep1">Step 1: Color Posterization</button></h2>
-                            <div id="cStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyComic">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> K-Means Clustering</p>
-                                    <p>Creates bold, flat color areas:</p>
-                                    <ul>
-                                        <li>Reduces to limited palette (Number of Colors parameter)</li>
-                                        <li>Typical comic books use 4-8 colors per panel</li>
-                                        <li>Eliminates gradients for cel-shaded look</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Produces flat color regions typical of comic book printing.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#cStep2">Step 2: Bold Ink Outlines</button></h2>
-                            <div id="cStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyComic">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Sobel Edge Detection with Threshold</p>
-                                    <p>Adds characteristic comic book ink lines:</p>
-                                    <ul>
-                                        <li>Detects edges using Sobel operator</li>
-                                        <li>Threshold at 40 for bold line detection</li>
-                                        <li>Draws pure black (RGB 0,0,0) outlines</li>
-                                        <li>Mimics hand-inked comic artwork</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates bold black outlines that define shapes and characters.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#cStep3">Step 3: Ben-Day Dots</button></h2>
-                            <div id="cStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyComic">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Selective Halftone Dot Placement</p>
-                                    <p>Adds vintage comic book printing dots:</p>
-                                    <ul>
-                                        <li>Only applies to mid-tone areas (brightness 50-200)</li>
-                                        <li>Dot size inversely proportional to brightness</li>
-                                        <li>Dot spacing controlled by Thread Thickness x 2</li>
-                                        <li>Mimics Ben-Day dots used in 1950s-60s comics (Roy Lichtenstein style)</li>
-                                    </ul>
-                                    <p><strong>Effect:</strong> Creates authentic vintage comic book aesthetic with visible printing dots for shading.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            woodcut: {
-                btnText: "Apply Woodcut Print",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyWoodcut">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#wcStep1">Step 1: Grayscale Carving</button></h2>
-                            <div id="wcStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyWoodcut">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Luminance Thresholding</p>
-                                    <p>Converts the image to black/white using a brightness threshold. Lower thresholds produce heavier ink coverage.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#wcStep2">Step 2: Hatch Lines</button></h2>
-                            <div id="wcStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyWoodcut">
-                                <div class="accordion-body">
-                                    <p><strong>Algorithm:</strong> Directional Crosshatching</p>
-                                    <p>Adds angled hatch lines in mid and dark tones to mimic carved grooves.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#wcStep3">Step 3: Paper Texture</button></h2>
-                            <div id="wcStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyWoodcut">
-                                <div class="accordion-body">
-                                    <p>Applies subtle grain so the print feels pressed into paper.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
-            },
-            glitch: {
-                btnText: "Apply Glitch / VHS",
-                methodology: `
-                    <div class="accordion accordion-flush" id="methodologyGlitch">
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#gStep1">Step 1: RGB Channel Shift</button></h2>
-                            <div id="gStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyGlitch">
-                                <div class="accordion-body">
-                                    <p>Offsets red/green/blue channels by a few pixels to create chromatic tearing.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#gStep2">Step 2: Horizontal Slice Distortion</button></h2>
-                            <div id="gStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyGlitch">
-                                <div class="accordion-body">
-                                    <p>Random horizontal bands are displaced to mimic VHS tracking errors.</p>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="accordion-item">
-                            <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#gStep3">Step 3: Scanlines</button></h2>
-                            <div id="gStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyGlitch">
-                                <div class="accordion-body">
-                                    <p>Adds subtle scanlines and boosts signal intensity.</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>`
+// Same API as CreativePipeline, but the pixel work runs in pipeline-worker.js on an OffscreenCanvas.
+// Exporters (stitch plans, charts) still run here from the region data the worker sends back.
+export class WorkerPipeline extends CreativePipeline {
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+    }
+
+    constructor(options = {}) {
+        super(options);
+        this.worker = null;
+        this.jobId = 0;
+    }
+
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./pipeline-worker.js', import.meta.url), { type: 'module' });
+        }
+        return this.worker;
+    }
+
+    // ImageBitmaps can be transferred to the worker without copying
+    async loadImage(file, size = null) {
+        if (!size) return createImageBitmap(file);
+        return createImageBitmap(file, { resizeWidth: size.width, resizeHeight: size.height, resizeQuality: 'high' });
+    }
+
+    // A worker stuck in a per-pixel loop never sees messages, so aborting terminates it outright;
+    // the next render starts a fresh worker.
+    processImage(img, style, params, options = {}) {
+        const { signal, captureSteps = false, scale = 1, legibility = null, region = null, paletteEdits = [], fabricPhoto = null } = options;
+        const id = ++this.jobId;
+        this.quantized = null;
+        this.editBase = null;
+        this.clothMask = null;
+        this.stitchGrid = null;
+        this.stepSnapshots = [];
+        this.vectorLayers = {};
+        this.legibleInk = null;
+        this.regionMasked = !!region;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason ?? new DOMException('Render cancelled', 'AbortError'));
+                return;
             }
-        };
+            const worker = this.getWorker();
+            const onAbort = () => {
+                worker.terminate();
+                this.worker = null;
+                reject(signal.reason ?? new DOMException('Render cancelled', 'AbortError'));
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            const settle = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
 
-        this.styleParamVisibility = {
-            embroidery: ['numColors', 'threadThickness', 'spreadAmount', 'brightness'],
-            pixel: ['numColors', 'threadThickness'],
-            blueprint: [],
-            halftone: ['threadThickness'],
-            oil: ['threadThickness'],
-            ascii: [],
-            watercolor: ['spreadAmount', 'threadThickness'],
-            stainedglass: ['numColors'],
-            mosaic: ['threadThickness'],
-            neon: ['brightness'],
-            sketch: [],
-            comic: ['numColors', 'threadThickness'],
-            woodcut: ['threadThickness', 'brightness'],
-            glitch: ['spreadAmount', 'threadThickness', 'brightness']
-        };
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                if (msg.id !== id) return;
+                if (msg.type === 'progress') {
+                    if (this.onProgress) this.onProgress(msg.index, msg.name, msg.total);
+                } else if (msg.type === 'error') {
+                    settle();
+                    reject(new Error(msg.message));
+                } else if (msg.type === 'done') {
+                    settle();
+                    Object.assign(this, msg.state);
+                    this.imageData = msg.imageData;
+                    this.canvas.width = msg.imageData.width;
+                    this.canvas.height = msg.imageData.height;
+                    this.ctx.putImageData(msg.imageData, 0, 0);
+                    resolve(this.resultType === 'imageData' ? msg.imageData : this.canvas.toDataURL('image/png'));
+                }
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                settle();
+                reject(new Error(e.message || 'Pipeline worker failed to start'));
+            };
+            // Add-on styles registered outside styles/ tell the worker where to import them from
+            const styleModule = getStyleDefinition(style)?.module || null;
+            const regionModule = region && region.style ? getStyleDefinition(region.style)?.module || null : null;
+            worker.postMessage({ id, bitmap: img, style, styleModule, regionModule, params, captureSteps, scale, legibility, region, paletteEdits, fabricPhoto }, [img]);
+        });
+    }
+}
 
-        this.styleParamOverrides = {
-            pixel: {
-                threadThickness: { label: 'Pixel Size', help: 'Controls the size of each pixel block.' },
-                numColors: { label: 'Palette Colors', help: 'Limits the palette to a retro color count.' }
-            },
-            halftone: {
-                threadThickness: { label: 'Dot Size', help: 'Controls halftone dot size and spacing.' }
-            },
-            oil: {
-                threadThickness: { label: 'Brush Size', help: 'Sets the width of each oil stroke.' }
-            },
-            watercolor: {
-                spreadAmount: { label: 'Bleed Amount', help: 'Controls pigment diffusion and bleeding.' },
-                threadThickness: { label: 'Edge Softness', help: 'Softens watercolor edges and transitions.' }
-            },
-            stainedglass: {
-                numColors: { label: 'Glass Pieces', help: 'Controls the number of colored glass segments.' }
-            },
-            mosaic: {
-                threadThickness: { label: 'Tile Size', help: 'Controls the size of mosaic tiles.' }
-            },
-            neon: {
-                brightness: { label: 'Glow Intensity', help: 'Amplifies the neon glow strength.' }
-            },
-            comic: {
-                threadThickness: { label: 'Dot Size', help: 'Controls Ben-Day dot size.' },
-                numColors: { label: 'Ink Palette', help: 'Limits colors to a comic-style palette.' }
-            },
-            woodcut: {
-                threadThickness: { label: 'Hatch Density', help: 'Controls crosshatch density in carved areas.' },
-                brightness: { label: 'Ink Threshold', help: 'Adjusts the cut vs ink balance.' }
-            },
-            glitch: {
-                spreadAmount: { label: 'Glitch Amount', help: 'Controls slice displacement and RGB offset.' },
-                threadThickness: { label: 'Scanline Density', help: 'Controls scanline spacing.' },
-                brightness: { label: 'Signal Boost', help: 'Boosts VHS signal intensity.' }
+// UI Controller
+const PREVIEW_MAX_SIZE = 320;     // Longest side of the live preview, in pixels
+const PREVIEW_DEBOUNCE_MS = 250;
+
+function isDataFile(file) {
+    return /\.(csv|tsv|json)$/i.test(file.name) || ['text/csv', 'application/json'].includes(file.type);
+}
+
+// Encoded bytes of a canvas; toBlob copes with print-size canvases that data URLs choke on
+function canvasBytes(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) reject(new Error('The browser could not encode the image'));
+            else blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+        }, type, quality);
+    });
+}
+
+// Pixels of an image file or blob, e.g. a mask
+async function blobImageData(blob) {
+    const img = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = img.width;
+    canvas.height = img.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, img.width, img.height);
+}
+
+function imageDataURL(imageData) {
+    const canvas = document.createElement('canvas');
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+function readDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+function formatDuration(ms) {
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+class UIController {
+    constructor() {
+        const pipelineOptions = {
+            onProgress: (idx, name, total) => {
+                if (this.batchIndex !== null) this.updateBatchProgress(this.batchIndex, idx, name, total);
+                else this.updateProcessingStep(idx, name);
             }
         };
+        this.pipeline = WorkerPipeline.isSupported() ? new WorkerPipeline(pipelineOptions) : new CreativePipeline(pipelineOptions);
+        this.currentFile = null;
+        this.batchFiles = [];
+        this.batchIndex = null;   // Queue position being rendered, routes progress to its gallery card
+        this.batchResults = [];
+
+        // Live preview renders on its own pipeline (and worker) so it never waits behind a full render
+        this.previewPipeline = WorkerPipeline.isSupported() ? new WorkerPipeline({ stepDelay: 0 }) : new CreativePipeline({ stepDelay: 0 });
+        this.previewSource = null;  // Downscaled canvas of the current file
+        this.previewScale = 1;      // Its width over the file's, so sizes shrink with it (see CreativePipeline.scaled)
+        this.previewTimer = null;
+        this.previewBusy = false;
+        this.previewPending = false;
+        this.colorPick = null;      // Palette parameter the eyedropper is picking for
+
+        // Last value of each parameter key, so switching styles keeps what the user set
+        this.paramValues = {};
 
         this.initializeElements();
         this.attachEventListeners();
-        this.updateParameterDisplays();
         this.updateStyleUI(); // Initial update
+        this.applyPresetFromURL();
     }
 
     initializeElements() {
         this.uploadZone = document.getElementById('uploadZone');
         this.fileInput = document.getElementById('fileInput');
+        this.dataInputToggle = document.getElementById('dataInputToggle');
+        this.dataInput = document.getElementById('dataInput');
+        this.dataText = document.getElementById('dataText');
+        this.chartType = document.getElementById('chartType');
+        CHART_TYPES.forEach(([value, label]) => this.chartType.add(new Option(`${label} chart`, value)));
+        this.chartTitle = document.getElementById('chartTitle');
+        this.dataFileBtn = document.getElementById('dataFileBtn');
+        this.dataFileInput = document.getElementById('dataFileInput');
+        this.drawChartBtn = document.getElementById('drawChartBtn');
         this.processBtn = document.getElementById('processBtn');
+        this.cancelBtn = document.getElementById('cancelBtn');
         this.processingSteps = document.getElementById('processingSteps');
         this.stepsContainer = document.getElementById('stepsContainer');
         this.resultsSection = document.getElementById('resultsSection');
         this.originalImage = document.getElementById('originalImage');
         this.embroideredImage = document.getElementById('embroideredImage');
         this.downloadBtn = document.getElementById('downloadBtn');
+        this.downloadSvgBtn = document.getElementById('downloadSvgBtn');
+        this.batchSection = document.getElementById('batchSection');
+        this.batchGallery = document.getElementById('batchGallery');
+        this.batchSummary = document.getElementById('batchSummary');
+        this.batchZipBtn = document.getElementById('batchZipBtn');
+        this.livePreview = document.getElementById('livePreview');
+        this.livePreviewImage = document.getElementById('livePreviewImage');
+        this.livePreviewStatus = document.getElementById('livePreviewStatus');
+        this.compareZoom = document.getElementById('compareZoom');
+        this.compareFit = document.getElementById('compareFit');
+        this.compareActual = document.getElementById('compareActual');
+        this.compareLoupe = document.getElementById('compareLoupe');
+        this.compareViewer = new CompareViewer(document.getElementById('compareViewer'), {
+            onZoom: scale => { this.compareZoom.textContent = `${Math.round(scale * 100)}%`; }
+        });
         this.methodologyContainer = document.getElementById('methodologyContainer');
+        this.stitchExport = document.getElementById('stitchExport');
+        this.stitchWidth = document.getElementById('stitchWidth');
+        this.stitchSummary = document.getElementById('stitchSummary');
+        this.patternExport = document.getElementById('patternExport');
+        this.printExport = document.getElementById('printExport');
+        this.printWidth = document.getElementById('printWidth');
+        this.printUnit = document.getElementById('printUnit');
+        this.printDpi = document.getElementById('printDpi');
+        this.printSummary = document.getElementById('printSummary');
+        this.printBusy = false;
+        this.threadLegend = document.getElementById('threadLegend');
+        this.threadLegendBody = document.getElementById('threadLegendBody');
+        this.paletteEditor = document.getElementById('paletteEditor');
+        this.paletteChips = document.getElementById('paletteChips');
+        this.paletteRecolor = document.getElementById('paletteRecolor');
+        this.paletteMergeBtn = document.getElementById('paletteMergeBtn');
+        this.paletteSplitBtn = document.getElementById('paletteSplitBtn');
+        this.paletteResetBtn = document.getElementById('paletteResetBtn');
+        this.paletteSelection = [];   // Selected swatch indices, in the order they were picked
 
         this.styleSelect = document.getElementById('styleSelect');
+        this.customStyleGroup = document.getElementById('customStyleGroup');
+        this.editPipelinesBtn = document.getElementById('editPipelinesBtn');
+        listStyles().filter(style => !style.hidden).forEach(style => {
+            this.styleSelect.insertBefore(new Option(`${style.icon} ${style.label}`.trim(), style.id), this.customStyleGroup);
+        });
+        this.pipelineEditor = new PipelineEditor(document.getElementById('pipelineEditor'), {
+            onChange: (pipelines, name) => this.renderCustomStyles(name)
+        });
+        this.renderCustomStyles();
 
-        // Parameter inputs
-        this.numColors = document.getElementById('numColors');
-        this.threadThickness = document.getElementById('threadThickness');
-        this.spreadAmount = document.getElementById('spreadAmount');
-        this.brightness = document.getElementById('brightness');
-
-        this.paramGroups = document.querySelectorAll('[data-param]');
+        this.paramPanel = document.getElementById('paramPanel');
         this.noParamsNote = document.getElementById('noParamsNote');
-        this.paramMeta = {};
-        this.paramGroups.forEach(group => {
-            const key = group.dataset.param;
-            const label = group.querySelector('label');
-            const help = group.querySelector('.param-help');
-            this.paramMeta[key] = {
-                labelEl: label,
-                helpEl: help,
-                defaultLabel: label ? label.textContent.trim() : '',
-                defaultHelp: help ? help.textContent.trim() : ''
-            };
+        this.preserveLegibility = document.getElementById('preserveLegibility');
+        this.legibilityMaskBtn = document.getElementById('legibilityMaskBtn');
+        this.legibilityMaskInput = document.getElementById('legibilityMaskInput');
+        this.legibilityMaskName = document.getElementById('legibilityMaskName');
+        this.legibilityMaskClear = document.getElementById('legibilityMaskClear');
+        this.legibilityMask = null; // ImageData; white marks the text to protect
+        this.fabricPhotoBtn = document.getElementById('fabricPhotoBtn');
+        this.fabricPhotoInput = document.getElementById('fabricPhotoInput');
+        this.fabricPhotoName = document.getElementById('fabricPhotoName');
+        this.fabricPhotoClear = document.getElementById('fabricPhotoClear');
+        this.fabricPhoto = null; // ImageData of a tileable cloth, for the embroidery 'Uploaded photo' fabric
+
+        this.maskEditBtn = document.getElementById('maskEditBtn');
+        this.maskOutside = document.getElementById('maskOutside');
+        this.maskFeather = document.getElementById('maskFeather');
+        this.maskFeatherValue = document.getElementById('maskFeatherValue');
+        this.maskSummary = document.getElementById('maskSummary');
+        this.maskSummaryHelp = this.maskSummary.textContent.trim();
+        listStyles().filter(style => !style.hidden).forEach(style => {
+            this.maskOutside.appendChild(new Option(`${style.icon} ${style.label}`.trim(), style.id));
+        });
+        this.maskEditor = new MaskEditor(document.getElementById('maskEditor'), {
+            onChange: () => {
+                this.updateMaskSummary();
+                this.schedulePreview();
+            }
         });
+        this.maskImageReady = Promise.resolve(); // Settles once the editor has the uploaded image
+
+        this.projectOpenBtn = document.getElementById('projectOpenBtn');
+        this.projectSaveBtn = document.getElementById('projectSaveBtn');
+        this.projectInput = document.getElementById('projectInput');
+
+        this.presetSelect = document.getElementById('presetSelect');
+        this.presetSaveBtn = document.getElementById('presetSaveBtn');
+        this.presetDeleteBtn = document.getElementById('presetDeleteBtn');
+        this.presetShareBtn = document.getElementById('presetShareBtn');
+        this.presetExportBtn = document.getElementById('presetExportBtn');
+        this.presetImportBtn = document.getElementById('presetImportBtn');
+        this.presetImportInput = document.getElementById('presetImportInput');
+        this.presets = loadPresets();
+        this.sharedPresetName = ''; // Name carried by a shared link, offered when saving it
+        this.renderPresets();
     }
 
     attachEventListeners() {
@@ -2165,37 +2939,190 @@ class UIController {
             e.preventDefault();
             this.uploadZone.classList.remove('dragover');
             if (e.dataTransfer.files.length > 0) {
-                this.handleFileSelect(e.dataTransfer.files[0]);
+                this.handleFiles(e.dataTransfer.files);
             }
         });
 
         this.fileInput.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFileSelect(e.target.files[0]);
+                this.handleFiles(e.target.files);
             }
         });
+        this.dataInputToggle.addEventListener('click', () => this.dataInput.classList.toggle('d-none'));
+        this.dataFileBtn.addEventListener('click', () => this.dataFileInput.click());
+        this.dataFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.loadDataFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.drawChartBtn.addEventListener('click', () => this.drawDataChart());
 
-        this.processBtn.addEventListener('click', () => this.processImage());
+        this.processBtn.addEventListener('click', () => {
+            if (this.batchFiles.length > 1) this.processBatch();
+            else this.processImage();
+        });
+        this.cancelBtn.addEventListener('click', () => this.cancelRender());
         this.downloadBtn.addEventListener('click', () => this.downloadImage());
+        this.paletteChips.addEventListener('click', (e) => {
+            const swatch = e.target.closest('[data-palette-index]');
+            if (swatch) this.togglePaletteSwatch(Number(swatch.dataset.paletteIndex));
+        });
+        this.paletteRecolor.addEventListener('change', () => this.editPalette('recolor'));
+        this.paletteMergeBtn.addEventListener('click', () => this.editPalette('merge'));
+        this.paletteSplitBtn.addEventListener('click', () => this.editPalette('split'));
+        this.paletteResetBtn.addEventListener('click', () => this.resetPalette());
+        this.downloadSvgBtn.addEventListener('click', () => this.downloadSVG());
+        this.batchZipBtn.addEventListener('click', () => this.downloadBatchZip());
+        this.compareFit.addEventListener('click', () => this.compareViewer.fit());
+        this.compareActual.addEventListener('click', () => this.compareViewer.actualSize());
+        this.compareLoupe.addEventListener('change', () => this.compareViewer.setLoupe(this.compareLoupe.checked));
+        this.stitchExport.querySelectorAll('[data-stitch-format]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportStitchFile(btn.dataset.stitchFormat));
+        });
+        this.patternExport.querySelectorAll('[data-chart-format]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportPatternChart(btn.dataset.chartFormat));
+        });
+        this.printExport.querySelectorAll('[data-print-format]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportPrint(btn.dataset.printFormat));
+        });
+        this.printWidth.addEventListener('input', () => this.updatePrintSummary());
+        this.printDpi.addEventListener('input', () => this.updatePrintSummary());
+        this.printUnit.addEventListener('change', () => {
+            // Keep the physical size when switching units
+            const width = parseFloat(this.printWidth.value);
+            if (width > 0) {
+                const converted = this.printUnit.value === 'in' ? width / CM_PER_INCH : width * CM_PER_INCH;
+                this.printWidth.value = String(Math.round(converted * 10) / 10);
+            }
+            this.updatePrintSummary();
+        });
 
-        [this.numColors, this.threadThickness, this.spreadAmount, this.brightness].forEach(input => {
-            input.addEventListener('input', () => this.updateParameterDisplays());
+        // The panel is rebuilt for every style, so its controls are handled here
+        const onParamInput = (e) => {
+            const hex = e.target.closest('[data-palette-color]');
+            if (hex) this.paramPanel.querySelector(`[data-palette-hex="${hex.dataset.paletteColor}"]`).value = hex.value;
+            const input = e.target.closest('[data-param-input]');
+            if (!input) return;
+            this.setParamValue(input.dataset.paramInput, input.type === 'checkbox' ? input.checked : input.value);
+            this.schedulePreview();
+        };
+        this.paramPanel.addEventListener('input', onParamInput);
+        this.paramPanel.addEventListener('keydown', (e) => {
+            const hex = e.target.closest('[data-palette-hex]');
+            if (!hex || e.key !== 'Enter') return;
+            e.preventDefault();
+            this.pinColor(hex.dataset.paletteHex, hex.value);
+        });
+        this.livePreviewImage.addEventListener('click', (e) => this.pickColorAt(e));
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.stopColorPick();
+        });
+        this.paramPanel.addEventListener('change', onParamInput);
+        this.paramPanel.addEventListener('click', (e) => {
+            const paletteButton = e.target.closest('[data-palette-add], [data-palette-pick], [data-palette-remove]');
+            if (paletteButton) {
+                this.onPaletteButton(paletteButton);
+                return;
+            }
+            const shuffle = e.target.closest('[data-seed-shuffle]');
+            if (!shuffle) return;
+            const input = this.paramPanel.querySelector(`[data-param-input="${shuffle.dataset.seedShuffle}"]`);
+            input.value = Math.floor(Math.random() * 2 ** 32);
+            this.setParamValue(input.dataset.paramInput, input.value);
+            this.schedulePreview();
         });
 
         this.styleSelect.addEventListener('change', () => {
             this.updateStyleUI();
+            this.schedulePreview();
+        });
+        this.preserveLegibility.addEventListener('change', () => this.schedulePreview());
+        this.legibilityMaskBtn.addEventListener('click', () => this.legibilityMaskInput.click());
+        this.legibilityMaskInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.loadLegibilityMask(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.legibilityMaskClear.addEventListener('click', () => this.setLegibilityMask(null));
+        this.fabricPhotoBtn.addEventListener('click', () => this.fabricPhotoInput.click());
+        this.fabricPhotoInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.loadFabricPhoto(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.fabricPhotoClear.addEventListener('click', () => this.setFabricPhoto(null));
+        this.maskEditBtn.addEventListener('click', () => this.maskEditor.open());
+        this.maskOutside.addEventListener('change', () => this.schedulePreview());
+        this.maskFeather.addEventListener('input', () => {
+            this.maskFeatherValue.textContent = this.maskFeather.value;
+            this.schedulePreview();
+        });
+        this.projectOpenBtn.addEventListener('click', () => this.projectInput.click());
+        this.projectInput.addEventListener('change', async (e) => {
+            if (e.target.files.length > 0) this.openProject(await e.target.files[0].text());
+            e.target.value = '';
         });
+        this.projectSaveBtn.addEventListener('click', () => this.saveProject());
+        this.editPipelinesBtn.addEventListener('click', () => this.pipelineEditor.open(this.getCustomPipelineName()));
+
+        this.presetSelect.addEventListener('change', () => {
+            const preset = this.presets[this.presetSelect.value];
+            if (preset) this.applyPreset(preset);
+        });
+        this.presetSaveBtn.addEventListener('click', () => this.savePreset());
+        this.presetDeleteBtn.addEventListener('click', () => this.deletePreset());
+        this.presetShareBtn.addEventListener('click', () => this.sharePreset());
+        this.presetExportBtn.addEventListener('click', () => this.exportPresets());
+        this.presetImportBtn.addEventListener('click', () => this.presetImportInput.click());
+        this.presetImportInput.addEventListener('change', () => {
+            if (this.presetImportInput.files.length > 0) this.importPresets(this.presetImportInput.files[0]);
+            this.presetImportInput.value = ''; // Importing the same file again still fires change
+        });
+    }
+
+    // Saved pipelines become "My Pipelines" options; selectName picks one after it was saved
+    renderCustomStyles(selectName = null) {
+        const current = this.styleSelect.value;
+        const names = Object.keys(this.pipelineEditor.pipelines);
+        this.customStyleGroup.hidden = names.length === 0;
+        this.customStyleGroup.innerHTML = '';
+        names.forEach(name => this.customStyleGroup.appendChild(new Option(`🧩 ${name}`, CUSTOM_STYLE_PREFIX + name)));
+
+        if (selectName) this.styleSelect.value = CUSTOM_STYLE_PREFIX + selectName;
+        else if ([...this.styleSelect.options].some(o => o.value === current)) this.styleSelect.value = current;
+        else this.styleSelect.value = 'embroidery';
+        if (this.styleSelect.value !== current || selectName) {
+            this.updateStyleUI();
+            this.schedulePreview();
+        }
+    }
+
+    getCustomPipelineName() {
+        const value = this.styleSelect.value;
+        return value.startsWith(CUSTOM_STYLE_PREFIX) ? value.slice(CUSTOM_STYLE_PREFIX.length) : null;
+    }
+
+    getStyle() {
+        return styleIdOf(this.styleSelect.value);
+    }
+
+    // File-name friendly style name, using the pipeline name for custom styles
+    getStyleSlug() {
+        const name = this.getCustomPipelineName();
+        if (name === null) return this.styleSelect.value;
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom';
+    }
+
+    currentStyleDefinition() {
+        return getStyleDefinition(this.getStyle()) || getStyleDefinition('embroidery');
     }
 
     updateStyleUI() {
-        const style = this.styleSelect.value;
-        const config = this.styleConfig[style];
+        this.stopColorPick();
+        const style = this.getStyle();
+        const definition = this.currentStyleDefinition();
+        const config = style === 'custom' ? this.customStyleConfig(this.getCustomPipelineName()) : definition;
 
         // Update Button Text
-        if (config) {
-            this.processBtn.innerHTML = `<i class="bi bi-magic me-2"></i>${config.btnText}`;
-            this.methodologyContainer.innerHTML = config.methodology;
-        }
+        this.processBtn.innerHTML = `<i class="bi bi-magic me-2"></i>${config.buttonText}`;
+        this.methodologyContainer.innerHTML = config.methodology;
 
         // Update Result Title
         const titleEl = document.querySelector('#resultsSection .col-12:last-child h5');
@@ -2205,104 +3132,611 @@ class UIController {
             titleEl.textContent = `${displayName} Version`;
         }
 
-        const visibleParams = new Set(this.styleParamVisibility[style] || []);
-        this.paramGroups.forEach(group => {
-            const key = group.dataset.param;
-            group.classList.toggle('d-none', !visibleParams.has(key));
-        });
-        if (this.noParamsNote) {
-            this.noParamsNote.classList.toggle('d-none', visibleParams.size !== 0);
-        }
-
-        const overrides = this.styleParamOverrides[style] || {};
-        Object.keys(this.paramMeta).forEach(key => {
-            const meta = this.paramMeta[key];
-            const override = overrides[key] || {};
-            if (meta.labelEl) meta.labelEl.textContent = override.label || meta.defaultLabel;
-            if (meta.helpEl) meta.helpEl.textContent = override.help || meta.defaultHelp;
-        });
+        this.renderParamPanel(definition.params);
     }
 
-    updateParameterDisplays() {
-        document.getElementById('numColorsValue').textContent = this.numColors.value;
-        document.getElementById('threadThicknessValue').textContent = this.threadThickness.value;
-        document.getElementById('spreadAmountValue').textContent = this.spreadAmount.value;
-        document.getElementById('brightnessValue').textContent = this.brightness.value;
+    customStyleConfig(name) {
+        const steps = this.pipelineEditor.pipelines[name] || [];
+        const items = steps.map(({ id, params }) => {
+            const step = PIPELINE_STEPS[id];
+            if (!step) return `<li>Unknown step "${id}"</li>`;
+            const values = Object.entries(stepValues(id, params))
+                .map(([key, value]) => `${step.params[key].label}: ${value === '' ? 'none' : value}`).join(', ');
+            return `<li><strong>${step.label}</strong>${values ? ` <span class="text-white-50">(${values})</span>` : ''}</li>`;
+        }).join('');
+        return {
+            buttonText: 'Apply Custom Pipeline',
+            methodology: `
+                <p>This custom pipeline runs ${steps.length} step${steps.length === 1 ? '' : 's'} in order, each working on
+                the output of the one before:</p>
+                <ol class="mb-0">${items}</ol>`
+        };
     }
 
-    handleFileSelect(file) {
-        if (!file.type.startsWith('image/')) {
-            alert('Please select an image file');
-            return;
+    // ==========================================
+    // STYLE PARAMETERS
+    // ==========================================
+
+    // Current value of a parameter, falling back to its default when unset or out of range for this style
+    paramValue(key, param) {
+        const value = key in this.paramValues ? this.paramValues[key] : param.default;
+        if (typeof value !== typeof param.default) return param.default; // Same key, different type in another style
+        if (param.type === 'range') {
+            // Snapped the way the slider would, so a shared link renders exactly what the slider shows
+            const snapped = param.min + Math.round((value - param.min) / param.step) * param.step;
+            return Math.min(param.max, Math.max(param.min, snapped));
         }
-        this.currentFile = file;
-        this.processBtn.disabled = false;
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.uploadZone.innerHTML = `
-                <img src="${e.target.result}" alt="Uploaded preview" style="max-width: 100%; max-height: 300px; border-radius: 10px;">
-                <p class="mt-3 text-white">File loaded: ${file.name}</p>
-                <p class="text-white-50">Select a style and click "Apply"</p>
-            `;
-        };
-        reader.readAsDataURL(file);
+        if (param.type === 'select' && !param.options.some(([v]) => v === value)) return param.default;
+        if (param.type === 'color' && !/^#[0-9a-f]{6}$/i.test(value)) return param.default;
+        if (param.type === 'palette' && !/^(#[0-9a-f]{6}(,#[0-9a-f]{6})*)?$/i.test(value)) return param.default;
+        return value;
     }
 
-    async processImage() {
-        if (!this.currentFile) return;
-
-        this.resultsSection.classList.add('d-none');
-        this.processingSteps.classList.remove('d-none');
-        this.processBtn.disabled = true;
-        this.stepsContainer.innerHTML = ''; // Clear previous steps
+    setParamValue(key, raw) {
+        const param = this.currentStyleDefinition().params[key];
+        let value = raw;
+        if (param.type === 'range') value = Number(raw);
+        if (param.type === 'seed') value = parseInt(raw) >>> 0;
+        this.paramValues[key] = value;
+        const display = this.paramPanel.querySelector(`[data-param-value="${key}"]`);
+        if (display) display.textContent = value;
+    }
 
-        // Global function for pipeline steps
-        window.updateProcessingStep = (idx, name) => {
-            // Check if exists
-            if (!document.getElementById(`step-${idx}`)) {
-                this.stepsContainer.innerHTML += `
-                    <div class="processing-step" id="step-${idx}">
-                        <i class="bi bi-circle me-2"></i>
-                        <span>${name}</span>
+    renderParamPanel(params) {
+        const entries = Object.entries(params);
+        this.paramPanel.innerHTML = entries.map(([key, param]) => {
+            const value = this.paramValue(key, param);
+            let control;
+            if (param.type === 'select') {
+                control = `
+                    <select id="${key}" class="form-select border-secondary" data-param-input="${key}">
+                        ${param.options.map(([v, label]) => `<option value="${v}"${v === value ? ' selected' : ''}>${label}</option>`).join('')}
+                    </select>`;
+            } else if (param.type === 'color') {
+                control = `
+                    <input type="color" class="form-control form-control-color border-secondary" id="${key}"
+                        data-param-input="${key}" value="${value}">`;
+            } else if (param.type === 'palette') {
+                control = `
+                    <div class="d-flex flex-wrap gap-1 mb-2" data-palette-swatches="${key}">${this.paletteSwatches(key, value)}</div>
+                    <div class="input-group input-group-sm">
+                        <input type="color" class="form-control form-control-color border-secondary" data-palette-color="${key}"
+                            value="#1f77b4" aria-label="Color to pin">
+                        <input type="text" class="form-control border-secondary" id="${key}" data-palette-hex="${key}"
+                            maxlength="7" placeholder="#1f77b4">
+                        <button class="btn btn-outline-secondary" type="button" data-palette-add="${key}"
+                            title="Pin this color" aria-label="Pin this color">
+                            <i class="bi bi-pin-angle"></i>
+                        </button>
+                        <button class="btn btn-outline-secondary" type="button" data-palette-pick="${key}"
+                            title="Pick a color from the chart" aria-label="Pick a color from the chart">
+                            <i class="bi bi-eyedropper"></i>
+                        </button>
+                    </div>`;
+            } else if (param.type === 'text') {
+                control = `
+                    <input type="text" class="form-control border-secondary" id="${key}" data-param-input="${key}"
+                        maxlength="${param.maxLength || 200}" placeholder="${escapeHtml(param.placeholder || '')}" value="${escapeHtml(value)}">`;
+            } else if (param.type === 'boolean') {
+                control = `
+                    <div class="form-check form-switch">
+                        <input class="form-check-input" type="checkbox" role="switch" id="${key}" data-param-input="${key}"${value ? ' checked' : ''}>
+                    </div>`;
+            } else if (param.type === 'seed') {
+                control = `
+                    <div class="input-group">
+                        <input type="number" class="form-control border-secondary" id="${key}" data-param-input="${key}"
+                            min="0" max="4294967295" step="1" value="${value}">
+                        <button class="btn btn-outline-secondary" type="button" data-seed-shuffle="${key}"
+                            title="Pick a new random seed" aria-label="Pick a new random seed">
+                            <i class="bi bi-dice-5"></i>
+                        </button>
                     </div>`;
+            } else {
+                control = `
+                    <input type="range" class="form-range" id="${key}" data-param-input="${key}"
+                        min="${param.min}" max="${param.max}" step="${param.step}" value="${value}">
+                    <small class="text-white-50 d-block param-current">Current: <span
+                            data-param-value="${key}">${value}</span>${param.suffix || ''}</small>`;
             }
+            return `
+                <div class="col-md-6" data-param="${key}">
+                    <label for="${key}" class="form-label text-white-50">${param.label}</label>
+                    ${control}
+                    ${param.help ? `<small class="text-white-50 d-block mt-1 param-help" style="font-size: 0.8rem; opacity: 0.8;">${param.help}</small>` : ''}
+                </div>`;
+        }).join('');
+        this.noParamsNote.classList.toggle('d-none', entries.length !== 0);
+    }
 
-            // Update all active/inactive
-            document.querySelectorAll('.processing-step').forEach(el => {
-                if (el.id === `step-${idx}`) {
-                    el.classList.add('active');
-                    el.querySelector('i').className = 'bi bi-arrow-right-circle-fill me-2 text-warning';
-                } else {
-                    el.classList.remove('active');
-                    // check if previous
-                    if (parseInt(el.id.split('-')[1]) < idx) {
-                        el.querySelector('i').className = 'bi bi-check-circle-fill me-2 text-success';
-                    }
-                }
-            });
-        };
+    // Values for every parameter the style declares; the seed is always sent so renders stay reproducible
+    getParams() {
+        const params = { seed: this.paramValues.seed ?? 1 };
+        Object.entries(this.currentStyleDefinition().params).forEach(([key, param]) => {
+            const value = this.paramValue(key, param);
+            params[key] = param.type === 'select' && value === '' ? null : value; // Empty choice means "none"
+        });
+        params.customSteps = this.pipelineEditor.pipelines[this.getCustomPipelineName()] || null;
+        return params;
+    }
+
+    // ==========================================
+    // PINNED COLORS
+    // ==========================================
+
+    paletteSwatches(key, value) {
+        const swatches = paletteColors(value).map(rgb => {
+            const hex = rgbToHex(rgb);
+            return `
+                <button type="button" class="btn btn-sm palette-swatch" style="background: ${hex};"
+                    data-palette-remove="${key}" data-color="${hex}" title="${hex}: click to unpin" aria-label="Unpin ${hex}">
+                    <i class="bi bi-x"></i>
+                </button>`;
+        }).join('');
+        return swatches || '<small class="text-white-50">No pinned colors</small>';
+    }
+
+    setPalette(key, hexes) {
+        const param = this.currentStyleDefinition().params[key];
+        if (!param) return;
+        const value = [...new Set(hexes)].slice(0, param.max).join(',');
+        this.paramValues[key] = value;
+        const swatches = this.paramPanel.querySelector(`[data-palette-swatches="${key}"]`);
+        if (swatches) swatches.innerHTML = this.paletteSwatches(key, value);
+        this.schedulePreview();
+    }
+
+    pinnedHexes(key) {
+        const param = this.currentStyleDefinition().params[key];
+        return paletteColors(this.paramValue(key, param)).map(rgbToHex);
+    }
+
+    onPaletteButton(button) {
+        const { paletteAdd, palettePick, paletteRemove } = button.dataset;
+        if (paletteRemove) {
+            this.setPalette(paletteRemove, this.pinnedHexes(paletteRemove).filter(hex => hex !== button.dataset.color));
+        } else if (palettePick) {
+            if (this.colorPick === palettePick) this.stopColorPick();
+            else this.startColorPick(palettePick);
+        } else {
+            this.pinColor(paletteAdd, this.paramPanel.querySelector(`[data-palette-hex="${paletteAdd}"]`).value);
+        }
+    }
+
+    pinColor(key, raw) {
+        const value = raw.trim().replace(/^#?/, '#').toLowerCase();
+        const hex = /^#[0-9a-f]{3}$/.test(value) ? value.replace(/[0-9a-f]/g, c => c + c) : value;
+        if (!/^#[0-9a-f]{6}$/.test(hex)) {
+            alert('Enter a color as a hex value such as #1f77b4.');
+            return;
+        }
+        const { params } = this.currentStyleDefinition();
+        const pinned = this.pinnedHexes(key);
+        if (!pinned.includes(hex) && pinned.length >= params[key].max) {
+            alert(`At most ${params[key].max} colors can be pinned.`);
+            return;
+        }
+        // Every pin takes a palette slot, so there can be no more pins than colors
+        const colors = params.numColors ? this.paramValue('numColors', params.numColors) : Infinity;
+        if (!pinned.includes(hex) && pinned.length >= colors) {
+            alert(`The palette has ${colors} colors, so at most ${colors} can be pinned. Raise Number of Colors to pin more.`);
+            return;
+        }
+        this.setPalette(key, [...pinned, hex]);
+        const input = this.paramPanel.querySelector(`[data-palette-hex="${key}"]`);
+        if (input) input.value = '';
+    }
+
+    // Eyedropper: the live preview shows the original until a pixel of it is clicked; Escape or the
+    // eyedropper button again cancels
+    startColorPick(key) {
+        if (!this.previewSource) {
+            alert('Upload a chart first to pick colors from it.');
+            return;
+        }
+        this.colorPick = key;
+        this.livePreview.classList.remove('d-none');
+        this.livePreviewImage.src = this.previewSource.toDataURL();
+        this.livePreviewImage.style.cursor = 'crosshair';
+        this.livePreviewStatus.textContent = 'Click a color in the chart to pin it (Esc cancels)';
+        this.paramPanel.querySelector(`[data-palette-pick="${key}"]`)?.classList.add('active');
+    }
+
+    stopColorPick() {
+        if (this.colorPick === null) return;
+        this.paramPanel.querySelector(`[data-palette-pick="${this.colorPick}"]`)?.classList.remove('active');
+        this.colorPick = null;
+        this.livePreviewImage.style.cursor = '';
+        this.schedulePreview(0);
+    }
+
+    pickColorAt(e) {
+        const key = this.colorPick;
+        const source = this.previewSource;
+        const rect = this.livePreviewImage.getBoundingClientRect();
+        if (key === null || !source || !rect.width) return;
+        const x = Math.min(source.width - 1, Math.floor((e.clientX - rect.left) / rect.width * source.width));
+        const y = Math.min(source.height - 1, Math.floor((e.clientY - rect.top) / rect.height * source.height));
+        const [r, g, b] = source.getContext('2d').getImageData(Math.max(0, x), Math.max(0, y), 1, 1).data;
+        this.stopColorPick();
+        this.pinColor(key, rgbToHex([r, g, b]));
+    }
+
+    // ==========================================
+    // PRESETS
+    // ==========================================
+
+    renderPresets(selectName = '') {
+        this.presetSelect.innerHTML = '';
+        this.presetSelect.appendChild(new Option('Presets…', ''));
+        Object.keys(this.presets).forEach(name => this.presetSelect.appendChild(new Option(name, name)));
+        this.presetSelect.value = selectName;
+    }
+
+    // The selected style and every parameter it declares; the seed always comes along
+    currentPreset() {
+        const params = { seed: this.paramValues.seed ?? 1 };
+        Object.entries(this.currentStyleDefinition().params).forEach(([key, param]) => {
+            params[key] = this.paramValue(key, param);
+        });
+        const preset = { style: this.styleSelect.value, params };
+        const pipelineName = this.getCustomPipelineName();
+        if (pipelineName !== null) preset.pipeline = this.pipelineEditor.pipelines[pipelineName];
+        return preset;
+    }
 
+    // A custom pipeline that came with a shared link is only saved once the user agrees
+    applyPreset(preset, { fromLink = false } = {}) {
+        const { style } = preset;
+        if (style.startsWith(CUSTOM_STYLE_PREFIX)) {
+            const name = style.slice(CUSTOM_STYLE_PREFIX.length);
+            const steps = preset.pipeline;
+            if (!this.pipelineEditor.pipelines[name] && steps && (!fromLink ||
+                confirm(`This link uses a custom pipeline "${name}" with ${steps.length} step${steps.length === 1 ? '' : 's'}. Save it in this browser?`))) {
+                this.pipelineEditor.add(name, steps);
+                this.renderCustomStyles();
+            }
+            if (!this.pipelineEditor.pipelines[name]) {
+                alert(`The custom pipeline "${name}" is not saved in this browser`);
+                return false;
+            }
+        } else if (!getStyleDefinition(style) || getStyleDefinition(style).hidden) {
+            alert(`Unknown style "${style}"`);
+            return false;
+        }
+        this.styleSelect.value = style;
+        // Invalid or out-of-range values fall back to defaults when read (see paramValue)
+        Object.assign(this.paramValues, preset.params);
+        this.updateStyleUI();
+        this.schedulePreview();
+        return true;
+    }
+
+    savePreset() {
+        const current = this.presetSelect.value;
+        const name = (prompt('Preset name', current || this.sharedPresetName) || '').trim();
+        if (!name) return;
+        if (name !== current && this.presets[name] && !confirm(`Replace the preset "${name}"?`)) return;
+        this.presets[name] = this.currentPreset();
+        if (this.persistPresets()) this.renderPresets(name);
+    }
+
+    deletePreset() {
+        const name = this.presetSelect.value;
+        if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+        delete this.presets[name];
+        if (this.persistPresets()) this.renderPresets();
+    }
+
+    persistPresets() {
         try {
-            const img = await this.pipeline.loadImage(this.currentFile);
-            const style = this.styleSelect.value;
-            const params = {
-                numColors: parseInt(this.numColors.value),
-                threadThickness: parseInt(this.threadThickness.value),
-                spreadAmount: parseInt(this.spreadAmount.value),
-                brightness: parseInt(this.brightness.value)
+            savePresets(this.presets);
+            return true;
+        } catch (error) {
+            alert('Could not save presets: ' + error.message);
+            return false;
+        }
+    }
+
+    // Copies a link to the current settings and puts it in the address bar
+    async sharePreset() {
+        const url = `${location.origin}${location.pathname}?${presetToQuery(this.currentPreset(), this.presetSelect.value)}`;
+        history.replaceState(null, '', url);
+        try {
+            await navigator.clipboard.writeText(url);
+            const icon = this.presetShareBtn.querySelector('i');
+            icon.className = 'bi bi-check2';
+            setTimeout(() => { icon.className = 'bi bi-link-45deg'; }, 1500);
+        } catch {
+            prompt('Copy this link to share the settings:', url);
+        }
+    }
+
+    exportPresets() {
+        if (Object.keys(this.presets).length === 0) {
+            alert('Save a preset first');
+            return;
+        }
+        this.downloadBlob(new Blob([presetsToJSON(this.presets)], { type: 'application/json' }), 'creative_chart_presets.json');
+    }
+
+    // Imported presets are added to the saved ones; same names are replaced
+    async importPresets(file) {
+        try {
+            const imported = presetsFromJSON(await file.text());
+            Object.assign(this.presets, imported);
+            const names = Object.keys(imported);
+            if (this.persistPresets()) this.renderPresets(names.length === 1 ? names[0] : '');
+            if (names.length === 1) this.applyPreset(imported[names[0]]);
+        } catch (error) {
+            alert('Could not import presets: ' + error.message);
+        }
+    }
+
+    // Opening a shared link (?style=...&numColors=...) restores its settings
+    applyPresetFromURL() {
+        const shared = presetFromQuery(location.search, style => getStyleDefinition(styleIdOf(style))?.params);
+        if (!shared) return;
+        this.sharedPresetName = shared.name;
+        this.applyPreset(shared.preset, { fromLink: true });
+    }
+
+    // ==========================================
+    // DATA CHARTS
+    // ==========================================
+
+    async loadDataFile(file) {
+        const text = await file.text();
+        if (isProjectJSON(text)) {
+            this.openProject(text);
+            return;
+        }
+        this.dataText.value = text;
+        this.dataInput.classList.remove('d-none');
+        if (!this.chartTitle.value) this.chartTitle.value = file.name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ');
+        this.drawDataChart();
+    }
+
+    // Draws the data as a chart image and loads it like an uploaded file, so every style, preview and export works on it
+    async drawDataChart() {
+        const title = this.chartTitle.value.trim();
+        const canvas = document.createElement('canvas');
+        canvas.width = CHART_WIDTH;
+        canvas.height = CHART_HEIGHT;
+        try {
+            const data = parseChartData(this.dataText.value);
+            drawChart(canvas.getContext('2d'), CHART_WIDTH, CHART_HEIGHT, data, { type: this.chartType.value, title });
+            const bytes = await canvasBytes(canvas, 'image/png');
+            const name = title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'data_chart';
+            this.handleFileSelect(new File([bytes], `${name}.png`, { type: 'image/png' }));
+        } catch (error) {
+            alert('Could not draw the chart: ' + error.message);
+        }
+    }
+
+    // ==========================================
+    // LEGIBILITY
+    // ==========================================
+
+    // Options for processImage; null leaves the text to the style
+    legibilityOption() {
+        return this.preserveLegibility.checked ? { mask: this.legibilityMask } : null;
+    }
+
+    async loadLegibilityMask(file) {
+        try {
+            this.setLegibilityMask(await blobImageData(file), file.name);
+        } catch (error) {
+            alert('Could not read the mask image: ' + error.message);
+        }
+    }
+
+    // A mask only makes sense with the mode on, so choosing one switches it on
+    setLegibilityMask(mask, name = '') {
+        this.legibilityMask = mask;
+        this.legibilityMaskName.textContent = mask ? `Mask: ${name}` : 'Text is found automatically';
+        this.legibilityMaskClear.classList.toggle('d-none', !mask);
+        if (mask) this.preserveLegibility.checked = true;
+        this.schedulePreview();
+    }
+
+    // ==========================================
+    // FABRIC PHOTO
+    // ==========================================
+
+    async loadFabricPhoto(file) {
+        try {
+            this.setFabricPhoto(await blobImageData(file), file.name);
+        } catch (error) {
+            alert('Could not read the fabric photo: ' + error.message);
+        }
+    }
+
+    // Choosing a photo also picks it as the embroidery fabric; clearing one falls back to the default cloth
+    setFabricPhoto(photo, name = '') {
+        this.fabricPhoto = photo;
+        this.fabricPhotoName.textContent = photo ? `Fabric: ${name}` : 'No photo chosen';
+        this.fabricPhotoClear.classList.toggle('d-none', !photo);
+        if (photo) this.paramValues.fabric = 'photo';
+        else if (this.paramValues.fabric === 'photo') delete this.paramValues.fabric;
+        const select = this.paramPanel.querySelector('[data-param-input="fabric"]');
+        if (select) select.value = this.paramValue('fabric', this.currentStyleDefinition().params.fabric);
+        this.schedulePreview();
+    }
+
+    // ==========================================
+    // REGION MASK
+    // ==========================================
+
+    // Options for processImage; null while nothing is painted, so the whole image gets the style
+    regionOption() {
+        const mask = this.maskEditor.getMask();
+        return mask ? { mask, style: this.maskOutside.value || null, feather: Number(this.maskFeather.value) } : null;
+    }
+
+    updateMaskSummary() {
+        this.maskSummary.textContent = this.maskEditor.empty ? this.maskSummaryHelp : `${this.maskEditor.status.textContent}.`;
+    }
+
+    // ==========================================
+    // PROJECTS
+    // ==========================================
+
+    async saveProject() {
+        if (!this.currentFile) return;
+        try {
+            const project = {
+                image: { name: this.currentFile.name, type: this.currentFile.type, data: await readDataURL(this.currentFile) },
+                preset: this.currentPreset(),
+                legibility: {
+                    enabled: this.preserveLegibility.checked,
+                    mask: this.legibilityMask ? imageDataURL(this.legibilityMask) : null
+                },
+                region: { mask: this.maskEditor.toDataURL(), outside: this.maskOutside.value, feather: Number(this.maskFeather.value) },
+                fabric: { photo: this.fabricPhoto ? imageDataURL(this.fabricPhoto) : null }
             };
+            const name = this.currentFile.name.replace(/\.[^.]+$/, '');
+            this.downloadBlob(new Blob([projectToJSON(project)], { type: 'application/json' }), `${name}_project.json`);
+        } catch (error) {
+            alert('Could not save the project: ' + error.message);
+        }
+    }
+
+    async openProject(text) {
+        try {
+            const project = projectFromJSON(text);
+            const image = await (await fetch(project.image.data)).blob();
+            this.handleFileSelect(new File([image], project.image.name, { type: project.image.type }));
+            if (!this.applyPreset(project.preset)) return;
+
+            const { legibility, region, fabric } = project;
+            this.setLegibilityMask(legibility.mask ? await blobImageData(await (await fetch(legibility.mask)).blob()) : null, 'from the project');
+            this.preserveLegibility.checked = legibility.enabled;
+            if (fabric.photo) this.setFabricPhoto(await blobImageData(await (await fetch(fabric.photo)).blob()), 'from the project');
+            else if (this.fabricPhoto) this.setFabricPhoto(null);
+            this.maskOutside.value = region.outside;
+            if (this.maskOutside.selectedIndex < 0) this.maskOutside.value = ''; // Style missing in this version
+            this.maskFeather.value = region.feather;
+            this.maskFeatherValue.textContent = this.maskFeather.value;
+            await this.maskImageReady;
+            this.maskEditor.setMask(region.mask ? await blobImageData(await (await fetch(region.mask)).blob()) : null);
+            this.updateMaskSummary();
+            this.schedulePreview();
+        } catch (error) {
+            alert('Could not open the project: ' + error.message);
+        }
+    }
+
+    handleFiles(fileList) {
+        const files = [...fileList].filter(file => file.type.startsWith('image/'));
+        const dataFile = [...fileList].find(isDataFile);
+        if (files.length === 0 && dataFile) {
+            this.loadDataFile(dataFile);
+            return;
+        }
+        if (files.length === 0) {
+            alert('Please select an image file');
+            return;
+        }
+        if (files.length === 1) this.handleFileSelect(files[0]);
+        else this.handleBatchSelect(files);
+    }
+
+    handleFileSelect(file) {
+        if (!file.type.startsWith('image/')) {
+            alert('Please select an image file');
+            return;
+        }
+        this.currentFile = file;
+        this.batchFiles = [];
+        this.preparePreview(file);
+        this.processBtn.disabled = false;
+        this.projectSaveBtn.disabled = false;
+        this.maskEditBtn.disabled = false;
+        this.maskImageReady = this.maskEditor.setImage(file).catch(error => console.warn('Mask editor unavailable:', error));
+        this.updateMaskSummary();
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            this.uploadZone.innerHTML = `
+                <img src="${e.target.result}" alt="Uploaded preview" style="max-width: 100%; max-height: 300px; border-radius: 10px;">
+                <p class="mt-3 text-white">File loaded: ${escapeHtml(file.name)}</p>
+                <p class="text-white-50">Select a style and click "Apply"</p>
+            `;
+        };
+        reader.readAsDataURL(file);
+    }
+
+    handleBatchSelect(files) {
+        this.batchFiles = files;
+        this.currentFile = null;
+        this.preparePreview(files[0]);
+        this.processBtn.disabled = false;
+        // Projects and region masks belong to a single image
+        this.projectSaveBtn.disabled = true;
+        this.maskEditBtn.disabled = true;
+        this.maskEditor.close();
+        this.maskImageReady = this.maskEditor.setImage(null);
+        this.updateMaskSummary();
+        this.uploadZone.innerHTML = `
+            <div class="d-flex flex-wrap justify-content-center gap-2">
+                ${files.slice(0, 12).map(() => '<img alt="Queued chart" style="width: 72px; height: 54px; object-fit: cover; border-radius: 6px;">').join('')}
+            </div>
+            <p class="mt-3 text-white">${files.length} files queued${files.length > 12 ? ` (showing the first 12)` : ''}</p>
+            <p class="text-white-50">Select a style and click "Apply" to render them all</p>
+        `;
+        this.uploadZone.querySelectorAll('img').forEach((img, i) => {
+            img.src = URL.createObjectURL(files[i]);
+            img.onload = () => URL.revokeObjectURL(img.src);
+        });
+    }
 
-            const result = await this.pipeline.processImage(img, style, params);
+    async processImage() {
+        if (!this.currentFile) return;
+
+        this.resultsSection.classList.add('d-none');
+        this.batchSection.classList.add('d-none');
+        this.processingSteps.classList.remove('d-none');
+        this.processBtn.disabled = true;
+        this.stepsContainer.innerHTML = ''; // Clear previous steps
+        this.renderController = new AbortController();
+        this.cancelBtn.classList.remove('d-none');
+
+        try {
+            const img = await this.pipeline.loadImage(this.currentFile);
+            const style = this.getStyle();
+            const params = this.getParams();
+            const legibility = this.legibilityOption();
+            const region = this.regionOption();
+            const fabricPhoto = this.fabricPhoto;
+            const { width, height } = img; // Read now: the worker takes the bitmap over
+
+            const result = await this.pipeline.processImage(img, style, params, {
+                signal: this.renderController.signal, captureSteps: true, legibility, region, fabricPhoto
+            });
 
             this.originalImage.src = URL.createObjectURL(this.currentFile);
             this.embroideredImage.src = result;
             this.embroideredImage.dataset.url = result;
+            this.renderedStyle = this.getStyleSlug();
+            // For exports built after the fact (SVG, print); palette edits made afterwards are added too
+            this.lastRender = { style, params, legibility, region, fabricPhoto, width, height, paletteEdits: [] };
+            this.compareViewer.setImages(this.originalImage.src, result, ['Original', 'Styled']);
+
+            // Machine files are built from the quantized thread regions of the embroidery style
+            this.stitchExport.classList.toggle('d-none', style !== 'embroidery' || !this.pipeline.quantized);
+            this.stitchSummary.textContent = '';
+            this.patternExport.classList.toggle('d-none', !this.pipeline.stitchGrid);
+            this.downloadSvgBtn.classList.toggle('d-none', !getStyleDefinition(style)?.svg || !!region);
+            this.updatePrintSummary();
+            this.renderThreadLegend();
+            this.startPaletteEditing();
 
             // Mark all done
             document.querySelectorAll('.processing-step').forEach(el => {
                 el.classList.remove('active');
                 el.querySelector('i').className = 'bi bi-check-circle-fill me-2 text-success';
             });
+            this.renderStepSnapshots();
 
             this.resultsSection.classList.remove('d-none');
             this.processBtn.disabled = false;
@@ -2311,22 +3745,539 @@ class UIController {
             this.resultsSection.scrollIntoView({ behavior: 'smooth' });
 
         } catch (error) {
-            console.error('Processing error:', error);
-            alert('Error processing image: ' + error.message);
+            if (error.name === 'AbortError') {
+                // Back to a clean ready state: no half-finished steps or stale results
+                this.processingSteps.classList.add('d-none');
+                this.stepsContainer.innerHTML = '';
+            } else {
+                console.error('Processing error:', error);
+                alert('Error processing image: ' + error.message);
+            }
             this.processBtn.disabled = false;
+        } finally {
+            this.renderController = null;
+            this.cancelBtn.classList.add('d-none');
+        }
+    }
+
+    cancelRender() {
+        if (this.renderController) this.renderController.abort();
+    }
+
+    // ==========================================
+    // STEP INSPECTOR
+    // ==========================================
+
+    // Turns the finished step list into an inspector: timing per step, click to compare a step
+    // with the one before it, and a download button for each intermediate image
+    renderStepSnapshots() {
+        const snapshots = this.pipeline.stepSnapshots || [];
+        this.stepUrls = [];
+        snapshots.forEach((snap, i) => {
+            const el = document.getElementById(`step-${i}`);
+            if (!el) return;
+            el.classList.add('step-inspectable');
+            el.title = 'Compare this step with the previous one';
+            el.insertAdjacentHTML('beforeend', `
+                <span class="step-tools">
+                    <small class="text-white-50 me-2">${formatDuration(snap.ms)}</small>
+                    <button type="button" class="btn btn-sm btn-outline-light" data-step-download title="Download this step">
+                        <i class="bi bi-download"></i>
+                    </button>
+                </span>`);
+            el.addEventListener('click', (e) => {
+                if (e.target.closest('[data-step-download]')) this.downloadStep(i);
+                else this.showStep(i);
+            });
+        });
+        if (snapshots.length) {
+            const total = snapshots.reduce((sum, snap) => sum + snap.ms, 0);
+            this.stepsContainer.insertAdjacentHTML('beforeend', `
+                <small class="text-white-50 d-block mt-2">
+                    ${snapshots.length} steps in ${formatDuration(total)}. Click a step to inspect its output.
+                </small>`);
+        }
+    }
+
+    stepURL(i) {
+        if (!this.stepUrls[i]) {
+            const { imageData } = this.pipeline.stepSnapshots[i];
+            const canvas = document.createElement('canvas');
+            canvas.width = imageData.width;
+            canvas.height = imageData.height;
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+            this.stepUrls[i] = canvas.toDataURL('image/png');
+        }
+        return this.stepUrls[i];
+    }
+
+    showStep(i) {
+        const snapshots = this.pipeline.stepSnapshots;
+        const before = i === 0 ? this.originalImage.src : this.stepURL(i - 1);
+        const label = j => snapshots[j].name.replace(/\.+$/, '');
+        this.compareViewer.setImages(before, this.stepURL(i), [i === 0 ? 'Original' : label(i - 1), label(i)]);
+        document.querySelectorAll('.processing-step').forEach(el => {
+            el.classList.toggle('selected', el.id === `step-${i}`);
+        });
+        this.compareViewer.container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    downloadStep(i) {
+        const name = (this.currentFile?.name || 'chart').replace(/\.[^.]+$/, '');
+        const slug = this.pipeline.stepSnapshots[i].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const link = document.createElement('a');
+        link.href = this.stepURL(i);
+        link.download = `${name}_${this.renderedStyle}_step${i + 1}_${slug}.png`;
+        link.click();
+    }
+
+    // ==========================================
+    // LIVE PREVIEW
+    // ==========================================
+
+    // Keeps a small copy of the uploaded image so slider changes re-render in a fraction of a second
+    async preparePreview(file) {
+        this.stopColorPick();
+        this.previewSource = null;
+        this.livePreview.classList.add('d-none');
+        try {
+            const img = await this.pipeline.loadImage(file);
+            const scale = Math.min(1, PREVIEW_MAX_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            if (img.close) img.close();
+            this.previewSource = canvas;
+            this.previewScale = canvas.width / img.width;
+            this.schedulePreview(0);
+        } catch (error) {
+            console.warn('Live preview unavailable:', error);
+        }
+    }
+
+    schedulePreview(delay = PREVIEW_DEBOUNCE_MS) {
+        if (!this.previewSource) return;
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.renderPreview(), delay);
+    }
+
+    // One preview at a time; changes made while it runs trigger a single follow-up render
+    async renderPreview() {
+        if (this.previewBusy) {
+            this.previewPending = true;
+            return;
+        }
+        this.previewBusy = true;
+        this.livePreview.classList.remove('d-none');
+        this.livePreviewStatus.innerHTML = '<span class="spinner-border spinner-border-sm me-1"></span>Updating preview';
+        try {
+            const source = this.previewSource;
+            const img = typeof createImageBitmap !== 'undefined' ? await createImageBitmap(source) : source;
+            const result = await this.previewPipeline.processImage(img, this.getStyle(), this.getParams(), {
+                scale: this.previewScale,
+                legibility: this.legibilityOption(),
+                region: this.batchFiles.length ? null : this.regionOption(),
+                fabricPhoto: this.fabricPhoto
+            });
+            // The eyedropper keeps the original on show until a color is picked
+            if (this.colorPick !== null) return;
+            if (source === this.previewSource) this.livePreviewImage.src = result;
+            this.livePreviewStatus.textContent = 'Live preview';
+        } catch (error) {
+            console.warn('Live preview failed:', error);
+            this.livePreviewStatus.textContent = 'Preview failed';
+        } finally {
+            this.previewBusy = false;
+            if (this.previewPending) {
+                this.previewPending = false;
+                this.renderPreview();
+            }
+        }
+    }
+
+    // ==========================================
+    // BATCH MODE
+    // ==========================================
+
+    // Renders every queued file with the current style and settings, one after another
+    async processBatch() {
+        const files = this.batchFiles;
+        const style = this.getStyle();
+        const slug = this.getStyleSlug();
+        const params = this.getParams();
+        const legibility = this.legibilityOption();
+        const fabricPhoto = this.fabricPhoto;
+
+        this.resultsSection.classList.add('d-none');
+        this.processingSteps.classList.add('d-none');
+        this.batchSection.classList.remove('d-none');
+        this.processBtn.disabled = true;
+        this.batchZipBtn.disabled = true;
+        this.batchResults = [];
+        this.batchStyle = slug;
+        this.renderController = new AbortController();
+        this.cancelBtn.classList.remove('d-none');
+
+        this.batchGallery.innerHTML = files.map((_, i) => `
+            <div class="col-6 col-md-4 col-lg-3">
+                <div class="batch-item" id="batch-item-${i}">
+                    <a class="d-block"><img class="batch-thumb" alt="Queued chart"></a>
+                    <div class="small text-white text-truncate mt-2" data-role="name"></div>
+                    <div class="progress mt-1" role="progressbar">
+                        <div class="progress-bar bg-success" style="width: 0%"></div>
+                    </div>
+                    <div class="small text-white-50 mt-1" data-role="status">Queued</div>
+                </div>
+            </div>`).join('');
+        files.forEach((file, i) => {
+            const card = document.getElementById(`batch-item-${i}`);
+            card.querySelector('[data-role="name"]').textContent = file.name;
+            // Released once shown, so it goes whether the file renders, fails or is cancelled
+            const thumb = card.querySelector('img'), url = URL.createObjectURL(file);
+            thumb.onload = thumb.onerror = () => URL.revokeObjectURL(url);
+            thumb.src = url;
+        });
+        this.batchSection.scrollIntoView({ behavior: 'smooth' });
+
+        let failed = 0;
+        try {
+            for (let i = 0; i < files.length; i++) {
+                const card = document.getElementById(`batch-item-${i}`);
+                this.batchIndex = i;
+                try {
+                    const img = await this.pipeline.loadImage(files[i]);
+                    const result = await this.pipeline.processImage(img, style, params, { signal: this.renderController.signal, legibility, fabricPhoto });
+                    const name = this.uniqueBatchName(`${files[i].name.replace(/\.[^.]+$/, '')}_${slug}.png`);
+                    this.batchResults.push({ name, url: result });
+
+                    const thumb = card.querySelector('img');
+                    thumb.src = result;
+                    thumb.alt = name;
+                    const link = card.querySelector('a');
+                    link.href = result;
+                    link.download = name;
+                    card.querySelector('.progress-bar').style.width = '100%';
+                    card.querySelector('[data-role="status"]').innerHTML = '<i class="bi bi-check-circle-fill text-success me-1"></i>Done';
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    failed++;
+                    console.error(`Batch error (${files[i].name}):`, error);
+                    card.querySelector('.progress-bar').classList.replace('bg-success', 'bg-danger');
+                    card.querySelector('[data-role="status"]').textContent = `Failed: ${error.message}`;
+                }
+                this.batchSummary.textContent = `${i + 1} of ${files.length} processed${failed ? `, ${failed} failed` : ''}`;
+            }
+        } catch (error) {
+            // Cancelled: keep what finished, mark the rest
+            files.forEach((_, i) => {
+                if (i < this.batchResults.length + failed) return;
+                document.getElementById(`batch-item-${i}`).querySelector('[data-role="status"]').textContent = 'Cancelled';
+            });
+            this.batchSummary.textContent = `Cancelled after ${this.batchResults.length} of ${files.length} files`;
+        } finally {
+            this.batchIndex = null;
+            this.renderController = null;
+            this.cancelBtn.classList.add('d-none');
+            this.processBtn.disabled = false;
+            this.batchZipBtn.disabled = this.batchResults.length === 0;
+        }
+    }
+
+    updateBatchProgress(fileIdx, stepIdx, name, total) {
+        const card = document.getElementById(`batch-item-${fileIdx}`);
+        if (!card) return;
+        card.querySelector('.progress-bar').style.width = `${Math.round(stepIdx / (total || 1) * 100)}%`;
+        card.querySelector('[data-role="status"]').textContent = name;
+    }
+
+    // Two sources with the same name (e.g. from different folders) must not overwrite each other in the ZIP
+    uniqueBatchName(name) {
+        const taken = new Set(this.batchResults.map(r => r.name));
+        if (!taken.has(name)) return name;
+        const base = name.replace(/\.png$/, '');
+        let n = 2;
+        while (taken.has(`${base}-${n}.png`)) n++;
+        return `${base}-${n}.png`;
+    }
+
+    async downloadBatchZip() {
+        if (!this.batchResults.length) return;
+        try {
+            const entries = await Promise.all(this.batchResults.map(async ({ name, url }) => ({
+                name,
+                bytes: new Uint8Array(await (await fetch(url)).arrayBuffer())
+            })));
+            this.downloadBlob(new Blob([buildZip(entries)], { type: 'application/zip' }), `creative_charts_${this.batchStyle}.zip`);
+        } catch (error) {
+            console.error('ZIP export error:', error);
+            alert('Error creating ZIP: ' + error.message);
         }
     }
 
+    // Progress callback for pipeline steps (called directly or relayed from the worker)
+    updateProcessingStep(idx, name) {
+        // Check if exists
+        if (!document.getElementById(`step-${idx}`)) {
+            this.stepsContainer.innerHTML += `
+                <div class="processing-step" id="step-${idx}">
+                    <i class="bi bi-circle me-2"></i>
+                    <span>${name}</span>
+                </div>`;
+        }
+
+        // Update all active/inactive
+        document.querySelectorAll('.processing-step').forEach(el => {
+            if (el.id === `step-${idx}`) {
+                el.classList.add('active');
+                el.querySelector('i').className = 'bi bi-arrow-right-circle-fill me-2 text-warning';
+            } else {
+                el.classList.remove('active');
+                // check if previous
+                if (parseInt(el.id.split('-')[1]) < idx) {
+                    el.querySelector('i').className = 'bi bi-check-circle-fill me-2 text-success';
+                }
+            }
+        });
+    }
+
     downloadImage() {
         const url = this.embroideredImage.dataset.url;
         if (!url) return;
         const link = document.createElement('a');
         link.href = url;
-        link.download = `creative_chart_${this.styleSelect.value}.png`;
+        link.download = `creative_chart_${this.renderedStyle}.png`;
         link.click();
     }
+
+    downloadSVG() {
+        if (!this.lastRender) return;
+        try {
+            const svg = this.pipeline.buildSVG(this.lastRender.style, this.lastRender.params);
+            this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `creative_chart_${this.renderedStyle}.svg`);
+        } catch (error) {
+            console.error('SVG export error:', error);
+            alert('Could not build the SVG: ' + error.message);
+        }
+    }
+
+    exportPatternChart(format) {
+        const grid = this.pipeline.stitchGrid;
+        if (!grid) return;
+        const name = (this.currentFile?.name || 'chart').replace(/\.[^.]+$/, '');
+        const title = `${name} - cross-stitch pattern`;
+        if (format === 'pdf') {
+            this.downloadBlob(new Blob([buildPatternChartPDF(grid, { title })], { type: 'application/pdf' }), `${name}_pattern.pdf`);
+        } else {
+            this.downloadBlob(new Blob([buildPatternChartSVG(grid, { title })], { type: 'image/svg+xml' }), `${name}_pattern.svg`);
+        }
+    }
+
+    renderThreadLegend() {
+        const quantized = this.pipeline.quantized;
+        const threads = quantized?.threads;
+        this.threadLegend.classList.toggle('d-none', !threads);
+        if (!threads) return;
+
+        const counts = new Array(threads.length).fill(0);
+        quantized.indices.forEach(idx => counts[idx]++);
+        this.threadLegendBody.innerHTML = threads.map((t, i) => `
+            <tr>
+                <td><span class="thread-swatch" style="background: rgb(${t.rgb.join(',')});"></span></td>
+                <td>${t.brand}</td>
+                <td><strong>${t.code}</strong></td>
+                <td>${t.name}</td>
+                <td class="text-end">${(counts[i] / quantized.indices.length * 100).toFixed(1)}%</td>
+            </tr>`).join('');
+    }
+
+    // ==========================================
+    // PALETTE EDITOR
+    // ==========================================
+
+    // After every full render; renders blended through a region mask mix in pixels the palette does not cover
+    startPaletteEditing() {
+        const quantized = this.pipeline.quantized;
+        const editable = !!quantized && !this.lastRender.region
+            && quantized.width === this.pipeline.imageData.width && quantized.height === this.pipeline.imageData.height;
+        this.paletteSelection = [];
+        this.paletteEditor.classList.toggle('d-none', !editable);
+        if (editable) this.renderPaletteEditor();
+    }
+
+    renderPaletteEditor() {
+        const quantized = this.pipeline.quantized;
+        const counts = new Array(quantized.palette.length).fill(0);
+        quantized.indices.forEach(idx => counts[idx]++);
+        this.paletteChips.innerHTML = quantized.palette.map((rgb, i) => {
+            const order = this.paletteSelection.indexOf(i);
+            const thread = quantized.threads?.[i];
+            const coverage = (counts[i] / quantized.indices.length * 100).toFixed(1);
+            const title = `${thread ? `${thread.brand} ${thread.code}, ` : ''}${rgbToHex(rgb)}, ${coverage}% of the image`;
+            return `
+                <button type="button" class="palette-chip${order === -1 ? '' : ' selected'}" data-palette-index="${i}"
+                    style="background: rgb(${rgb.join(',')});" title="${escapeHtml(title)}" aria-pressed="${order !== -1}">
+                    ${order === -1 ? '' : `<span class="palette-chip-order">${order + 1}</span>`}
+                </button>`;
+        }).join('');
+
+        const selected = this.paletteSelection;
+        this.paletteRecolor.disabled = selected.length !== 1;
+        if (selected.length === 1) this.paletteRecolor.value = rgbToHex(quantized.palette[selected[0]]);
+        this.paletteMergeBtn.disabled = selected.length !== 2;
+        this.paletteSplitBtn.disabled = selected.length !== 1;
+        this.paletteResetBtn.disabled = !this.lastRender.paletteEdits.length;
+    }
+
+    // Up to two swatches are selected; picking a third drops the first
+    togglePaletteSwatch(index) {
+        const at = this.paletteSelection.indexOf(index);
+        if (at !== -1) this.paletteSelection.splice(at, 1);
+        else this.paletteSelection = [...this.paletteSelection, index].slice(-2);
+        this.renderPaletteEditor();
+    }
+
+    // Merging paints the second selected swatch with the first
+    editPalette(type) {
+        const { palette } = this.pipeline.quantized;
+        const [first, second] = this.paletteSelection.map(i => palette[i].slice());
+        const edit = type === 'recolor' ? { type, color: first, rgb: hexToRgb(this.paletteRecolor.value) }
+            : type === 'merge' ? { type, color: second, into: first }
+            : { type, color: first };
+        try {
+            const { style, params } = this.lastRender;
+            const url = this.pipeline.applyPaletteEdit(edit, style, params);
+            if (!url) {
+                if (type === 'split') alert('Every pixel of this swatch has the same color, so there is nothing to split.');
+                return;
+            }
+            this.lastRender.paletteEdits.push(edit);
+            if (type !== 'recolor') this.paletteSelection = [];
+            this.showEditedRender(url);
+        } catch (error) {
+            console.error('Palette edit error:', error);
+            alert('Could not edit the palette: ' + error.message);
+        }
+    }
+
+    resetPalette() {
+        const { style, params } = this.lastRender;
+        const url = this.pipeline.restorePalette(style, params);
+        this.lastRender.paletteEdits = [];
+        this.paletteSelection = [];
+        if (url) this.showEditedRender(url);
+        else this.renderPaletteEditor();
+    }
+
+    showEditedRender(url) {
+        this.embroideredImage.src = url;
+        this.embroideredImage.dataset.url = url;
+        this.compareViewer.setImages(this.originalImage.src, url, ['Original', 'Styled']);
+        this.renderThreadLegend();
+        this.renderPaletteEditor();
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    exportStitchFile(format) {
+        const writers = { dst: writeDST, pes: writePES, exp: writeEXP };
+        const writer = writers[format];
+        if (!writer) return;
+
+        try {
+            const widthMm = Math.max(20, Math.min(400, parseFloat(this.stitchWidth.value) || 100));
+            const plan = this.pipeline.buildStitchPlan({ widthMm });
+            const name = (this.currentFile?.name || 'chart').replace(/\.[^.]+$/, '');
+            const bytes = writer(plan, name);
+            this.downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), `${name}_embroidery.${format}`);
+            this.stitchSummary.textContent = `${plan.stitchCount.toLocaleString()} stitches, ${plan.threads.length} thread colors`;
+        } catch (error) {
+            console.error('Stitch export error:', error);
+            alert('Error exporting stitch file: ' + error.message);
+        }
+    }
+
+    // ==========================================
+    // PRINT EXPORT
+    // ==========================================
+
+    printSettings() {
+        return {
+            width: Math.max(0.1, parseFloat(this.printWidth.value) || 30),
+            unit: this.printUnit.value,
+            dpi: Math.max(72, Math.min(1200, Math.round(parseFloat(this.printDpi.value)) || 300))
+        };
+    }
+
+    updatePrintSummary() {
+        if (!this.lastRender || this.printBusy) return;
+        const settings = this.printSettings();
+        const { width, height } = printPixelSize(this.lastRender, settings);
+        const physicalHeight = settings.width * height / width;
+        this.printSummary.textContent = `${width.toLocaleString()} × ${height.toLocaleString()} px, `
+            + `${settings.width} × ${Math.round(physicalHeight * 10) / 10} ${settings.unit} at ${settings.dpi} DPI`;
+    }
+
+    // Renders the last result again from the original file at print resolution. It gets a pipeline of its
+    // own, dropped afterwards, so the result on screen and its exports stay as they are.
+    async exportPrint(format) {
+        if (!this.currentFile || !this.lastRender || this.printBusy) return;
+        const settings = this.printSettings();
+        const size = printPixelSize(this.lastRender, settings);
+        if (size.width > MAX_PRINT_SIDE || size.height > MAX_PRINT_SIDE || size.width * size.height > MAX_PRINT_PIXELS) {
+            alert(`${size.width} × ${size.height} px is more than the browser can render. Choose a smaller print or a lower DPI.`);
+            return;
+        }
+
+        const buttons = this.printExport.querySelectorAll('[data-print-format]');
+        const options = {
+            resultType: 'imageData',
+            onProgress: (idx, name, total) => {
+                this.printSummary.textContent = `Rendering ${size.width} × ${size.height} px, step ${idx + 1}/${total}: ${name}`;
+            }
+        };
+        const pipeline = WorkerPipeline.isSupported() ? new WorkerPipeline(options) : new CreativePipeline(options);
+        this.printBusy = true;
+        buttons.forEach(btn => { btn.disabled = true; });
+
+        try {
+            const { style, params, legibility, region, fabricPhoto, paletteEdits } = this.lastRender;
+            const img = await pipeline.loadImage(this.currentFile, size);
+            const imageData = await pipeline.processImage(img, style, params, {
+                scale: size.width / this.lastRender.width, legibility, region, fabricPhoto, paletteEdits
+            });
+            const name = `creative_chart_${this.renderedStyle}_${settings.dpi}dpi`;
+            if (format === 'tiff') {
+                this.downloadBlob(new Blob([encodeTIFF(imageData, settings.dpi)], { type: 'image/tiff' }), `${name}.tif`);
+            } else if (format === 'pdf') {
+                const jpeg = { bytes: await canvasBytes(pipeline.canvas, 'image/jpeg', 0.95), width: size.width, height: size.height };
+                this.downloadBlob(new Blob([buildPrintPDF(jpeg, settings.dpi, { title: name })], { type: 'application/pdf' }), `${name}.pdf`);
+            } else {
+                const png = setPngDpi(await canvasBytes(pipeline.canvas, 'image/png'), settings.dpi);
+                this.downloadBlob(new Blob([png], { type: 'image/png' }), `${name}.png`);
+            }
+        } catch (error) {
+            console.error('Print export error:', error);
+            alert('Error rendering for print: ' + error.message);
+        } finally {
+            if (pipeline.worker) pipeline.worker.terminate();
+            this.printBusy = false;
+            buttons.forEach(btn => { btn.disabled = false; });
+            this.updatePrintSummary();
+        }
+    }
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-    new UIController();
-});
+// The worker imports this module for CreativePipeline, so only boot the UI where there is a page
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        new UIController();
+    });
+}
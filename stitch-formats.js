@@ -0,0 +1,307 @@
+// Machine Embroidery File Writers
+// Encodes a stitch plan (see CreativePipeline.buildStitchPlan) as Tajima DST, Brother PES or Melco EXP.
+// Plan coordinates are absolute, in 0.1 mm units, with +Y pointing down (screen space).
+
+// Brother PEC thread chart: machines identify colors by their 1-based index into this table
+export const PEC_THREADS = [
+    [0x1a, 0x0a, 0x94, 'Prussian Blue'], [0x0f, 0x75, 0xff, 'Blue'], [0x00, 0x93, 0x4c, 'Teal Green'],
+    [0xba, 0xbd, 0xfe, 'Corn Flower Blue'], [0xec, 0x00, 0x00, 'Red'], [0xe4, 0x99, 0x5a, 'Reddish Brown'],
+    [0xcc, 0x48, 0xab, 'Magenta'], [0xfd, 0xc4, 0xfa, 'Light Lilac'], [0xdd, 0x84, 0xcd, 'Lilac'],
+    [0x6b, 0xd3, 0x8a, 'Mint Green'], [0xe4, 0xa9, 0x45, 'Deep Gold'], [0xff, 0xbd, 0x42, 'Orange'],
+    [0xff, 0xe6, 0x00, 'Yellow'], [0x6c, 0xd9, 0x00, 'Lime Green'], [0xc1, 0xa9, 0x41, 'Brass'],
+    [0xb5, 0xad, 0x97, 'Silver'], [0xba, 0x9c, 0x5f, 'Russet Brown'], [0xfa, 0xf5, 0x9e, 'Cream Brown'],
+    [0x80, 0x80, 0x80, 'Pewter'], [0x00, 0x00, 0x00, 'Black'], [0x00, 0x1c, 0xdf, 'Ultramarine'],
+    [0xdf, 0x00, 0xb8, 'Royal Purple'], [0x62, 0x62, 0x62, 'Dark Gray'], [0x69, 0x26, 0x0d, 'Dark Brown'],
+    [0xff, 0x00, 0x60, 'Deep Rose'], [0xbf, 0x82, 0x00, 'Light Brown'], [0xf3, 0x91, 0x78, 'Salmon Pink'],
+    [0xff, 0x68, 0x05, 'Vermilion'], [0xf0, 0xf0, 0xf0, 'White'], [0xc8, 0x32, 0xcd, 'Violet'],
+    [0xb0, 0xbf, 0x9b, 'Seacrest'], [0x65, 0xbf, 0xeb, 'Sky Blue'], [0xff, 0xba, 0x04, 'Pumpkin'],
+    [0xff, 0xf0, 0x6c, 'Cream Yellow'], [0xfe, 0xca, 0x15, 'Khaki'], [0xf3, 0x81, 0x01, 'Clay Brown'],
+    [0x37, 0xa9, 0x23, 'Leaf Green'], [0x23, 0x46, 0x5f, 'Peacock Blue'], [0xa6, 0xa6, 0x95, 'Gray'],
+    [0xce, 0xbf, 0xa6, 'Warm Gray'], [0x96, 0xaa, 0x02, 'Dark Olive'], [0xff, 0xe3, 0xc6, 'Linen'],
+    [0xff, 0x99, 0xd7, 'Pink'], [0x00, 0x70, 0x04, 'Deep Green'], [0xed, 0xcc, 0xfb, 'Lavender'],
+    [0xc0, 0x89, 0xd8, 'Wisteria Violet'], [0xe7, 0xd9, 0xb4, 'Beige'], [0xe9, 0x0e, 0x86, 'Carmine'],
+    [0xcf, 0x68, 0x29, 'Amber Red'], [0x40, 0x86, 0x15, 'Olive Green'], [0xdb, 0x17, 0x97, 'Dark Fuchsia'],
+    [0xff, 0xa7, 0x04, 'Tangerine'], [0xb9, 0xff, 0xff, 'Light Blue'], [0x22, 0x89, 0x27, 'Emerald Green'],
+    [0xb6, 0x12, 0xcd, 'Purple'], [0x00, 0xaa, 0x00, 'Moss Green'], [0xfe, 0xa9, 0xdc, 'Flesh Pink'],
+    [0xfe, 0xd5, 0x10, 'Harvest Gold'], [0x00, 0x97, 0xdf, 'Electric Blue'], [0xff, 0xff, 0x84, 'Lemon Yellow'],
+    [0xcf, 0xe7, 0x74, 'Fresh Green']
+];
+
+// ==========================================
+// SHARED HELPERS
+// ==========================================
+
+class ByteWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    byte(...values) {
+        values.forEach(v => this.bytes.push(v & 0xFF));
+    }
+
+    ascii(text) {
+        for (let i = 0; i < text.length; i++) this.bytes.push(text.charCodeAt(i) & 0xFF);
+    }
+
+    int16le(v) { this.byte(v, v >> 8); }
+    int16be(v) { this.byte(v >> 8, v); }
+    int24le(v) { this.byte(v, v >> 8, v >> 16); }
+    int32le(v) { this.byte(v, v >> 8, v >> 16, v >> 24); }
+
+    get length() {
+        return this.bytes.length;
+    }
+
+    toUint8Array() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+// Splits a move into equal sub-moves so no delta exceeds the format's per-record limit
+function splitMove(dx, dy, limit) {
+    const parts = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / limit));
+    const moves = [];
+    let px = 0, py = 0;
+    for (let i = 1; i <= parts; i++) {
+        const nx = Math.round(dx * i / parts), ny = Math.round(dy * i / parts);
+        moves.push([nx - px, ny - py]);
+        px = nx; py = ny;
+    }
+    return moves;
+}
+
+// Walks the plan and yields relative moves (rounded to whole units) for each command
+function toRelative(plan) {
+    const out = [];
+    let x = 0, y = 0;
+    plan.stitches.forEach(s => {
+        if (s.type === 'color' || s.type === 'end') {
+            out.push({ type: s.type, dx: 0, dy: 0 });
+            return;
+        }
+        const tx = Math.round(s.x), ty = Math.round(s.y);
+        out.push({ type: s.type, dx: tx - x, dy: ty - y });
+        x = tx; y = ty;
+    });
+    return out;
+}
+
+function paddedName(name, length) {
+    return (name || 'Untitled').replace(/[^\x20-\x7e]/g, '').slice(0, length).padEnd(length, ' ');
+}
+
+function nearestPecThread(rgb) {
+    let best = 0, minDist = Infinity;
+    PEC_THREADS.forEach((t, i) => {
+        const dist = (rgb[0] - t[0]) ** 2 + (rgb[1] - t[1]) ** 2 + (rgb[2] - t[2]) ** 2;
+        if (dist < minDist) { minDist = dist; best = i; }
+    });
+    return best + 1;
+}
+
+// ==========================================
+// TAJIMA DST
+// ==========================================
+
+function encodeDstRecord(x, y, flags) {
+    let b0 = 0, b1 = 0, b2 = 0x03;
+    if (x > 40) { b2 |= 0x04; x -= 81; }
+    if (x < -40) { b2 |= 0x08; x += 81; }
+    if (x > 13) { b1 |= 0x04; x -= 27; }
+    if (x < -13) { b1 |= 0x08; x += 27; }
+    if (x > 4) { b0 |= 0x04; x -= 9; }
+    if (x < -4) { b0 |= 0x08; x += 9; }
+    if (x > 1) { b1 |= 0x01; x -= 3; }
+    if (x < -1) { b1 |= 0x02; x += 3; }
+    if (x > 0) { b0 |= 0x01; x -= 1; }
+    if (x < 0) { b0 |= 0x02; x += 1; }
+    if (y > 40) { b2 |= 0x20; y -= 81; }
+    if (y < -40) { b2 |= 0x10; y += 81; }
+    if (y > 13) { b1 |= 0x20; y -= 27; }
+    if (y < -13) { b1 |= 0x10; y += 27; }
+    if (y > 4) { b0 |= 0x20; y -= 9; }
+    if (y < -4) { b0 |= 0x10; y += 9; }
+    if (y > 1) { b1 |= 0x80; y -= 3; }
+    if (y < -1) { b1 |= 0x40; y += 3; }
+    if (y > 0) { b0 |= 0x80; y -= 1; }
+    if (y < 0) { b0 |= 0x40; y += 1; }
+    return [b0, b1, b2 | flags];
+}
+
+export function writeDST(plan, name = 'Untitled') {
+    const records = [];
+    let colorChanges = 0, x = 0, y = 0;
+    let maxX = 0, minX = 0, maxY = 0, minY = 0;
+
+    toRelative(plan).forEach(move => {
+        if (move.type === 'color') {
+            records.push(encodeDstRecord(0, 0, 0xC0));
+            colorChanges++;
+            return;
+        }
+        if (move.type === 'end') return;
+        // DST measures +Y upwards
+        splitMove(move.dx, -move.dy, 121).forEach(([dx, dy]) => {
+            records.push(encodeDstRecord(dx, dy, move.type === 'jump' ? 0x80 : 0));
+            x += dx; y += dy;
+            maxX = Math.max(maxX, x); minX = Math.min(minX, x);
+            maxY = Math.max(maxY, y); minY = Math.min(minY, y);
+        });
+    });
+    records.push([0x00, 0x00, 0xF3]);
+
+    const sign = v => (v < 0 ? '-' : '+') + String(Math.abs(v)).padStart(5, ' ');
+    const header = new ByteWriter();
+    header.ascii(`LA:${paddedName(name, 16)}\r`);
+    header.ascii(`ST:${String(records.length).padStart(7, ' ')}\r`);
+    header.ascii(`CO:${String(colorChanges).padStart(3, ' ')}\r`);
+    header.ascii(`+X:${String(maxX).padStart(5, ' ')}\r`);
+    header.ascii(`-X:${String(-minX).padStart(5, ' ')}\r`);
+    header.ascii(`+Y:${String(maxY).padStart(5, ' ')}\r`);
+    header.ascii(`-Y:${String(-minY).padStart(5, ' ')}\r`);
+    header.ascii(`AX:${sign(x)}\r`);
+    header.ascii(`AY:${sign(y)}\r`);
+    header.ascii(`MX:${sign(0)}\r`);
+    header.ascii(`MY:${sign(0)}\r`);
+    header.ascii('PD:******\r');
+    header.byte(0x1A);
+    while (header.length < 512) header.byte(0x20);
+
+    records.forEach(r => header.byte(...r));
+    return header.toUint8Array();
+}
+
+// ==========================================
+// MELCO EXP
+// ==========================================
+
+export function writeEXP(plan) {
+    const out = new ByteWriter();
+    toRelative(plan).forEach(move => {
+        if (move.type === 'color') {
+            out.byte(0x80, 0x01, 0x00, 0x00);
+            return;
+        }
+        if (move.type === 'end') return;
+        // EXP measures +Y upwards; -128 (0x80) is the command escape so stay within ±127
+        splitMove(move.dx, -move.dy, 127).forEach(([dx, dy]) => {
+            if (move.type === 'jump') out.byte(0x80, 0x04);
+            out.byte(dx, dy);
+        });
+    });
+    return out.toUint8Array();
+}
+
+// ==========================================
+// BROTHER PES (version 1 header + PEC block)
+// ==========================================
+
+const PEC_ICON_WIDTH = 48;
+const PEC_ICON_HEIGHT = 38;
+
+function encodePecLong(value, flag) {
+    return ((value & 0x0FFF) | 0x8000 | (flag << 8)) & 0xFFFF;
+}
+
+function writePecStitches(out, plan) {
+    let jumping = true, colorToggle = true;
+    toRelative(plan).forEach(move => {
+        if (move.type === 'color') {
+            if (jumping) { out.byte(0x00, 0x00); jumping = false; }
+            out.byte(0xFE, 0xB0, colorToggle ? 0x02 : 0x01);
+            colorToggle = !colorToggle;
+            return;
+        }
+        if (move.type === 'end') return;
+
+        splitMove(move.dx, move.dy, 2047).forEach(([dx, dy]) => {
+            if (move.type === 'jump') {
+                jumping = true;
+                // Jump flag 0x10 moves the frame without sewing
+                out.int16be(encodePecLong(dx, 0x10));
+                out.int16be(encodePecLong(dy, 0x10));
+                return;
+            }
+            jumping = false;
+            if (dx > -64 && dx < 63 && dy > -64 && dy < 63) {
+                out.byte(dx & 0x7F, dy & 0x7F);
+            } else {
+                out.int16be(encodePecLong(dx, 0));
+                out.int16be(encodePecLong(dy, 0));
+            }
+        });
+    });
+    out.byte(0xFF);
+}
+
+// One 48x38 monochrome thumbnail per color plus one for the whole design
+function writePecIcons(out, plan, colorCount) {
+    const { minX, minY, maxX, maxY } = plan.bounds;
+    const scale = Math.min((PEC_ICON_WIDTH - 6) / Math.max(1, maxX - minX), (PEC_ICON_HEIGHT - 6) / Math.max(1, maxY - minY));
+    const icons = Array.from({ length: colorCount + 1 }, () => new Uint8Array(PEC_ICON_WIDTH / 8 * PEC_ICON_HEIGHT));
+    const plot = (icon, px, py) => {
+        icon[py * (PEC_ICON_WIDTH / 8) + (px >> 3)] |= 1 << (px & 7);
+    };
+
+    let color = 0;
+    plan.stitches.forEach(s => {
+        if (s.type === 'color') { color++; return; }
+        if (s.type !== 'stitch') return;
+        const px = 3 + Math.round((s.x - minX) * scale);
+        const py = 3 + Math.round((s.y - minY) * scale);
+        plot(icons[0], px, py);
+        plot(icons[color + 1], px, py);
+    });
+
+    icons.forEach(icon => {
+        // Frame matches what Brother software draws around the preview
+        for (let px = 1; px < PEC_ICON_WIDTH - 1; px++) {
+            plot(icon, px, 0);
+            plot(icon, px, PEC_ICON_HEIGHT - 1);
+        }
+        for (let py = 1; py < PEC_ICON_HEIGHT - 1; py++) {
+            plot(icon, 0, py);
+            plot(icon, PEC_ICON_WIDTH - 1, py);
+        }
+        icon.forEach(b => out.byte(b));
+    });
+}
+
+export function writePES(plan, name = 'Untitled') {
+    const out = new ByteWriter();
+    const pecOffset = 22;
+    out.ascii('#PES0001');
+    out.int32le(pecOffset);
+    while (out.length < pecOffset) out.byte(0x00);
+
+    // PEC header: label, icon geometry and the thread chart index for every color stop
+    const colors = plan.threads.map(t => nearestPecThread(t.rgb));
+    out.ascii(`LA:${paddedName(name, 16)}\r`);
+    for (let i = 0; i < 12; i++) out.byte(0x20);
+    out.byte(0xFF, 0x00, PEC_ICON_WIDTH / 8, PEC_ICON_HEIGHT);
+    out.byte(0x20, 0x20, 0x20, 0x20, 0x64, 0x20, 0x00, 0x20, 0x00, 0x20, 0x20, 0x20);
+    out.byte(Math.max(0, colors.length - 1), ...colors);
+    for (let i = colors.length; i < 463; i++) out.byte(0x20);
+
+    const { minX, minY, maxX, maxY } = plan.bounds;
+    const blockStart = out.length;
+    out.byte(0x00, 0x00);
+    out.int24le(0); // Block length, patched below
+    out.byte(0x31, 0xFF, 0xF0);
+    out.int16le(Math.round(maxX - minX));
+    out.int16le(Math.round(maxY - minY));
+    out.int16le(0x1E0);
+    out.int16le(0x1B0);
+    out.int16be(0x9000 | (-Math.round(minX) & 0x0FFF));
+    out.int16be(0x9000 | (-Math.round(minY) & 0x0FFF));
+    writePecStitches(out, plan);
+
+    const blockLength = out.length - blockStart;
+    out.bytes[blockStart + 2] = blockLength & 0xFF;
+    out.bytes[blockStart + 3] = (blockLength >> 8) & 0xFF;
+    out.bytes[blockStart + 4] = (blockLength >> 16) & 0xFF;
+
+    writePecIcons(out, plan, colors.length);
+    return out.toUint8Array();
+}
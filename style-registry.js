@@ -0,0 +1,55 @@
+// Style Registry
+// Every style is a single object handed to registerStyle():
+//
+//   {
+//     id: 'embroidery',                   // Value passed to CreativePipeline.processImage
+//     label: 'Embroidery', icon: '🧵',    // Style select entry
+//     buttonText: 'Apply Embroidery Effect',
+//     params: { numColors: { type: 'range', label, help, min, max, step, default }, ... },
+//                                         // type: 'range' (min, max, step, suffix), 'select' (options: [[value, label]]),
+//                                         // 'color' ('#rrggbb'), 'palette' ('#rrggbb,#rrggbb', max entries),
+//                                         // 'text' (placeholder, maxLength), 'boolean' or 'seed'
+//     steps: (pipeline, params, img) => [{ name, fn }],   // Run in order by runPipeline
+//     afterRender: (pipeline, params) => {},              // Optional, e.g. to build export data
+//     svg: (pipeline, params) => '<svg ...>',             // Optional vector version of the render (see svg.js)
+//     legibility: (pipeline, params) => {},               // Optional finish for protected chart text and axis lines,
+//                                                         // defaults to pipeline.overlayLegibleInk()
+//     methodology: '<div>...</div>',                      // "How It Works?" panel
+//     hidden: false,                                      // Registered but not offered in the select
+//     module: import.meta.url                             // Lets the pipeline worker load add-on styles
+//   }
+//
+// The built-in styles live in styles/ and register themselves on import. In-house styles can ship
+// as separate modules the same way: load them with a <script type="module"> after script.js and
+// pass `module: import.meta.url` so the worker can import them too.
+
+const styles = new Map();
+
+export function registerStyle(style) {
+    if (!style || typeof style.id !== 'string' || !style.id) throw new Error('A style needs an id');
+    if (typeof style.steps !== 'function') throw new Error(`Style "${style.id}" needs a steps function`);
+    if (styles.has(style.id)) throw new Error(`Style "${style.id}" is already registered`);
+    styles.set(style.id, {
+        label: style.id,
+        icon: '',
+        buttonText: `Apply ${style.label || style.id}`,
+        params: {},
+        methodology: '',
+        hidden: false,
+        ...style
+    });
+}
+
+export function getStyleDefinition(id) {
+    return styles.get(id) || null;
+}
+
+// Default value of every parameter a style declares
+export function paramDefaults(style) {
+    return Object.fromEntries(Object.entries(style.params).map(([key, param]) => [key, param.default]));
+}
+
+// In registration order, which is the order of the style select
+export function listStyles() {
+    return [...styles.values()];
+}
@@ -0,0 +1,135 @@
+// ASCII / Terminal: brightness mapped to characters in matrix green.
+
+import { registerStyle } from '../style-registry.js';
+import { hexToRgb } from './params.js';
+
+// Emptiest to densest
+const CHARSETS = {
+    classic: ' .:-=+*#%@',
+    detailed: ' .\'`^",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$',
+    blocks: ' ░▒▓█',
+    binary: ' 01'
+};
+
+registerStyle({
+    id: 'ascii',
+    label: 'ASCII / Terminal',
+    icon: '💻',
+    buttonText: 'Generate ASCII Art',
+    params: {
+        columns: {
+            type: 'range', label: 'Columns', min: 40, max: 200, step: 10, default: 100,
+            help: 'Characters per line. More columns keep more detail, fewer read as chunkier art.'
+        },
+        charset: {
+            type: 'select', label: 'Character Set', default: 'classic',
+            options: [
+                ['classic', 'Classic ( .:-=+*#%@)'],
+                ['detailed', 'Detailed (70 characters)'],
+                ['blocks', 'Block shading (░▒▓█)'],
+                ['binary', 'Binary (01)']
+            ],
+            help: 'Characters used for the brightness ramp.'
+        },
+        customChars: {
+            type: 'text', label: 'Custom Characters', default: '', placeholder: 'e.g.  .oO@', maxLength: 100,
+            help: 'Replaces the character set when filled in. List them from emptiest to densest.'
+        },
+        textColor: {
+            type: 'color', label: 'Text Color', default: '#00ff00',
+            help: 'Phosphor green by default; try amber (#ffb000) for an old amber terminal.'
+        },
+        paperMode: {
+            type: 'boolean', label: 'Print on Paper', default: false,
+            help: 'White background with dense characters in the dark areas, like a line-printer printout.'
+        }
+    },
+    steps: (p, params, img) => [
+        {
+            name: 'Converting to ASCII...',
+            fn: () => p.renderASCII(img, {
+                cols: params.columns,
+                charset: params.customChars || CHARSETS[params.charset],
+                color: params.textColor,
+                invert: params.paperMode
+            })
+        }
+    ],
+    legibility: (p, params) => p.overlayLegibleInk(() => hexToRgb(params.textColor)),
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyAscii">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#aStep1">Step 1: Resolution Downsampling</button></h2>
+                <div id="aStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyAscii">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Fixed-Column Aspect-Ratio Correction</p>
+                        <p>Reduces image to character-grid resolution:</p>
+                        <ul>
+                            <li>Target columns: the Columns setting (100 by default)</li>
+                            <li>Character width: charW = imageWidth / columns</li>
+                            <li>Rows calculation: rows = floor(imageHeight / charW × 0.5)</li>
+                            <li><strong>0.5 multiplier:</strong> Compensates for character aspect ratio (characters are ~2× taller than wide)</li>
+                            <li>Downsamples image to columns×rows using Canvas drawImage()</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates low-resolution version where each pixel will map to one character.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#aStep2">Step 2: Brightness-to-Character Mapping</button></h2>
+                <div id="aStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyAscii">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Luminance-Based Character Selection</p>
+                        <p>Maps pixel brightness to ASCII characters with increasing visual density:</p>
+                        <ul>
+                            <li>Character set: " .:-=+*#%@" by default (10 characters, light to dark), or a detailed, block, binary or custom set</li>
+                            <li>For each pixel, calculates average brightness: (R + G + B) / 3</li>
+                            <li>Maps brightness [0-255] to a character index: index = floor((brightness/255) × (characters − 1))</li>
+                            <li>Print on Paper inverts the mapping so dark areas get the dense characters</li>
+                            <li><strong>Character density progression:</strong>
+                                <ul>
+                                    <li>Space (lightest): minimal ink</li>
+                                    <li>. : - = + (increasing density)</li>
+                                    <li>* # % @ (darkest): maximum ink coverage</li>
+                                </ul>
+                            </li>
+                        </ul>
+                        <p><strong>Effect:</strong> Bright areas use sparse characters, dark areas use dense characters, creating tonal variation.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#aStep3">Step 3: Terminal-Style Rendering</button></h2>
+                <div id="aStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyAscii">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Canvas Text Rendering with Monospace Font</p>
+                        <p>Renders characters in retro terminal aesthetic:</p>
+                        <ul>
+                            <li>Background: Pure black (#000000) - simulates CRT screen (white in Print on Paper mode)</li>
+                            <li>Text color: Bright green (#00ff00) by default - classic "Matrix" / terminal green phosphor</li>
+                            <li>Font: Monospace at size charW × 1.5 (ensures characters fill space)</li>
+                            <li>Vertical spacing: charW × 2 (accounts for character aspect ratio)</li>
+                            <li>textBaseline: 'top' for precise positioning</li>
+                            <li>Each character drawn at grid position (x × charW, y × charW × 2)</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates authentic retro computer terminal or "Matrix" digital rain aesthetic.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#aStep4">Historical Context</button></h2>
+                <div id="aStep4" class="accordion-collapse collapse" data-bs-parent="#methodologyAscii">
+                    <div class="accordion-body">
+                        <p><strong>ASCII Art History:</strong></p>
+                        <ul>
+                            <li><strong>1960s-70s:</strong> Used in early computer systems with no graphics capability (teletypes, line printers)</li>
+                            <li><strong>BBS Era (1980s):</strong> Popular in bulletin board systems and early internet</li>
+                            <li><strong>Modern Usage:</strong> Retro aesthetic, terminal UIs, accessibility</li>
+                        </ul>
+                        <p><strong>Character Selection:</strong> Our character set is optimized for visual density progression. Alternative sets with up to 70 characters exist for more detailed gradations.</p>
+    <p><strong>Green Phosphor:</strong> The #00ff00 color mimics P1 phosphor used in early monochrome CRT terminals (IBM 3270, VT100).</p>
+                    </div>
+                </div >
+            </div >
+        </div > `
+});
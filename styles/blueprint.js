@@ -0,0 +1,68 @@
+// Architectural Blueprint: white edge lines on blueprint blue with a technical grid.
+
+import { registerStyle } from '../style-registry.js';
+
+registerStyle({
+    id: 'blueprint',
+    label: 'Architectural Blueprint',
+    icon: '📐',
+    buttonText: 'Apply Blueprint Style',
+    steps: (p) => [
+        { name: 'Detecting edges...', fn: () => p.applyEdgeDetection(p.imageData) },
+        { name: 'Applying blueprint style...', fn: () => p.applyBlueprintColor(p.imageData) },
+        { name: 'Drawing technical grid...', fn: () => p.drawBlueprintGrid(p.imageData) }
+    ],
+    legibility: p => p.overlayLegibleInk(() => [240, 240, 255]), // Lettering in the line color
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyBlueprint">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#bStep1">Step 1: Sobel Edge Detection</button></h2>
+                <div id="bStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyBlueprint">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Sobel Operator (Gradient-Based Edge Detection)</p>
+                        <p>Extracts structural outlines from the chart using convolution kernels:</p>
+                        <ul>
+                            <li><strong>Horizontal Gradient (Gx):</strong> Applies kernel [-1, 0, +1; -2, 0, +2; -1, 0, +1]</li>
+                            <li><strong>Vertical Gradient (Gy):</strong> Applies kernel [-1, -2, -1; 0, 0, 0; +1, +2, +1]</li>
+                            <li>Calculates gradient magnitude: G = √(Gx² + Gy²)</li>
+                            <li>Applies threshold (50): pixels with G > 50 become white (255), others black (0)</li>
+                            <li>Converts to grayscale using luminance: 0.299R + 0.587G + 0.114B</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Isolates important structural lines (chart axes, data lines, labels) while removing fill colors and backgrounds.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#bStep2">Step 2: Blueprint Color Inversion</button></h2>
+                <div id="bStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyBlueprint">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Conditional Color Mapping</p>
+                        <p>Applies the iconic blueprint color scheme (white lines on blue background):</p>
+                        <ul>
+                            <li><strong>Edge pixels (value > 128):</strong> Mapped to near-white with blue tint → RGB(240, 240, 255)</li>
+                            <li><strong>Background pixels (value ≤ 128):</strong> Mapped to blueprint blue → RGB(0, 68, 204) = #0044cc</li>
+                            <li>Mimics traditional cyanotype/blueprint printing process</li>
+                            <li>High contrast ensures readability of technical details</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates authentic architectural/engineering blueprint appearance with characteristic Prussian blue background.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#bStep3">Step 3: Technical Grid Overlay</button></h2>
+                <div id="bStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyBlueprint">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Fixed-Interval Grid Drawing</p>
+                        <p>Adds measurement grid lines typical of technical drawings:</p>
+                        <ul>
+                            <li>Grid spacing: 50 pixels (fixed interval)</li>
+                            <li>For coordinates where x % 50 == 0 OR y % 50 == 0, brightens pixel by +30</li>
+                            <li>Creates subtle grid that doesn't overpower main content</li>
+                            <li>Simulates graph paper or measurement reference lines</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Enhances technical/architectural aesthetic and provides visual reference grid for measurements.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
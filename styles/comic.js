@@ -0,0 +1,86 @@
+// Comic Book: flat inks, bold outlines and Ben-Day dots.
+
+import { registerStyle } from '../style-registry.js';
+import { numColors, pinnedColors, quantizer, colorSpace, dither, threadThickness, threadCatalog } from './params.js';
+import { svgDocument, rgbFill, circles, traceIndexRegions } from '../svg.js';
+
+registerStyle({
+    id: 'comic',
+    label: 'Comic Book',
+    icon: '💥',
+    buttonText: 'Apply Comic Book Effect',
+    params: {
+        numColors: numColors({ label: 'Ink Palette', help: 'Limits colors to a comic-style palette.' }),
+        pinnedColors: pinnedColors(),
+        quantizer: quantizer(),
+        colorSpace: colorSpace(),
+        dither: dither(),
+        threadThickness: threadThickness({ label: 'Dot Size', help: 'Controls Ben-Day dot size.' }),
+        threadCatalog: threadCatalog()
+    },
+    steps: (p, params) => [
+        { name: 'Quantizing colors...', fn: () => p.quantizeColors(p.imageData, params.numColors, params) },
+        { name: 'Adding bold outlines...', fn: () => p.applyBoldOutlines(p.imageData) },
+        { name: 'Creating halftone dots...', fn: () => p.applyComicDots(p.imageData, params.threadThickness) }
+    ],
+    // Flat inks traced from the quantized regions, inked outlines, then the Ben-Day dots on top
+    svg: (p) => {
+        const { palette, width, height } = p.quantized;
+        const regions = traceIndexRegions(p, p.quantized);
+        return svgDocument(width, height, [
+            ...regions.map(({ index, d }) => `<path fill="${rgbFill(palette[index])}" d="${d}"/>`),
+            `<path fill="none" stroke="#000000" stroke-width="${1.5 * p.scale}" stroke-linejoin="round" d="${regions.map(r => r.d).join('')}"/>`,
+            `<g fill="#000000">${circles(p.vectorLayers.comicDots || [])}</g>`
+        ].join('\n'));
+    },
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyComic">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#cStep1">Step 1: Color Posterization</button></h2>
+                <div id="cStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyComic">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> K-Means++ Clustering in CIELAB</p>
+                        <p>Creates bold, flat color areas:</p>
+                        <ul>
+                            <li>Reduces to limited palette (Number of Colors parameter)</li>
+                            <li>Typical comic books use 4-8 colors per panel</li>
+                            <li>Eliminates gradients for cel-shaded look</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces flat color regions typical of comic book printing.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#cStep2">Step 2: Bold Ink Outlines</button></h2>
+                <div id="cStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyComic">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Sobel Edge Detection with Threshold</p>
+                        <p>Adds characteristic comic book ink lines:</p>
+                        <ul>
+                            <li>Detects edges using Sobel operator</li>
+                            <li>Threshold at 40 for bold line detection</li>
+                            <li>Draws pure black (RGB 0,0,0) outlines</li>
+                            <li>Mimics hand-inked comic artwork</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates bold black outlines that define shapes and characters.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#cStep3">Step 3: Ben-Day Dots</button></h2>
+                <div id="cStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyComic">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Selective Halftone Dot Placement</p>
+                        <p>Adds vintage comic book printing dots:</p>
+                        <ul>
+                            <li>Only applies to mid-tone areas (brightness 50-200)</li>
+                            <li>Dot size inversely proportional to brightness</li>
+                            <li>Dot spacing controlled by Thread Thickness x 2</li>
+                            <li>Mimics Ben-Day dots used in 1950s-60s comics (Roy Lichtenstein style)</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates authentic vintage comic book aesthetic with visible printing dots for shading.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
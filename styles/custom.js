@@ -0,0 +1,24 @@
+// Custom Pipeline: steps saved in the pipeline editor, run in the user's order.
+// Hidden from the style select; saved pipelines are listed there by name instead.
+
+import { registerStyle } from '../style-registry.js';
+import { PIPELINE_STEPS, stepValues } from '../pipeline-steps.js';
+import { seed } from './params.js';
+
+registerStyle({
+    id: 'custom',
+    label: 'Custom Pipeline',
+    icon: '🧩',
+    buttonText: 'Apply Custom Pipeline',
+    hidden: true,
+    params: {
+        seed: seed()
+    },
+    // params.customSteps: [{ id, params }] built in the pipeline editor from PIPELINE_STEPS
+    steps: (p, params) => (params.customSteps || []).map(({ id, params: saved }) => {
+        const step = PIPELINE_STEPS[id];
+        if (!step) throw new Error(`Unknown pipeline step "${id}"`);
+        const values = stepValues(id, saved);
+        return { name: `${step.label}...`, fn: () => step.run(p, values) };
+    })
+});
@@ -0,0 +1,207 @@
+// Embroidery: quantized thread colors, directional stitches, fraying, fabric texture and 3D shading,
+// or every satin column and fill row drawn stitch by stitch, optionally on a visible base cloth.
+
+import { registerStyle } from '../style-registry.js';
+import { numColors, pinnedColors, quantizer, colorSpace, dither, threadThickness, spreadAmount, brightness, threadCatalog, seed, hexToRgb } from './params.js';
+import { FABRICS } from '../fabric.js';
+
+registerStyle({
+    id: 'embroidery',
+    label: 'Embroidery',
+    icon: '🧵',
+    buttonText: 'Apply Embroidery Effect',
+    params: {
+        numColors: numColors(),
+        pinnedColors: pinnedColors(),
+        quantizer: quantizer(),
+        colorSpace: colorSpace(),
+        dither: dither(),
+        renderer: {
+            type: 'select', label: 'Stitch Rendering', default: 'blur',
+            options: [['blur', 'Classic (soft thread blur)'], ['stitches', 'Individual stitches (satin and fill)']],
+            help: 'Individual stitches draws every satin column and fill row thread by thread, with sheen and shadows. It holds up in close-ups but takes longer.'
+        },
+        stitchLength: {
+            type: 'range', label: 'Stitch Length', min: 4, max: 24, step: 2, default: 10, suffix: 'px',
+            help: 'Length of fill stitches when drawing individual stitches. Regions up to twice as wide become satin columns instead.'
+        },
+        stitchAngle: {
+            type: 'range', label: 'Fill Angle', min: 0, max: 165, step: 15, default: 45, suffix: '°',
+            help: 'Direction of fill stitches when drawing individual stitches. Satin columns always run across their shape.'
+        },
+        fabric: {
+            type: 'select', label: 'Fabric', default: 'classic',
+            options: [['classic', 'None (fully stitched)'], ...FABRICS, ['photo', 'Uploaded photo']],
+            help: 'Leaves the background unstitched so the cloth shows, with the stitches on top casting a shadow. "Uploaded photo" tiles your own fabric photo, chosen with "Use Fabric Photo" below the parameters.'
+        },
+        fabricColor: {
+            type: 'color', label: 'Fabric Color', default: '#e8dfcc',
+            help: 'Color of the woven or felt cloth. Denim dyes its diagonal warp threads with it; the weft stays white.'
+        },
+        threadThickness: threadThickness(),
+        spreadAmount: spreadAmount({ help: 'Adds random pixel displacement for frayed edges. With individual stitches it makes fill stitch ends uneven instead.' }),
+        brightness: brightness(),
+        threadCatalog: threadCatalog(),
+        seed: seed()
+    },
+    steps: (p, params) => {
+        const cloth = params.fabric !== 'classic';
+        const steps = params.renderer === 'stitches' ? [
+            { name: 'Quantizing colors...', fn: () => p.quantizeColors(p.imageData, params.numColors, params) },
+            ...(cloth ? [{ name: 'Finding the bare fabric...', fn: () => p.markCloth() }] : []),
+            { name: 'Laying stitches...', fn: () => p.renderStitches(p.imageData, { ...params, spread: params.spreadAmount }) },
+            { name: 'Boosting colors...', fn: () => p.applyColorBoost(p.imageData, params.brightness, 105) }
+        ] : [
+            { name: 'Quantizing colors...', fn: () => p.quantizeColors(p.imageData, params.numColors, params) },
+            ...(cloth ? [{ name: 'Finding the bare fabric...', fn: () => p.markCloth(p.imageData, params.fabric, hexToRgb(params.fabricColor)) }] : []),
+            { name: 'Applying thread pattern...', fn: () => p.applyThreadPattern(p.imageData, params.threadThickness) },
+            { name: 'Spreading pixels...', fn: () => p.applySpread(p.imageData, params.spreadAmount) },
+            // On a chosen cloth the threads only get grain; the generic weave would show through them
+            cloth
+                ? { name: 'Adding thread grain...', fn: () => p.applyFabricTexture(p.imageData, { weave: false }) }
+                : { name: 'Adding fabric texture...', fn: () => p.applyFabricTexture(p.imageData) },
+            { name: 'Applying 3D shading...', fn: () => p.apply3DShading(p.imageData) },
+            { name: 'Boosting colors...', fn: () => p.applyColorBoost(p.imageData, params.brightness, 105) }
+        ];
+        // Last, so the color boost leaves the fabric color as chosen
+        if (cloth) steps.push({ name: 'Laying the stitches on the fabric...', fn: () => p.applyFabric(p.imageData, params.fabric, hexToRgb(params.fabricColor)) });
+        return steps;
+    },
+    legibility: p => p.stitchLegibleInk(),
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyAccordion">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#step1">Step 1: K-Means Color Quantization</button></h2>
+                <div id="step1" class="accordion-collapse collapse show" data-bs-parent="#methodologyAccordion">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> K-Means++ Clustering in CIELAB (median cut and octree optional)</p>
+                        <p>The image is reduced to a limited color palette (controlled by "Number of Colors" parameter) to simulate embroidery thread colors. The algorithm:</p>
+                        <ul>
+                            <li>Samples every 4th pixel for performance optimization</li>
+                            <li>Seeds the clusters with k-means++: each new seed is drawn with probability proportional to its squared distance from the seeds already chosen, so small but distinct series colors get a cluster of their own</li>
+                            <li>Pinned colors become fixed centroids that always stay in the palette; the clustering only fills the remaining slots</li>
+                            <li>Iterates until no centroid moves by more than half a unit (at most 30 rounds); empty clusters move to the worst-fitting color instead of turning black</li>
+                            <li>Measures color differences in CIELAB by default, which follows human perception more closely than RGB distance</li>
+                            <li>Replaces all pixels with the nearest palette color, optionally dithered (Floyd–Steinberg error diffusion or a 4×4 Bayer pattern) to suggest gradients</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates distinct color regions that mimic limited thread palette availability.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step2">Step 2: Directional Thread Pattern Simulation</button></h2>
+                <div id="step2" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Horizontal Box Blur Convolution</p>
+                        <p>Simulates the linear nature of embroidery stitches by applying a horizontal averaging filter:</p>
+                        <ul>
+                            <li>For each pixel, averages colors within a horizontal window of ±threadThickness pixels</li>
+                            <li>Creates directional blur that mimics parallel thread lines</li>
+                            <li>Preserves vertical edges while softening horizontal transitions</li>
+                            <li>Thread Thickness parameter (1-5) controls the stitch width</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces characteristic linear texture of embroidered fabric with visible stitch direction.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step2b">Step 2 (Individual Stitches): Satin and Fill Stitch Geometry</button></h2>
+                <div id="step2b" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Per-Region Stitch Layout with Cylinder Thread Shading</p>
+                        <p>With "Stitch Rendering" set to individual stitches, this step replaces Steps 2 to 5 and draws the threads one by one:</p>
+                        <ul>
+                            <li>Splits the quantized image into connected regions of one color and measures each pixel's distance to the region edge (two-pass chamfer transform)</li>
+                            <li>Regions whose typical width (four times the mean edge distance) is at most twice the stitch length become satin: each stitch spans the whole column, laid across the region's long axis from its second moments</li>
+                            <li>Wider regions get fill stitches of the chosen length and angle, with the needle points staggered by a third of a stitch on every row as in machine tatami; Spread makes the stitch ends uneven</li>
+                            <li>Each thread is lit as a cylinder from the top left: Lambertian shading across the thread, a Blinn-Phong sheen highlight (stronger on long satin floats) and a slight ply twist</li>
+                            <li>Shadows fall between neighboring threads, where fill stitches dip into the fabric and along region edges; per-stitch brightness varies a little, hashed from the seed</li>
+                            <li>Thin threads are sampled 2×2 per pixel to keep their edges smooth</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Close-ups show real satin columns and fill rows with light catching each stitch, instead of a blurred image.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step3">Step 3: Pixel Displacement (Fraying)</button></h2>
+                <div id="step3" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Stochastic Pixel Redistribution</p>
+                        <p>Adds organic imperfection by randomly displacing pixels:</p>
+                        <ul>
+                            <li>Each pixel is randomly offset by ±spreadAmount in both X and Y directions</li>
+                            <li>Uses uniform random distribution: offset = random(-spread, +spread)</li>
+                            <li>Clamps coordinates to image boundaries to prevent artifacts</li>
+                            <li>Spread Amount parameter (1-5) controls fraying intensity</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Breaks up perfectly straight edges, simulating thread irregularity and fabric texture.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step4">Step 4: Gaussian Noise Fabric Texture</button></h2>
+                <div id="step4" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Additive Gaussian Noise</p>
+                        <p>Simulates fabric weave texture by adding controlled random noise:</p>
+                        <ul>
+                            <li>Generates random noise value: noise = (random() - 0.5) × 30</li>
+                            <li>Adds noise uniformly to all RGB channels: R/G/B += noise</li>
+                            <li>Clamps values to valid range [0, 255]</li>
+                            <li>Creates subtle brightness variations mimicking fabric grain</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Adds organic texture that prevents the image from looking too digital or flat.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step5">Step 5: 3D Emboss Shading</button></h2>
+                <div id="step5" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Vertical Gradient-Based Embossing</p>
+                        <p>Creates depth perception by simulating raised thread surfaces:</p>
+                        <ul>
+                            <li>Calculates vertical gradient: dy = grayscale(bottom_pixel) - grayscale(top_pixel)</li>
+                            <li>Grayscale conversion uses luminance formula: 0.299R + 0.587G + 0.114B</li>
+                            <li>Applies shading factor: color += dy × 0.5</li>
+                            <li>Positive gradients (darker below) create highlights; negative create shadows</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces 3D appearance with threads appearing to rise from the fabric surface.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step6">Step 6: Color Brightness Enhancement</button></h2>
+                <div id="step6" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Linear RGB Scaling</p>
+                        <p>Compensates for darkening from previous steps and enhances vibrancy:</p>
+                        <ul>
+                            <li>Multiplies each RGB channel by brightness factor: RGB × (brightness/100)</li>
+                            <li>Brightness parameter (80-120%) controls final luminosity</li>
+                            <li>Restores color intensity lost during texture processing</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces vibrant, saturated colors typical of embroidery thread while maintaining the textured appearance.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#step7">Step 7 (Fabric): Base Cloth and Stitch Shadows</button></h2>
+                <div id="step7" class="accordion-collapse collapse" data-bs-parent="#methodologyAccordion">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Procedural Weaves Under a Stitch Mask</p>
+                        <p>With a fabric chosen, the background is left unstitched and the cloth shows through it:</p>
+                        <ul>
+                            <li>Right after quantizing, the palette color that dominates the image border is marked as bare cloth, along with thin anti-aliased rims whose color is a mix of the background and the shape next to them</li>
+                            <li>Linen and canvas are plain weaves of round threads passing over and under each other, linen with uneven slubs; denim is a 3/1 twill whose dyed warp forms diagonals over a white weft</li>
+                            <li>Felt has no weave: soft cloudy density, fine grain and short stray fibers; Aida cloth has raised square blocks with holes at their corners, as used for cross-stitch</li>
+                            <li>An uploaded photo is tiled instead, so it should repeat seamlessly at its edges</li>
+                            <li>On the classic renderer the stitched areas skip Step 4's generic weave and only get its fine grain, so no second cloth shows through the threads</li>
+                            <li>The stitched areas cast a blurred shadow down and to the right onto the cloth</li>
+                        </ul>
+                        <p><strong>Effect:</strong> The embroidery looks stitched onto a real piece of fabric rather than filling the whole frame.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
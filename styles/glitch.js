@@ -0,0 +1,50 @@
+// Glitch / VHS: channel shifts, displaced slices and scanlines.
+
+import { registerStyle } from '../style-registry.js';
+import { threadThickness, spreadAmount, brightness, seed } from './params.js';
+
+registerStyle({
+    id: 'glitch',
+    label: 'Glitch / VHS',
+    icon: '📼',
+    buttonText: 'Apply Glitch / VHS',
+    params: {
+        threadThickness: threadThickness({ label: 'Scanline Density', help: 'Controls scanline spacing.' }),
+        spreadAmount: spreadAmount({ label: 'Glitch Amount', help: 'Controls slice displacement and RGB offset.' }),
+        brightness: brightness({ label: 'Signal Boost', help: 'Boosts VHS signal intensity.' }),
+        seed: seed()
+    },
+    steps: (p, params) => [
+        { name: 'Shifting RGB channels...', fn: () => p.applyChannelShift(p.imageData, params.spreadAmount) },
+        { name: 'Displacing scan slices...', fn: () => p.applyGlitchSlices(p.imageData, params.spreadAmount) },
+        { name: 'Adding scanlines...', fn: () => p.applyScanlines(p.imageData, params.threadThickness) },
+        { name: 'Boosting signal...', fn: () => p.applyColorBoost(p.imageData, params.brightness, 105) }
+    ],
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyGlitch">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#gStep1">Step 1: RGB Channel Shift</button></h2>
+                <div id="gStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyGlitch">
+                    <div class="accordion-body">
+                        <p>Offsets red/green/blue channels by a few pixels to create chromatic tearing.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#gStep2">Step 2: Horizontal Slice Distortion</button></h2>
+                <div id="gStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyGlitch">
+                    <div class="accordion-body">
+                        <p>Random horizontal bands are displaced to mimic VHS tracking errors.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#gStep3">Step 3: Scanlines</button></h2>
+                <div id="gStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyGlitch">
+                    <div class="accordion-body">
+                        <p>Adds subtle scanlines and boosts signal intensity.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
@@ -0,0 +1,79 @@
+// Pop-Art Halftone: brightness rendered as black dots on white.
+
+import { registerStyle } from '../style-registry.js';
+import { threadThickness } from './params.js';
+import { svgDocument, circles } from '../svg.js';
+
+registerStyle({
+    id: 'halftone',
+    label: 'Pop-Art Halftone',
+    icon: '📰',
+    buttonText: 'Apply Halftone Effect',
+    params: {
+        threadThickness: threadThickness({ label: 'Dot Size', help: 'Controls halftone dot size and spacing.' })
+    },
+    steps: (p, params, img) => {
+        const dotSize = Math.max(4, params.threadThickness * 2 + 2);
+        return [
+            { name: 'Generating halftone dots...', fn: () => p.renderHalftone(img, dotSize) }
+        ];
+    },
+    svg: (p) => {
+        const { width, height } = p.imageData;
+        return svgDocument(width, height,
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>\n<g fill="#000000">${circles(p.vectorLayers.halftone)}</g>`);
+    },
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyHalftone">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#hStep1">Step 1: Block-Based Brightness Sampling</button></h2>
+                <div id="hStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyHalftone">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Spatial Averaging with Luminance Calculation</p>
+                        <p>Analyzes local brightness to determine dot sizes:</p>
+                        <ul>
+                            <li>Divides image into blocks of size: dotSize = max(4, threadThickness × 2 + 2)</li>
+                            <li>For each block, calculates average grayscale value of all pixels</li>
+                            <li>Grayscale formula: 0.299R + 0.587G + 0.114B (perceptual luminance)</li>
+                            <li>Average brightness determines dot size for that region</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates brightness map that will control halftone dot distribution.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#hStep2">Step 2: Amplitude-Modulated Dot Generation</button></h2>
+                <div id="hStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyHalftone">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Inverse Brightness-to-Radius Mapping</p>
+                        <p>Renders halftone dots with sizes inversely proportional to brightness:</p>
+                        <ul>
+                            <li>Clears canvas to white (#ffffff) - represents paper</li>
+                            <li>For each block, calculates dot radius: r = (dotSize/2) × (1 - brightness/255)</li>
+                            <li><strong>Dark areas (low brightness):</strong> Large dots (r approaches dotSize/2)</li>
+                            <li><strong>Light areas (high brightness):</strong> Small dots (r approaches 0)</li>
+                            <li>Draws filled circles at block centers using black ink (#000000)</li>
+                            <li>Uses Canvas arc() method for perfect circular dots</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Recreates newspaper/magazine printing technique where tonal variation is achieved through dot size modulation, not color change. Mimics CMYK printing process (single color channel).</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#hStep3">Technical Details</button></h2>
+                <div id="hStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyHalftone">
+                    <div class="accordion-body">
+                        <p><strong>Halftone Printing Background:</strong></p>
+                        <p>This effect simulates the AM (Amplitude Modulated) halftone screening used in traditional offset printing and pop art (Roy Lichtenstein style):</p>
+                        <ul>
+                            <li>Dots are evenly spaced (frequency-modulated would vary spacing)</li>
+                            <li>Only dot size changes to represent tonal values</li>
+                            <li>Typical screen frequencies: 65-150 LPI (lines per inch) in printing</li>
+                            <li>Our implementation uses pixel-based spacing controlled by Thread Thickness</li>
+                        </ul>
+                        <p><strong>Visual Perception:</strong> When viewed from distance, human eye integrates dots into continuous tones due to spatial averaging in visual cortex.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
@@ -0,0 +1,17 @@
+// Built-in styles, imported in the order they appear in the style select
+
+import './embroidery.js';
+import './pixel.js';
+import './blueprint.js';
+import './halftone.js';
+import './oil.js';
+import './ascii.js';
+import './watercolor.js';
+import './stainedglass.js';
+import './mosaic.js';
+import './neon.js';
+import './sketch.js';
+import './comic.js';
+import './woodcut.js';
+import './glitch.js';
+import './custom.js';
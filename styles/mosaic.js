@@ -0,0 +1,87 @@
+// Mosaic Tiles: square tiles with bevels and grout.
+
+import { registerStyle } from '../style-registry.js';
+import { threadThickness, hexToRgb } from './params.js';
+import { svgDocument, rgbFill } from '../svg.js';
+
+const BEVEL = '<linearGradient id="bevel" x1="0" y1="0" x2="1" y2="1">'
+    + '<stop offset="0" stop-color="#ffffff" stop-opacity="0.2"/><stop offset="1" stop-color="#000000" stop-opacity="0.2"/>'
+    + '</linearGradient>';
+
+registerStyle({
+    id: 'mosaic',
+    label: 'Mosaic Tiles',
+    icon: '🧱',
+    buttonText: 'Apply Mosaic Tiles Effect',
+    params: {
+        threadThickness: threadThickness({ label: 'Tile Size', help: 'Controls the size of mosaic tiles.' }),
+        groutWidth: {
+            type: 'range', label: 'Grout Width', min: 0, max: 6, step: 1, default: 2, suffix: ' px',
+            help: 'Width of the cement lines between tiles. 0 butts the tiles together.'
+        },
+        groutColor: {
+            type: 'color', label: 'Grout Color', default: '#c8c8c8',
+            help: 'Light gray by default; dark grout makes bright tiles stand out.'
+        }
+    },
+    steps: (p, params, img) => {
+        const tileSize = Math.max(8, params.threadThickness * 3);
+        return [
+            { name: 'Creating tile blocks...', fn: () => p.createTiles(img, tileSize) },
+            { name: 'Adding grout lines...', fn: () => p.applyGrout(p.imageData, tileSize, params.groutWidth, hexToRgb(params.groutColor)) }
+        ];
+    },
+    // Grout is the background showing between tiles inset by the grout width
+    svg: (p, params) => {
+        const { width, height } = p.imageData;
+        const { tileSize, tiles } = p.vectorLayers.tiles;
+        const gw = p.scaled(params.groutWidth, 0), size = tileSize - gw;
+        const colored = [], bevels = [];
+        for (let i = 0; i < tiles.length; i += 5) {
+            const rect = `x="${tiles[i] + gw}" y="${tiles[i + 1] + gw}" width="${size}" height="${size}"`;
+            colored.push(`<rect ${rect} fill="${rgbFill([tiles[i + 2], tiles[i + 3], tiles[i + 4]])}"/>`);
+            bevels.push(`<rect ${rect}/>`);
+        }
+        return svgDocument(width, height, [
+            `<rect width="${width}" height="${height}" fill="${params.groutColor}"/>`,
+            `<g>${colored.join('')}</g>`,
+            `<g fill="url(#bevel)">${bevels.join('')}</g>`
+        ].join('\n'), BEVEL);
+    },
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyMosaic">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#mStep1">Step 1: Tile Block Creation</button></h2>
+                <div id="mStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyMosaic">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Grid-Based Color Sampling with Gradient Overlay</p>
+                        <p>Creates individual mosaic tiles:</p>
+                        <ul>
+                            <li>Tile size = max(8, Thread Thickness x 3)</li>
+                            <li>Samples color from center of each tile region</li>
+                            <li>Fills entire tile with sampled color</li>
+                            <li>Applies diagonal gradient: white (20% opacity) to black (20% opacity)</li>
+                            <li>Creates 3D beveled appearance on each tile</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces individual colored tiles with subtle 3D depth.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#mStep2">Step 2: Grout Lines</button></h2>
+                <div id="mStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyMosaic">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Modulo-Based Grid Drawing</p>
+                        <p>Adds grout (cement) between tiles:</p>
+                        <ul>
+                            <li>Grout lines of the chosen width (2 pixels by default)</li>
+                            <li>Drawn at tile boundaries using modulo operation</li>
+                            <li>Grout color of your choice (light gray, RGB 200,200,200, by default)</li>
+                            <li>Separates all tiles uniformly</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates authentic mosaic appearance with visible grout lines, mimicking Roman or Byzantine mosaics.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
@@ -0,0 +1,78 @@
+// Neon Glow: glowing edges on a dark background.
+
+import { registerStyle } from '../style-registry.js';
+import { brightness, hexToRgb } from './params.js';
+
+registerStyle({
+    id: 'neon',
+    label: 'Neon Glow',
+    icon: '✨',
+    buttonText: 'Apply Neon Glow Effect',
+    params: {
+        brightness: brightness({ label: 'Glow Intensity', help: 'Amplifies the neon glow strength.' }),
+        outerColor: {
+            type: 'color', label: 'Outer Glow Color', default: '#ff64ff',
+            help: 'Color of the wide halo around each tube.'
+        },
+        innerColor: {
+            type: 'color', label: 'Inner Glow Color', default: '#64ffff',
+            help: 'Color of the tight glow around the white-hot core.'
+        }
+    },
+    steps: (p, params) => [
+        { name: 'Detecting edges...', fn: () => p.applyEdgeDetection(p.imageData) },
+        { name: 'Creating neon glow...', fn: () => p.applyNeonGlow(p.imageData, params.brightness, hexToRgb(params.outerColor), hexToRgb(params.innerColor)) },
+        { name: 'Adding dark background...', fn: () => p.applyDarkBackground(p.imageData) }
+    ],
+    legibility: (p, params) => p.overlayLegibleInk(() => hexToRgb(params.innerColor)),
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyNeon">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#nStep1">Step 1: Edge Detection</button></h2>
+                <div id="nStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyNeon">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Sobel Operator</p>
+                        <p>Isolates edges that will become neon tubes:</p>
+                        <ul>
+                            <li>Applies Sobel gradient detection</li>
+                            <li>Threshold at 50 for edge/non-edge classification</li>
+                            <li>Converts to binary: white edges, black background</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Extracts line art that will be transformed into glowing neon.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#nStep2">Step 2: Glow Generation</button></h2>
+                <div id="nStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyNeon">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Radial Gradient Blur with Distance Falloff</p>
+                        <p>Creates neon tube glow effect:</p>
+                        <ul>
+                            <li>For each bright pixel (value greater than 128), creates glow halo</li>
+                            <li>Glow radius: 5 pixels</li>
+                            <li>Falloff function: intensity = max(0, 1 - distance/radius)</li>
+                            <li>Glow colors: a magenta outer halo and a cyan inner glow by default, both adjustable</li>
+                            <li>Multiple overlapping glows create bright core with soft edges</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces characteristic neon tube glow with bright center fading to darkness.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#nStep3">Step 3: Dark Background</button></h2>
+                <div id="nStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyNeon">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Conditional Darkening</p>
+                        <p>Creates night-time neon sign aesthetic:</p>
+                        <ul>
+                            <li>Identifies dark pixels (all RGB channels less than 50)</li>
+                            <li>Sets to near-black: RGB(10, 10, 20) with slight blue tint</li>
+                            <li>Preserves glowing areas</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Simulates neon signs glowing in darkness, maximizing contrast and visual impact.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
@@ -0,0 +1,85 @@
+// Oil Painting: flow-aligned brush strokes.
+
+import { registerStyle } from '../style-registry.js';
+import { threadThickness, seed } from './params.js';
+
+registerStyle({
+    id: 'oil',
+    label: 'Oil Painting',
+    icon: '🎨',
+    buttonText: 'Apply Oil Painting',
+    params: {
+        threadThickness: threadThickness({ label: 'Brush Size', help: 'Sets the width of each oil stroke.' }),
+        seed: seed()
+    },
+    steps: (p, params, img) => {
+        const brushSize = Math.max(3, params.threadThickness * 2);
+        return [
+            { name: 'Applying brush strokes...', fn: () => p.renderOilStrokes(img, brushSize) }
+        ];
+    },
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyOil">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#oStep1">Step 1: Color Sampling from Original</button></h2>
+                <div id="oStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyOil">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Direct Pixel Color Extraction</p>
+                        <p>Reads color information from original image to guide brush strokes:</p>
+                        <ul>
+                            <li>Draws original image to canvas and extracts pixel data</li>
+                            <li>Stores complete RGBA array for color lookup</li>
+                            <li>Each brush stroke will sample color from a specific coordinate</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Ensures painted version maintains original color palette and composition.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#oStep2">Step 2: Flow-Guided Stroke Placement</button></h2>
+                <div id="oStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyOil">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Gradient Flow Field + Elliptical Strokes</p>
+                        <p>Orients strokes using a flow field derived from image gradients:</p>
+                        <ul>
+                            <li>Computes local gradient direction (edge flow) from luminance</li>
+                            <li>Uses flow direction as stroke orientation with subtle random jitter</li>
+                            <li>Samples neighborhood colors for natural paint mixing</li>
+                            <li>Draws elliptical strokes aligned to flow for brush-like texture</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Strokes follow structure in the image, creating more natural, painterly motion.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#oStep3">Step 3: Iterative Layering + Impasto</button></h2>
+                <div id="oStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyOil">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Multi-Pass Refinement</p>
+                        <p>Builds texture with multiple passes from large to small strokes:</p>
+                        <ul>
+                            <li>Applies several iterations with decreasing brush size</li>
+                            <li>Overlaps strokes to simulate wet paint blending</li>
+                            <li>Adds light/shadow offsets to mimic impasto ridges</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces richer texture and more physical brush depth.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#oStep4">Artistic Technique Simulation</button></h2>
+                <div id="oStep4" class="accordion-collapse collapse" data-bs-parent="#methodologyOil">
+                    <div class="accordion-body">
+                        <p><strong>Art Historical Context:</strong></p>
+                        <p>This algorithm simulates techniques used by Impressionist and Post-Impressionist painters:</p>
+                        <ul>
+                            <li><strong>Van Gogh:</strong> Thick, directional strokes with visible texture</li>
+                            <li><strong>Monet:</strong> Broken color and loose brushwork</li>
+                            <li><strong>Impasto:</strong> Paint applied thickly enough to stand out from canvas</li>
+                        </ul>
+                        <p>The random orientation and elliptical shape create the characteristic "painterly" quality where individual brush strokes remain visible rather than blending into smooth gradients.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
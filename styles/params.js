@@ -0,0 +1,91 @@
+// Shared Parameter Definitions
+// The controls most styles reuse; each style can relabel them or change the help text per use.
+
+export const numColors = (overrides = {}) => ({
+    type: 'range', label: 'Number of Colors', min: 4, max: 16, step: 1, default: 8,
+    help: 'Reduces your chart to this many thread colors. Fewer colors = more stylized look.',
+    ...overrides
+});
+
+export const quantizer = (overrides = {}) => ({
+    type: 'select', label: 'Color Reduction', default: 'kmeans',
+    options: [
+        ['kmeans', 'K-means++ (closest match)'],
+        ['mediancut', 'Median cut'],
+        ['octree', 'Octree']
+    ],
+    help: 'How the palette is picked. K-means++ settles on the dominant colors; median cut and octree are faster and split the color range more evenly.',
+    ...overrides
+});
+
+export const colorSpace = (overrides = {}) => ({
+    type: 'select', label: 'Color Matching', default: 'lab',
+    options: [['lab', 'Perceptual (CIELAB)'], ['rgb', 'RGB']],
+    help: 'Perceptual matching measures color differences the way the eye sees them, so similar-looking series stay apart. RGB gives the classic look.',
+    ...overrides
+});
+
+export const dither = (overrides = {}) => ({
+    type: 'select', label: 'Dithering', default: 'none',
+    options: [['none', 'None (flat colors)'], ['floyd-steinberg', 'Floyd–Steinberg'], ['ordered', 'Ordered (Bayer)']],
+    help: 'Mixes palette colors in fine patterns to suggest gradients and shading. Leave off for the flat areas stitch files need.',
+    ...overrides
+});
+
+export const pinnedColors = (overrides = {}) => ({
+    type: 'palette', label: 'Pinned Colors', default: '', max: 8,
+    help: 'Brand or series colors that always keep a palette slot of their own. Pick them from the chart or type a hex value; the remaining slots are filled automatically.',
+    ...overrides
+});
+
+export const threadThickness = (overrides = {}) => ({
+    type: 'range', label: 'Thread Thickness', min: 1, max: 5, step: 1, default: 3,
+    help: 'Controls the width of stitches. Higher values create bolder, more visible threads.',
+    ...overrides
+});
+
+export const spreadAmount = (overrides = {}) => ({
+    type: 'range', label: 'Spread (Fraying)', min: 1, max: 5, step: 1, default: 2,
+    help: 'Adds random pixel displacement for frayed edges. Creates a more organic, handmade feel.',
+    ...overrides
+});
+
+export const brightness = (overrides = {}) => ({
+    type: 'range', label: 'Brightness', min: 100, max: 130, step: 5, default: 115, suffix: '%',
+    help: 'Boosts color vibrancy after processing. Restores life to colors dulled by texture effects.',
+    ...overrides
+});
+
+export const threadCatalog = (overrides = {}) => ({
+    type: 'select', label: 'Thread Palette', default: '',
+    options: [
+        ['', 'Free colors (no catalog)'],
+        ['dmc', 'DMC Embroidery Floss'],
+        ['madeira', 'Madeira Polyneon 40'],
+        ['isacord', 'Isacord 40']
+    ],
+    help: 'Snaps each palette color to the closest real thread (CIEDE2000) so you can order it straight from the legend.',
+    ...overrides
+});
+
+export const seed = (overrides = {}) => ({
+    type: 'seed', label: 'Random Seed', default: 1,
+    help: 'Drives every random choice (fraying, texture noise, glitches). The same seed and settings always reproduce the exact same image.',
+    ...overrides
+});
+
+// Color parameters hold '#rrggbb' strings; step functions take [r, g, b]
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+export function rgbToHex(rgb) {
+    return '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+// Palette parameters hold '#rrggbb' entries separated by commas; repeats count once
+export function paletteColors(value) {
+    const hexes = String(value || '').toLowerCase().match(/#[0-9a-f]{6}/g) || [];
+    return [...new Set(hexes)].map(hexToRgb);
+}
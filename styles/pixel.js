@@ -0,0 +1,85 @@
+// Pixel Art / Cross-stitch: blocky downsampling to a limited palette with a stitch grid.
+
+import { registerStyle } from '../style-registry.js';
+import { numColors, pinnedColors, quantizer, colorSpace, dither, threadThickness, threadCatalog } from './params.js';
+
+const blockSizeOf = params => Math.max(2, params.threadThickness * 2);
+
+registerStyle({
+    id: 'pixel',
+    label: 'Pixel Art / Cross-stitch',
+    icon: '👾',
+    buttonText: 'Apply Pixel Art Effect',
+    params: {
+        numColors: numColors({ label: 'Palette Colors', help: 'Limits the palette to a retro color count.' }),
+        pinnedColors: pinnedColors(),
+        quantizer: quantizer(),
+        colorSpace: colorSpace(),
+        dither: dither(),
+        threadThickness: threadThickness({ label: 'Pixel Size', help: 'Controls the size of each pixel block.' }),
+        threadCatalog: threadCatalog()
+    },
+    steps: (p, params, img) => {
+        const blockSize = blockSizeOf(params);
+        return [
+            { name: 'Downsampling resolution...', fn: () => p.pixelate(img, blockSize) },
+            { name: 'Quantizing palette...', fn: () => p.quantizeColors(p.imageData, params.numColors, params) },
+            { name: 'Enhancing grid...', fn: () => p.drawGrid(p.imageData, blockSize) }
+        ];
+    },
+    // One floss color per cell for the printable cross-stitch chart
+    afterRender: (p, params) => {
+        p.stitchGrid = p.buildStitchGrid(blockSizeOf(params));
+    },
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyPixel">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#pStep1">Step 1: Resolution Downsampling (Pixelation)</button></h2>
+                <div id="pStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyPixel">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Nearest-Neighbor Downsampling with Upscaling</p>
+                        <p>Creates the characteristic blocky pixel art aesthetic through aggressive resolution reduction:</p>
+                        <ul>
+                            <li>Calculates block size: blockSize = max(2, threadThickness × 2)</li>
+                            <li>Downsamples to reduced dimensions: newWidth = width / blockSize, newHeight = height / blockSize</li>
+                            <li>Disables image smoothing (imageSmoothingEnabled = false) for sharp edges</li>
+                            <li>Upscales back to original size using nearest-neighbor interpolation</li>
+                            <li>Each "pixel" becomes a solid color block representing multiple original pixels</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Transforms smooth gradients into distinct color blocks, creating retro 8-bit/16-bit game graphics appearance.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#pStep2">Step 2: Palette Quantization</button></h2>
+                <div id="pStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyPixel">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> K-Means++ Color Clustering (same as embroidery)</p>
+                        <p>Further reduces color complexity to match vintage gaming palettes:</p>
+                        <ul>
+                            <li>Applies K-Means clustering to limit colors to "Number of Colors" parameter</li>
+                            <li>Typical retro palettes: 4 colors (Game Boy), 8 colors (NES), 16 colors (EGA)</li>
+                            <li>Creates posterization effect with flat color regions, or classic dither patterns with Dithering turned on</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Mimics hardware color limitations of classic gaming consoles and computers.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#pStep3">Step 3: Grid Line Rendering</button></h2>
+                <div id="pStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyPixel">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Modulo-Based Grid Drawing</p>
+                        <p>Adds visible separation between pixel blocks to enhance the cross-stitch/pixel effect:</p>
+                        <ul>
+                            <li>For each pixel coordinate (x, y), checks if x % blockSize == 0 OR y % blockSize == 0</li>
+                            <li>If true, darkens that pixel by multiplying RGB values by 0.8 (20% darker)</li>
+                            <li>Creates consistent grid lines at block boundaries</li>
+                            <li>Simulates cross-stitch fabric mesh or CRT screen scanlines</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Emphasizes individual "pixels" and adds authentic retro gaming or needlework aesthetic.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
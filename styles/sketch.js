@@ -0,0 +1,67 @@
+// Pencil Sketch: grayscale line work on textured paper.
+
+import { registerStyle } from '../style-registry.js';
+import { seed } from './params.js';
+
+registerStyle({
+    id: 'sketch',
+    label: 'Pencil Sketch',
+    icon: '✏️',
+    buttonText: 'Apply Pencil Sketch Effect',
+    params: {
+        seed: seed()
+    },
+    steps: (p) => [
+        { name: 'Converting to grayscale...', fn: () => p.convertToGrayscale(p.imageData) },
+        { name: 'Detecting sketch lines...', fn: () => p.applySketchLines(p.imageData) },
+        { name: 'Adding paper texture...', fn: () => p.applyPaperTexture(p.imageData) }
+    ],
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologySketch">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#skStep1">Step 1: Grayscale Conversion</button></h2>
+                <div id="skStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologySketch">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Luminance-Based Grayscale</p>
+                        <p>Converts to black and white for pencil effect:</p>
+                        <ul>
+                            <li>Uses perceptual luminance formula: 0.299R + 0.587G + 0.114B</li>
+                            <li>Sets all RGB channels to calculated grayscale value</li>
+                            <li>Removes color information</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates monochrome base for pencil drawing simulation.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#skStep2">Step 2: Sketch Line Detection</button></h2>
+                <div id="skStep2" class="accordion-collapse collapse" data-bs-parent="#methodologySketch">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Color Dodge Blend Mode</p>
+                        <p>Creates pencil stroke appearance using Photoshop-style technique:</p>
+                        <ul>
+                            <li>Inverts grayscale image (negative)</li>
+                            <li>Applies blur to inverted image (radius = 2)</li>
+                            <li>Blends with original using Color Dodge formula: result = min(255, base x 256 / (255 - blend))</li>
+                            <li>Bright areas become white paper, dark edges become pencil lines</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces hand-drawn pencil sketch with varying line weights and shading.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#skStep3">Step 3: Paper Texture</button></h2>
+                <div id="skStep3" class="accordion-collapse collapse" data-bs-parent="#methodologySketch">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Additive Noise (same as watercolor)</p>
+                        <p>Simulates drawing paper grain:</p>
+                        <ul>
+                            <li>Adds subtle random noise to prevent digital smoothness</li>
+                            <li>Slight brightness boost for white paper appearance</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Adds realistic paper texture to complete the hand-drawn look.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
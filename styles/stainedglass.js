@@ -0,0 +1,83 @@
+// Stained Glass: flat glass segments separated by lead lines, with shine.
+
+import { registerStyle } from '../style-registry.js';
+import { numColors, pinnedColors, quantizer, colorSpace, dither, threadCatalog, seed } from './params.js';
+import { svgDocument, rgbFill, traceIndexRegions } from '../svg.js';
+
+registerStyle({
+    id: 'stainedglass',
+    label: 'Stained Glass',
+    icon: '🪟',
+    buttonText: 'Apply Stained Glass Effect',
+    params: {
+        numColors: numColors({ label: 'Glass Pieces', help: 'Controls the number of colored glass segments.' }),
+        pinnedColors: pinnedColors(),
+        quantizer: quantizer(),
+        colorSpace: colorSpace(),
+        dither: dither(),
+        threadCatalog: threadCatalog(),
+        seed: seed()
+    },
+    steps: (p, params) => [
+        { name: 'Creating glass segments...', fn: () => p.quantizeColors(p.imageData, params.numColors, params) },
+        { name: 'Adding lead lines...', fn: () => p.applyLeadLines(p.imageData) },
+        { name: 'Creating glass shine...', fn: () => p.applyGlassShine(p.imageData) }
+    ],
+    // Flat glass pieces traced from the quantized regions, with every outline stroked as lead came
+    svg: (p) => {
+        const { palette, width, height } = p.quantized;
+        const regions = traceIndexRegions(p, p.quantized);
+        const glass = regions.map(({ index, d }) => `<path fill="${rgbFill(palette[index])}" d="${d}"/>`).join('\n');
+        const lead = `<path fill="none" stroke="#141414" stroke-width="${3 * p.scale}" stroke-linejoin="round" d="${regions.map(r => r.d).join('')}"/>`;
+        return svgDocument(width, height, `${glass}\n${lead}`);
+    },
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyStainedGlass">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#sgStep1">Step 1: Glass Segment Creation</button></h2>
+                <div id="sgStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyStainedGlass">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> K-Means++ Color Quantization in CIELAB</p>
+                        <p>Creates distinct colored glass pieces:</p>
+                        <ul>
+                            <li>Reduces image to limited palette (Number of Colors parameter)</li>
+                            <li>Each color represents a separate glass piece</li>
+                            <li>Creates flat color regions like real stained glass</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces bold, vibrant color segments typical of church windows.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#sgStep2">Step 2: Lead Came Lines</button></h2>
+                <div id="sgStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyStainedGlass">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Color Boundary Detection</p>
+                        <p>Adds dark lead lines between glass pieces:</p>
+                        <ul>
+                            <li>Compares each pixel with right and bottom neighbors</li>
+                            <li>Calculates color difference: sum of RGB deltas</li>
+                            <li>If difference exceeds 100, draws black line (RGB 20,20,20)</li>
+                            <li>Simulates lead came (metal framework) in real stained glass</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Creates authentic dark outlines separating colored glass segments.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#sgStep3">Step 3: Glass Reflections</button></h2>
+                <div id="sgStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyStainedGlass">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Stochastic Highlight Generation</p>
+                        <p>Simulates light reflections on glass surface:</p>
+                        <ul>
+                            <li>2% probability per pixel of adding highlight</li>
+                            <li>Adds +80 to all RGB channels for bright spots</li>
+                            <li>Creates random sparkle effect</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Adds realistic glass shine and light reflections.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
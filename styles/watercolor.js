@@ -0,0 +1,70 @@
+// Watercolor: bleeding pigment, paper grain and soft edges.
+
+import { registerStyle } from '../style-registry.js';
+import { threadThickness, spreadAmount, seed } from './params.js';
+
+registerStyle({
+    id: 'watercolor',
+    label: 'Watercolor',
+    icon: '💧',
+    buttonText: 'Apply Watercolor Effect',
+    params: {
+        threadThickness: threadThickness({ label: 'Edge Softness', help: 'Softens watercolor edges and transitions.' }),
+        spreadAmount: spreadAmount({ label: 'Bleed Amount', help: 'Controls pigment diffusion and bleeding.' }),
+        seed: seed()
+    },
+    steps: (p, params) => [
+        { name: 'Applying color bleeding...', fn: () => p.applyColorBleeding(p.imageData, params.spreadAmount) },
+        { name: 'Adding paper texture...', fn: () => p.applyPaperTexture(p.imageData) },
+        { name: 'Creating soft edges...', fn: () => p.applySoftEdges(p.imageData, params.threadThickness) }
+    ],
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyWatercolor">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#wStep1">Step 1: Color Bleeding Simulation</button></h2>
+                <div id="wStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyWatercolor">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Multi-Pass Stochastic Displacement</p>
+                        <p>Simulates watercolor paint bleeding into adjacent areas:</p>
+                        <ul>
+                            <li>Applies pixel spread algorithm 3 times consecutively</li>
+                            <li>Each pass uses 2x the Spread Amount parameter</li>
+                            <li>Creates soft, organic color transitions</li>
+                            <li>Mimics water-based paint diffusion on paper</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Colors blend naturally into each other, creating the characteristic watercolor "bloom" effect.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#wStep2">Step 2: Paper Texture</button></h2>
+                <div id="wStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyWatercolor">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Additive Gaussian Noise with Brightness Boost</p>
+                        <p>Simulates watercolor paper grain:</p>
+                        <ul>
+                            <li>Adds random noise: +/- 7.5 per RGB channel</li>
+                            <li>Applies +10 brightness boost to simulate white paper</li>
+                            <li>Creates subtle texture variations</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Adds organic paper texture and prevents flat digital appearance.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#wStep3">Step 3: Soft Edge Blurring</button></h2>
+                <div id="wStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyWatercolor">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Box Blur Convolution</p>
+                        <p>Creates soft, diffused edges characteristic of watercolor:</p>
+                        <ul>
+                            <li>Applies averaging filter across Thread Thickness radius</li>
+                            <li>Softens all edges uniformly</li>
+                            <li>Removes hard digital boundaries</li>
+                        </ul>
+                        <p><strong>Effect:</strong> Produces dreamy, soft-focus watercolor aesthetic with no sharp edges.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
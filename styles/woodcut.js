@@ -0,0 +1,63 @@
+// Woodcut Print: carved ink threshold with hatching on paper.
+
+import { registerStyle } from '../style-registry.js';
+import { threadThickness, brightness, seed } from './params.js';
+import { svgDocument, traceIndexRegions } from '../svg.js';
+
+// Ink levels written by applyWoodcutThreshold; the paper level is the background
+const LEVEL_FILLS = ['#000000', 'rgb(160,160,160)'];
+
+registerStyle({
+    id: 'woodcut',
+    label: 'Woodcut Print',
+    icon: '🪵',
+    buttonText: 'Apply Woodcut Print',
+    params: {
+        threadThickness: threadThickness({ label: 'Hatch Density', help: 'Controls crosshatch density in carved areas.' }),
+        brightness: brightness({ label: 'Ink Threshold', help: 'Adjusts the cut vs ink balance.' }),
+        seed: seed()
+    },
+    steps: (p, params) => [
+        { name: 'Converting to grayscale...', fn: () => p.convertToGrayscale(p.imageData) },
+        { name: 'Carving ink threshold...', fn: () => p.applyWoodcutThreshold(p.imageData, params.brightness) },
+        { name: 'Adding hatch lines...', fn: () => p.applyWoodcutHatching(p.imageData, params.threadThickness) },
+        { name: 'Adding paper texture...', fn: () => p.applyPaperTexture(p.imageData) }
+    ],
+    svg: (p) => {
+        const levels = p.vectorLayers.woodcut;
+        const inked = traceIndexRegions(p, levels)
+            .filter(({ index }) => LEVEL_FILLS[index])
+            .map(({ index, d }) => `<path fill="${LEVEL_FILLS[index]}" d="${d}"/>`);
+        return svgDocument(levels.width, levels.height,
+            [`<rect width="${levels.width}" height="${levels.height}" fill="rgb(245,245,245)"/>`, ...inked].join('\n'));
+    },
+    methodology: `
+        <div class="accordion accordion-flush" id="methodologyWoodcut">
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#wcStep1">Step 1: Grayscale Carving</button></h2>
+                <div id="wcStep1" class="accordion-collapse collapse show" data-bs-parent="#methodologyWoodcut">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Luminance Thresholding</p>
+                        <p>Converts the image to black/white using a brightness threshold. Lower thresholds produce heavier ink coverage.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#wcStep2">Step 2: Hatch Lines</button></h2>
+                <div id="wcStep2" class="accordion-collapse collapse" data-bs-parent="#methodologyWoodcut">
+                    <div class="accordion-body">
+                        <p><strong>Algorithm:</strong> Directional Crosshatching</p>
+                        <p>Adds angled hatch lines in mid and dark tones to mimic carved grooves.</p>
+                    </div>
+                </div>
+            </div>
+            <div class="accordion-item">
+                <h2 class="accordion-header"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#wcStep3">Step 3: Paper Texture</button></h2>
+                <div id="wcStep3" class="accordion-collapse collapse" data-bs-parent="#methodologyWoodcut">
+                    <div class="accordion-body">
+                        <p>Applies subtle grain so the print feels pressed into paper.</p>
+                    </div>
+                </div>
+            </div>
+        </div>`
+});
@@ -0,0 +1,58 @@
+// SVG Output
+// Helpers for styles built from flat regions, dots and lines to describe their result as vector
+// shapes (see the svg() hook in style-registry.js). Coordinates are image pixels; the viewBox lets
+// the drawing scale to any print or slide size.
+
+const round = v => Math.round(v * 100) / 100;
+
+export const rgbFill = ([r, g, b]) => `rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})`;
+
+export function svgDocument(width, height, body, defs = '') {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n`
+        + `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" shape-rendering="geometricPrecision">\n`
+        + (defs ? `<defs>${defs}</defs>\n` : '')
+        + body
+        + '\n</svg>\n';
+}
+
+// Flat [cx, cy, r, cx, cy, r, ...] list, as recorded by the dot renderers
+export function circles(dots) {
+    const out = [];
+    for (let i = 0; i < dots.length; i += 3) {
+        if (dots[i + 2] < 0.05) continue; // Too small to print
+        out.push(`<circle cx="${round(dots[i])}" cy="${round(dots[i + 1])}" r="${round(dots[i + 2])}"/>`);
+    }
+    return out.join('');
+}
+
+// Traces every region of an index map ({ indices, width, height }) along pixel edges and returns one
+// path per color index, so neighbouring regions share exact borders and leave no hairline gaps.
+// Holes run the other way round, so the default nonzero fill rule keeps them open.
+export function traceIndexRegions(pipeline, { indices, width, height }) {
+    const { labels, regions } = pipeline.labelRegions(indices, width, height);
+    const paths = new Map();
+    regions.forEach(region => {
+        const d = pipeline.traceRegionOutlines(labels, width, height, region)
+            .map(loop => `M${loop.map(([x, y]) => `${x} ${y}`).join('L')}Z`).join('');
+        paths.set(region.color, (paths.get(region.color) || '') + d);
+    });
+    return [...paths.entries()].map(([index, d]) => ({ index, d }));
+}
+
+// Text and axis lines protected by the legibility mode (pipeline.legibleInk), drawn on top in their
+// average color so the vector version stays as readable as the raster one
+export function legibleInkPaths(pipeline) {
+    const { coverage, pixels, width, height } = pipeline.legibleInk;
+    const indices = new Uint8Array(width * height);
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (let i = 0; i < indices.length; i++) {
+        if (coverage[i] < 0.5) continue;
+        indices[i] = 1;
+        for (let c = 0; c < 3; c++) sum[c] += pixels[i * 4 + c];
+        count++;
+    }
+    if (!count) return '';
+    const ink = traceIndexRegions(pipeline, { indices, width, height }).find(r => r.index === 1);
+    return `<path fill="${rgbFill(sum.map(v => v / count))}" d="${ink.d}"/>`;
+}
@@ -0,0 +1,114 @@
+// Machine embroidery writers: header fields and how long moves are split into records
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PEC_THREADS, writeDST, writeEXP, writePES } from '../stitch-formats.js';
+
+// A 300-unit jump (too long for one DST or EXP record), a stitch, a color change and a short stitch
+const PLAN = {
+    stitches: [
+        { type: 'jump', x: 300, y: 0 },
+        { type: 'stitch', x: 300, y: 50 },
+        { type: 'color', x: 0, y: 0 },
+        { type: 'stitch', x: 310, y: 60 },
+        { type: 'end', x: 0, y: 0 }
+    ],
+    threads: [{ rgb: [0, 0, 0] }, { rgb: [255, 255, 255] }],
+    bounds: { minX: 0, minY: 0, maxX: 310, maxY: 60 }
+};
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+// Inverse of encodeDstRecord: [dx, dy, flags] with +Y upwards
+const DST_BITS = [
+    [0, 0x01, 1, 0], [0, 0x02, -1, 0], [0, 0x04, 9, 0], [0, 0x08, -9, 0],
+    [0, 0x80, 0, 1], [0, 0x40, 0, -1], [0, 0x20, 0, 9], [0, 0x10, 0, -9],
+    [1, 0x01, 3, 0], [1, 0x02, -3, 0], [1, 0x04, 27, 0], [1, 0x08, -27, 0],
+    [1, 0x80, 0, 3], [1, 0x40, 0, -3], [1, 0x20, 0, 27], [1, 0x10, 0, -27],
+    [2, 0x04, 81, 0], [2, 0x08, -81, 0], [2, 0x20, 0, 81], [2, 0x10, 0, -81]
+];
+function decodeDst(record) {
+    let dx = 0, dy = 0;
+    DST_BITS.forEach(([b, bit, x, y]) => {
+        if (record[b] & bit) { dx += x; dy += y; }
+    });
+    return [dx, dy, record[2] & 0xC0];
+}
+
+function dstRecords(bytes) {
+    const records = [];
+    for (let i = 512; i < bytes.length; i += 3) records.push([...bytes.slice(i, i + 3)]);
+    return records;
+}
+
+test('DST header lists name, record count, color changes and extents', () => {
+    const bytes = writeDST(PLAN, 'Chart');
+    const header = ascii(bytes, 0, 512).split('\r');
+    assert.equal(header[0], 'LA:Chart           ');
+    assert.equal(header[1], `ST:${String(dstRecords(bytes).length).padStart(7, ' ')}`);
+    assert.equal(header[2], 'CO:  1');
+    assert.equal(header[3], '+X:  310');
+    assert.equal(header[6], '-Y:   60');
+    assert.equal(bytes[header.slice(0, 12).join('\r').length + 1], 0x1A);
+    assert.equal((bytes.length - 512) % 3, 0);
+});
+
+test('DST splits long jumps into records of at most 121 units and ends with 0xF3', () => {
+    const records = dstRecords(writeDST(PLAN));
+    const moves = records.map(decodeDst);
+    assert.deepEqual(moves.slice(0, 3), [[100, 0, 0x80], [100, 0, 0x80], [100, 0, 0x80]]);
+    assert.deepEqual(moves[3], [0, -50, 0]);
+    assert.deepEqual(moves[4], [0, 0, 0xC0]);
+    assert.deepEqual(moves[5], [10, -10, 0]);
+    assert.deepEqual(records.at(-1), [0x00, 0x00, 0xF3]);
+    assert.equal(records.length, 7);
+});
+
+test('EXP writes signed byte pairs, with jump and color escapes', () => {
+    assert.deepEqual([...writeEXP(PLAN)], [
+        0x80, 0x04, 100, 0, 0x80, 0x04, 100, 0, 0x80, 0x04, 100, 0,
+        0, -50 & 0xFF,
+        0x80, 0x01, 0x00, 0x00,
+        10, -10 & 0xFF
+    ]);
+});
+
+test('EXP never writes a -128 delta, which would read as a command', () => {
+    const plan = { ...PLAN, stitches: [{ type: 'stitch', x: -128, y: 0 }, { type: 'end', x: 0, y: 0 }] };
+    const bytes = [...writeEXP(plan)];
+    assert.deepEqual(bytes, [-64 & 0xFF, 0, -64 & 0xFF, 0]);
+});
+
+test('PES header points at the PEC block, which carries its length, colors and icons', () => {
+    const bytes = writePES(PLAN, 'Chart');
+    const view = new DataView(bytes.buffer);
+    assert.equal(ascii(bytes, 0, 8), '#PES0001');
+    assert.equal(view.getUint32(8, true), 22);
+    assert.equal(ascii(bytes, 22, 42), 'LA:Chart           \r');
+
+    // Color count minus one, then the 1-based PEC chart index of each color
+    const pecIndex = name => PEC_THREADS.findIndex(t => t[3] === name) + 1;
+    assert.deepEqual([...bytes.slice(70, 73)], [1, pecIndex('Black'), pecIndex('White')]);
+
+    const block = 534;
+    const length = bytes[block + 2] | (bytes[block + 3] << 8) | (bytes[block + 4] << 16);
+    assert.equal(view.getUint16(block + 8, true), 310);
+    assert.equal(view.getUint16(block + 10, true), 60);
+    assert.equal(bytes[block + length - 1], 0xFF);
+    // One 48x38 monochrome icon for the design plus one per color
+    assert.equal(bytes.length, block + length + 3 * 6 * 38);
+});
+
+test('PES encodes jumps as long moves and splits those beyond 2047 units', () => {
+    const plan = {
+        ...PLAN,
+        stitches: [{ type: 'jump', x: 5000, y: 0 }, { type: 'stitch', x: 5010, y: 0 }, { type: 'end', x: 0, y: 0 }],
+        bounds: { minX: 0, minY: 0, maxX: 5010, maxY: 0 }
+    };
+    const bytes = writePES(plan);
+    const view = new DataView(bytes.buffer);
+    const stitches = 534 + 20;
+    const words = [0, 1, 2, 3, 4, 5].map(i => view.getUint16(stitches + i * 2));
+    assert.deepEqual(words, [0x9000 | 1667, 0x9000, 0x9000 | 1666, 0x9000, 0x9000 | 1667, 0x9000]);
+    assert.deepEqual([...bytes.slice(stitches + 12, stitches + 15)], [10, 0, 0xFF]);
+});
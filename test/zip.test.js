@@ -0,0 +1,58 @@
+// ZIP writer: checksums and a central directory that points at every stored file
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildZip, crc32 } from '../zip.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(encoder.encode('123456789')), 0xCBF43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('the central directory lists every entry with its offset, size and checksum', () => {
+    const entries = [
+        { name: 'chart.png', bytes: encoder.encode('png bytes') },
+        { name: 'threads/légende.csv', bytes: encoder.encode('code,name\n310,Black\n') }
+    ];
+    const date = new Date(2024, 4, 17, 13, 45, 30);
+    const zip = buildZip(entries, date);
+    const view = new DataView(zip.buffer);
+
+    const end = zip.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+    assert.equal(view.getUint16(end + 8, true), 2);
+    assert.equal(view.getUint16(end + 10, true), 2);
+    const size = view.getUint32(end + 12, true);
+    let pos = view.getUint32(end + 16, true);
+    assert.equal(pos + size, end);
+
+    entries.forEach(({ name, bytes }) => {
+        assert.equal(view.getUint32(pos, true), 0x02014B50);
+        assert.equal(view.getUint16(pos + 8, true), 0x0800);
+        assert.equal(view.getUint16(pos + 12, true), (13 << 11) | (45 << 5) | 15);
+        assert.equal(view.getUint16(pos + 14, true), (44 << 9) | (5 << 5) | 17);
+        assert.equal(view.getUint32(pos + 16, true), crc32(bytes));
+        assert.equal(view.getUint32(pos + 20, true), bytes.length);
+        const nameLength = view.getUint16(pos + 28, true);
+        assert.equal(decoder.decode(zip.slice(pos + 46, pos + 46 + nameLength)), name);
+
+        // The local header it points at carries the same name, followed by the stored bytes
+        const local = view.getUint32(pos + 42, true);
+        assert.equal(view.getUint32(local, true), 0x04034B50);
+        assert.equal(view.getUint32(local + 14, true), crc32(bytes));
+        assert.equal(view.getUint16(local + 26, true), nameLength);
+        const data = local + 30 + nameLength;
+        assert.deepEqual(zip.slice(data, data + bytes.length), bytes);
+
+        pos += 46 + nameLength;
+    });
+});
+
+test('an empty archive is just the end record', () => {
+    const zip = buildZip([]);
+    assert.equal(zip.length, 22);
+    assert.equal(new DataView(zip.buffer).getUint32(0, true), 0x06054B50);
+});
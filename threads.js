@@ -0,0 +1,85 @@
+// Thread Catalogs
+// Built-in shade cards used to snap quantized colors to real, orderable thread.
+// RGB values are screen approximations of the printed cards; check codes against a physical card for critical matches.
+
+const dmc = [
+    ['B5200', 'Snow White', 255, 255, 255], ['White', 'White', 252, 251, 248], ['Ecru', 'Ecru', 240, 234, 218],
+    ['3865', 'Winter White', 249, 247, 241], ['712', 'Cream', 255, 251, 239], ['310', 'Black', 0, 0, 0],
+    ['3799', 'Very Dark Pewter Gray', 66, 66, 66], ['413', 'Dark Pewter Gray', 86, 86, 86], ['317', 'Pewter Gray', 108, 108, 108],
+    ['414', 'Dark Steel Gray', 140, 140, 140], ['318', 'Light Steel Gray', 171, 171, 171], ['415', 'Pearl Gray', 211, 211, 214],
+    ['762', 'Very Light Pearl Gray', 236, 236, 236], ['646', 'Dark Beaver Gray', 135, 125, 115], ['648', 'Light Beaver Gray', 188, 180, 172],
+    ['814', 'Dark Garnet', 123, 0, 27], ['498', 'Dark Red', 167, 19, 43], ['304', 'Medium Red', 183, 31, 51],
+    ['321', 'Red', 199, 43, 59], ['666', 'Bright Red', 227, 29, 66], ['350', 'Medium Coral', 224, 72, 72],
+    ['352', 'Light Coral', 253, 156, 151], ['606', 'Bright Orange-Red', 250, 50, 3], ['608', 'Bright Orange', 253, 93, 53],
+    ['946', 'Medium Burnt Orange', 235, 99, 7], ['740', 'Tangerine', 255, 139, 0], ['741', 'Medium Tangerine', 255, 163, 43],
+    ['742', 'Light Tangerine', 255, 191, 87], ['743', 'Medium Yellow', 254, 211, 118], ['444', 'Dark Lemon', 255, 214, 0],
+    ['307', 'Lemon', 253, 237, 84], ['445', 'Light Lemon', 255, 251, 139], ['725', 'Medium Light Topaz', 255, 200, 64],
+    ['783', 'Medium Topaz', 206, 145, 36], ['3820', 'Dark Straw', 223, 182, 95], ['3345', 'Dark Hunter Green', 27, 89, 21],
+    ['699', 'Green', 5, 101, 23], ['700', 'Bright Green', 7, 115, 27], ['702', 'Kelly Green', 71, 167, 47],
+    ['704', 'Bright Chartreuse', 158, 207, 52], ['906', 'Medium Parrot Green', 127, 179, 53], ['3346', 'Hunter Green', 64, 106, 58],
+    ['3347', 'Medium Yellow Green', 113, 147, 92], ['3348', 'Light Yellow Green', 204, 217, 177], ['909', 'Very Dark Emerald Green', 21, 111, 73],
+    ['911', 'Medium Emerald Green', 24, 144, 101], ['913', 'Medium Nile Green', 109, 171, 119], ['955', 'Light Nile Green', 162, 214, 173],
+    ['943', 'Medium Aquamarine', 61, 147, 132], ['3812', 'Very Dark Sea Green', 47, 140, 132], ['3845', 'Medium Bright Turquoise', 4, 196, 202],
+    ['3843', 'Electric Blue', 20, 170, 208], ['995', 'Dark Electric Blue', 38, 150, 182], ['996', 'Medium Electric Blue', 48, 194, 236],
+    ['939', 'Very Dark Navy Blue', 27, 40, 83], ['823', 'Dark Navy Blue', 33, 48, 99], ['336', 'Navy Blue', 37, 59, 115],
+    ['820', 'Very Dark Royal Blue', 14, 54, 92], ['796', 'Dark Royal Blue', 17, 65, 109], ['797', 'Royal Blue', 19, 71, 125],
+    ['798', 'Dark Delft Blue', 70, 106, 142], ['799', 'Medium Delft Blue', 116, 142, 182], ['809', 'Delft Blue', 148, 168, 198],
+    ['800', 'Pale Delft Blue', 192, 204, 222], ['3755', 'Baby Blue', 147, 180, 206], ['3325', 'Light Baby Blue', 184, 210, 230],
+    ['517', 'Dark Wedgewood', 59, 118, 143], ['3760', 'Medium Wedgewood', 62, 133, 162], ['3768', 'Dark Gray Green', 101, 127, 127],
+    ['928', 'Very Light Gray Green', 221, 227, 227], ['333', 'Very Dark Blue Violet', 92, 84, 120], ['3746', 'Dark Blue Violet', 119, 107, 152],
+    ['340', 'Medium Blue Violet', 173, 167, 199], ['550', 'Very Dark Violet', 92, 24, 78], ['552', 'Medium Violet', 128, 58, 107],
+    ['554', 'Light Violet', 219, 179, 203], ['208', 'Very Dark Lavender', 131, 91, 139], ['210', 'Medium Lavender', 195, 159, 195],
+    ['600', 'Very Dark Cranberry', 205, 47, 99], ['602', 'Medium Cranberry', 226, 72, 116], ['604', 'Light Cranberry', 255, 176, 190],
+    ['3607', 'Light Plum', 197, 73, 137], ['3705', 'Dark Melon', 255, 121, 146], ['3706', 'Medium Melon', 255, 173, 188],
+    ['899', 'Medium Rose', 242, 118, 136], ['776', 'Medium Pink', 252, 176, 185], ['818', 'Baby Pink', 255, 223, 217],
+    ['738', 'Very Light Tan', 236, 204, 158], ['437', 'Light Tan', 228, 187, 142], ['436', 'Tan', 203, 144, 81],
+    ['434', 'Light Brown', 152, 94, 51], ['433', 'Medium Brown', 122, 69, 31], ['801', 'Dark Coffee Brown', 101, 57, 25],
+    ['938', 'Ultra Dark Coffee Brown', 54, 31, 14], ['3371', 'Black Brown', 30, 17, 8]
+];
+
+const madeiraPolyneon = [
+    ['1800', 'Black', 0, 0, 0], ['1801', 'White', 255, 255, 255], ['1971', 'Off White', 244, 241, 229],
+    ['1812', 'Pearl Gray', 199, 201, 201], ['1718', 'Silver Gray', 166, 169, 170], ['1741', 'Steel Gray', 122, 126, 128],
+    ['1640', 'Charcoal', 72, 74, 76], ['1981', 'Dark Charcoal', 48, 49, 51], ['1747', 'Bright Red', 214, 24, 42],
+    ['1839', 'Scarlet', 196, 30, 45], ['1781', 'Cherry Red', 168, 22, 44], ['1884', 'Burgundy', 117, 20, 38],
+    ['1710', 'Coral', 240, 96, 82], ['1678', 'Orange', 247, 112, 28], ['1778', 'Tangerine', 250, 140, 30],
+    ['1665', 'Pumpkin', 236, 120, 24], ['1768', 'Marigold', 252, 170, 28], ['1824', 'Gold', 233, 177, 46],
+    ['1969', 'Lemon', 255, 232, 60], ['1723', 'Canary Yellow', 255, 240, 110], ['1624', 'Cream Yellow', 253, 236, 166],
+    ['1848', 'Kelly Green', 36, 150, 64], ['1751', 'Emerald', 0, 122, 84], ['1703', 'Forest Green', 32, 88, 48],
+    ['1769', 'Lime Green', 130, 196, 50], ['1749', 'Mint', 150, 214, 170], ['1796', 'Olive', 104, 112, 48],
+    ['1792', 'Teal', 0, 128, 128], ['1690', 'Turquoise', 0, 176, 192], ['1976', 'Aqua', 120, 206, 214],
+    ['1842', 'Navy', 28, 36, 78], ['1943', 'Royal Blue', 30, 62, 150], ['1967', 'Medium Blue', 50, 100, 180],
+    ['1974', 'Sky Blue', 110, 170, 220], ['1732', 'Baby Blue', 170, 204, 232], ['1922', 'Slate Blue', 90, 110, 140],
+    ['1744', 'Purple', 96, 44, 126], ['1832', 'Violet', 132, 80, 160], ['1633', 'Lavender', 190, 170, 216],
+    ['1809', 'Magenta', 196, 30, 120], ['1820', 'Hot Pink', 236, 64, 140], ['1815', 'Rose', 232, 130, 160],
+    ['1817', 'Baby Pink', 248, 200, 212], ['1655', 'Beige', 224, 204, 170], ['1784', 'Tan', 196, 156, 104],
+    ['1858', 'Light Brown', 150, 100, 56], ['1956', 'Chocolate', 92, 56, 32], ['1870', 'Dark Brown', 60, 38, 24]
+];
+
+const isacord = [
+    ['0020', 'Black', 0, 0, 0], ['0015', 'White', 255, 255, 255], ['0101', 'Eggshell', 246, 242, 230],
+    ['0142', 'Sterling', 196, 198, 198], ['0145', 'Smoke', 160, 162, 164], ['0131', 'Smoky', 120, 122, 124],
+    ['0132', 'Dark Pewter', 80, 82, 84], ['0138', 'Pewter', 100, 102, 104], ['1900', 'Geranium', 214, 30, 46],
+    ['1902', 'Poinsettia', 190, 24, 44], ['1903', 'Lipstick', 200, 20, 50], ['2101', 'Country Red', 150, 24, 40],
+    ['2115', 'Beet Red', 110, 20, 40], ['1753', 'Persimmon', 238, 96, 60], ['1102', 'Pumpkin', 240, 118, 30],
+    ['1300', 'Dark Orange', 238, 96, 24], ['1106', 'Papaya', 250, 146, 50], ['0800', 'Goldenrod', 240, 178, 40],
+    ['0824', 'Honey Gold', 226, 160, 48], ['0501', 'Sun', 255, 220, 40], ['0310', 'Yellow', 255, 236, 80],
+    ['0250', 'Cornsilk', 250, 240, 180], ['5513', 'Emerald', 0, 130, 80], ['5324', 'Bright Green', 40, 160, 70],
+    ['5415', 'Erin Green', 24, 110, 60], ['5230', 'Bottle Green', 20, 80, 50], ['5633', 'Lime', 150, 204, 60],
+    ['5610', 'Bright Mint', 140, 210, 160], ['5822', 'Moss', 96, 110, 50], ['4111', 'Marine Aqua', 0, 130, 140],
+    ['4230', 'Caribbean Blue', 0, 170, 190], ['4240', 'Aqua', 110, 200, 210], ['3355', 'Dark Ink', 24, 34, 74],
+    ['3544', 'Fjord', 30, 60, 110], ['3600', 'Nordic Blue', 36, 80, 150], ['3910', 'Crystal Blue', 60, 120, 190],
+    ['3815', 'Reef Blue', 110, 170, 220], ['3962', 'Pale Blue', 176, 206, 232], ['3153', 'Slate', 90, 104, 130],
+    ['2920', 'Purple', 90, 40, 120], ['2910', 'Grape', 120, 70, 150], ['3040', 'Lavender', 186, 168, 214],
+    ['2508', 'Fuchsia', 200, 30, 120], ['2520', 'Garden Rose', 232, 80, 140], ['2550', 'Soft Pink', 246, 190, 206],
+    ['0853', 'Pecan', 200, 160, 110], ['1134', 'Penny', 170, 100, 50], ['1565', 'Coffee Bean', 96, 60, 36],
+    ['1876', 'Chocolate', 70, 44, 28]
+];
+
+const toThreads = rows => rows.map(([code, name, r, g, b]) => ({ code, name, rgb: [r, g, b] }));
+
+export const THREAD_CATALOGS = {
+    dmc: { label: 'DMC Embroidery Floss', brand: 'DMC', threads: toThreads(dmc) },
+    madeira: { label: 'Madeira Polyneon 40', brand: 'Madeira', threads: toThreads(madeiraPolyneon) },
+    isacord: { label: 'Isacord 40', brand: 'Isacord', threads: toThreads(isacord) }
+};
@@ -0,0 +1,80 @@
+// Minimal ZIP Writer
+// Stores files uncompressed (PNG, PDF and stitch files are already compressed or tiny),
+// which keeps the archive a plain concatenation of headers and bytes.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time packed as used by ZIP headers
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// entries: [{ name, bytes: Uint8Array }] -> Uint8Array
+export function buildZip(entries, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(({ name, bytes }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(bytes);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);          // Version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 file names
+        local.setUint16(8, 0, true);           // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, bytes.length, true);
+        local.setUint32(22, bytes.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        locals.push(new Uint8Array(local.buffer), nameBytes, bytes);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);        // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, bytes.length, true);
+        central.setUint32(24, bytes.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + bytes.length;
+    });
+
+    const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const chunks = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(offset + centralSize + 22);
+    let pos = 0;
+    chunks.forEach(c => { out.set(c, pos); pos += c.length; });
+    return out;
+}